@@ -5,6 +5,8 @@
  * Serializes current visualization state for reproduction.
  */
 
+import { Compression } from '../utils/Compression.js';
+
 export class StateManager {
     constructor() {
         this.currentState = {
@@ -12,6 +14,7 @@ export class StateManager {
             vizType: null,
             parameters: {},
             metadata: {},
+            overrides: {},
             dataHash: null,
             timestamp: null
         };
@@ -30,6 +33,24 @@ export class StateManager {
         };
     }
 
+    /**
+     * Store user corrections to the loaded data (sample rate, units)
+     */
+    setOverrides(overrides) {
+        this.currentState = {
+            ...this.currentState,
+            overrides: { ...overrides },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get user corrections to the loaded data
+     */
+    getOverrides() {
+        return this.currentState.overrides || {};
+    }
+
     /**
      * Serialize state to compressed string
      */
@@ -104,35 +125,7 @@ export class StateManager {
             compressed[i] = binary.charCodeAt(i);
         }
         
-        // Create decompression stream
-        const stream = new ReadableStream({
-            start(controller) {
-                controller.enqueue(compressed);
-                controller.close();
-            }
-        });
-        
-        // Decompress using gzip
-        const decompressedStream = stream.pipeThrough(new DecompressionStream('gzip'));
-        
-        // Read decompressed data
-        const reader = decompressedStream.getReader();
-        const chunks = [];
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-        }
-        
-        // Combine chunks
-        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-        const decompressed = new Uint8Array(totalLength);
-        let offset = 0;
-        for (const chunk of chunks) {
-            decompressed.set(chunk, offset);
-            offset += chunk.length;
-        }
+        const decompressed = await Compression.decompress(compressed, 'gzip');
         
         // Convert back to string
         const decoder = new TextDecoder();
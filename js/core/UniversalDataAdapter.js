@@ -6,42 +6,85 @@
  * 
  * Supports:
  * - Audio (WAV, MP3, OGG, FLAC)
- * - EEG/MEG (EDF, BDF, FIF, CSV)
+ * - EEG/MEG (EDF, BDF, FIF, EEGLAB SET, BrainVision, CSV)
  * - Neuroimaging (NIfTI, DICOM)
  * - 3D Meshes (OBJ, STL, PLY, glTF/GLB)
- * - Point Clouds (XYZ, PCD, CSV with coordinates)
+ * - Point Clouds (XYZ, PCD, LAS, CSV with coordinates)
  * - Time series (CSV, JSON, TSV)
- * - Images (PNG, JPG, TIFF)
+ * - Arrays (NumPy NPY/NPZ, MATLAB MAT)
+ * - Images (PNG, JPG, BMP; TIFF including 16-bit, float and multi-page stacks)
  * - Generic binary data
  */
 
+import { BrainVisionParser } from '../parsers/BrainVisionParser.js';
+import { DICOMParser } from '../parsers/DICOMParser.js';
+import { FIFParser } from '../parsers/FIFParser.js';
+import { GLTFParser } from '../parsers/GLTFParser.js';
+import { JSONTimeSeriesReader } from '../parsers/JSONTimeSeriesReader.js';
+import { LASParser } from '../parsers/LASParser.js';
+import { MATParser } from '../parsers/MATParser.js';
+import { NumPyParser } from '../parsers/NumPyParser.js';
+import { PCDParser } from '../parsers/PCDParser.js';
+import { PLYParser } from '../parsers/PLYParser.js';
+import { TabularReader } from '../parsers/TabularReader.js';
+import { TIFFParser } from '../parsers/TIFFParser.js';
+import { Compression } from '../utils/Compression.js';
+import { FormatSniffer } from '../utils/FormatSniffer.js';
+import { MissingValues } from '../utils/MissingValues.js';
+
 export class UniversalDataAdapter {
     constructor() {
         this.supportedFormats = {
             audio: ['.wav', '.mp3', '.ogg', '.flac', '.m4a'],
-            eeg: ['.edf', '.bdf', '.fif', '.set', '.csv', '.txt'],
+            eeg: ['.edf', '.bdf', '.fif', '.set', '.vhdr'],
             neuroimaging: ['.nii', '.nii.gz', '.dcm', '.dicom'],
             mesh3d: ['.obj', '.stl', '.ply', '.gltf', '.glb'],
-            pointcloud: ['.xyz', '.pcd', '.pts', '.asc'],
-            timeseries: ['.csv', '.tsv', '.json', '.txt'],
-            image: ['.png', '.jpg', '.jpeg', '.tiff', '.bmp'],
+            pointcloud: ['.xyz', '.pcd', '.las', '.laz', '.pts', '.asc'],
+            timeseries: ['.csv', '.tsv', '.json', '.ndjson', '.jsonl', '.txt'],
+            array: ['.npy', '.npz', '.mat'],
+            image: ['.png', '.jpg', '.jpeg', '.tiff', '.tif', '.bmp'],
             video: ['.mp4', '.webm', '.avi'],
             generic: ['.bin', '.dat']
         };
 
+        // Files that must be read together with a primary file
+        this.companionFormats = {
+            '.vhdr': ['.vmrk', '.eeg'],
+            '.obj': ['.mtl'],  // plus the textures its materials name, see groupFiles
+            '.gltf': ['.bin'],
+            '.set': ['.fdt']
+        };
+
+        // Content decides the format; CSV/TXT are split into EEG or tabular by column shape
+        this.sniffer = new FormatSniffer(this.supportedFormats);
+
         this.detectedType = null;
         this.metadata = {};
         this.rawData = null;
+        this.companions = [];
+        
+        // Set by ParserPool for the duration of a load
+        this.onProgress = null;
+        this.signal = null;
+        this.lastProgress = null;
     }
 
     /**
      * Main entry point: load and auto-detect file type
+     * @param {File} file - Primary file
+     * @param {File[]} companions - Related files read alongside it (e.g. .vmrk/.eeg for .vhdr)
      */
-    async loadFile(file) {
+    async loadFile(file, companions = []) {
         console.log(`📁 Loading file: ${file.name} (${this.formatBytes(file.size)})`);
         
+        this.companions = companions;
+        this.lastProgress = null;
+        
         const extension = this.getFileExtension(file.name);
-        const dataType = this.detectDataType(extension, file);
+        const detection = await this.detectDataType(extension, file);
+        const dataType = detection.type;
+        // Parsers dispatch on the sniffed format so misnamed files still load
+        const format = detection.format || extension;
         
         this.detectedType = dataType;
         this.metadata = {
@@ -50,10 +93,17 @@ export class UniversalDataAdapter {
             type: dataType,
             extension: extension,
             mimeType: file.type,
-            lastModified: new Date(file.lastModified)
+            lastModified: new Date(file.lastModified),
+            detection: detection
         };
+        if (this.getRelativePath(file) !== file.name) {
+            this.metadata.path = this.getRelativePath(file);
+        }
+        if (companions.length > 0) {
+            this.metadata.companions = companions.map(f => f.name);
+        }
 
-        console.log(`🔍 Detected type: ${dataType}`);
+        console.log(`🔍 Detected type: ${dataType} (${format}, ${detection.method}, ${Math.round(detection.confidence * 100)}%)`);
 
         // Parse based on detected type
         let parsedData;
@@ -62,22 +112,29 @@ export class UniversalDataAdapter {
                 parsedData = await this.parseAudio(file);
                 break;
             case 'eeg':
-                parsedData = await this.parseEEG(file, extension);
+                parsedData = await this.parseEEG(file, format);
                 break;
             case 'neuroimaging':
-                parsedData = await this.parseNeuroimaging(file, extension);
+                parsedData = await this.parseNeuroimaging(file, format);
                 break;
             case 'mesh3d':
-                parsedData = await this.parse3DMesh(file, extension);
+                parsedData = await this.parse3DMesh(file, format);
                 break;
             case 'pointcloud':
-                parsedData = await this.parsePointCloud(file, extension);
+                parsedData = await this.parsePointCloud(file, format);
                 break;
             case 'timeseries':
-                parsedData = await this.parseTimeSeries(file, extension);
+                parsedData = await this.parseTimeSeries(file, format);
+                break;
+            case 'array':
+                parsedData = format === '.mat'
+                    ? await this.parseMAT(file)
+                    : await this.parseNumPy(file, format);
                 break;
             case 'image':
-                parsedData = await this.parseImage(file);
+                parsedData = format === '.tiff' || format === '.tif'
+                    ? await this.parseTIFF(file)
+                    : await this.parseImage(file);
                 break;
             case 'video':
                 parsedData = await this.parseVideo(file);
@@ -86,34 +143,167 @@ export class UniversalDataAdapter {
                 parsedData = await this.parseGeneric(file);
         }
 
+        // Some files only reveal their kind once parsed (e.g. a PLY without faces)
+        if (parsedData.type !== dataType) {
+            this.detectedType = parsedData.type;
+            this.metadata.type = parsedData.type;
+        }
+
+        this.rawData = parsedData;
+        return this.standardizeData(parsedData);
+    }
+
+    /**
+     * Load several DICOM files as one imaging series
+     */
+    async loadDICOMSeries(files) {
+        console.log(`📁 Loading DICOM series: ${files.length} files`);
+        
+        this.lastProgress = null;
+        this.detectedType = 'neuroimaging';
+        this.metadata = {
+            filename: `${files.length} DICOM files`,
+            size: files.reduce((sum, f) => sum + f.size, 0),
+            type: 'neuroimaging',
+            extension: '.dcm',
+            mimeType: 'application/dicom',
+            lastModified: new Date(Math.max(...files.map(f => f.lastModified)))
+        };
+
+        const parsedData = await this.parseDICOMSeries(files);
+        
         this.rawData = parsedData;
         return this.standardizeData(parsedData);
     }
 
     /**
-     * Detect data type from file extension and MIME type
+     * Group dropped files into loadable datasets: DICOM slices form one dataset
+     * per series (largest first), companion files (e.g. .vmrk/.eeg, .mtl)
+     * attach to their primary file.
+     * @returns {Promise<Array<{kind: string, primary: File, files: File[], companions: File[]}>>}
      */
-    detectDataType(extension, file) {
-        // Check each category
-        for (const [type, extensions] of Object.entries(this.supportedFormats)) {
-            if (extensions.includes(extension)) {
-                return type;
+    async groupFiles(files) {
+        const groups = [];
+        const dicomFiles = [];
+        const remaining = [];
+        
+        for (const file of files) {
+            if (await this.isDICOMFile(file)) dicomFiles.push(file);
+            else remaining.push(file);
+        }
+        
+        const series = new Map();
+        for (const file of dicomFiles) {
+            const uid = await this.readDICOMSeriesUID(file);
+            if (!series.has(uid)) series.set(uid, []);
+            series.get(uid).push(file);
+        }
+        Array.from(series.values())
+            .sort((a, b) => b.length - a.length)
+            .forEach(seriesFiles => groups.push({ kind: 'dicom', primary: seriesFiles[0], files: seriesFiles, companions: [] }));
+        
+        const ext = (file) => this.getFileExtension(file.name);
+        const baseName = (file) => file.name.slice(0, file.name.length - ext(file).length).toLowerCase();
+        const directory = (file) => this.getRelativePath(file).slice(0, -file.name.length);
+        const companionExts = new Set(Object.values(this.companionFormats).flat());
+        const primaries = remaining.filter(f => this.companionFormats[ext(f)]);
+        const claimed = new Set();
+        
+        for (const primary of primaries) {
+            const wanted = this.companionFormats[ext(primary)];
+            const dir = directory(primary);
+            // A lone primary of its kind in a folder takes every companion there;
+            // otherwise match base names
+            const alone = primaries.filter(f => ext(f) === ext(primary) && directory(f) === dir).length === 1;
+            const companions = remaining.filter(f =>
+                !claimed.has(f) &&
+                wanted.includes(ext(f)) &&
+                directory(f) === dir &&
+                (alone || baseName(f) === baseName(primary))
+            );
+            companions.forEach(f => claimed.add(f));
+            
+            // Texture images are claimed only when a material library names them
+            for (const mtl of companions.filter(f => ext(f) === '.mtl')) {
+                const names = this.textureNames(this.parseMTL(await mtl.text()));
+                const textures = remaining.filter(f => !claimed.has(f) && names.has(f.name.toLowerCase()));
+                textures.forEach(f => claimed.add(f));
+                companions.push(...textures);
             }
+            
+            groups.push({ kind: 'file', primary, files: [primary], companions });
         }
+        
+        remaining.forEach(file => {
+            if (claimed.has(file) || primaries.includes(file)) return;
+            // Unclaimed companion-only files (e.g. a stray .vmrk) are not datasets
+            if (companionExts.has(ext(file)) && !this.isLoadableAlone(file)) return;
+            groups.push({ kind: 'file', primary: file, files: [file], companions: [] });
+        });
+        
+        return groups;
+    }
+
+    /**
+     * Whether a companion-type file is also a dataset on its own
+     */
+    isLoadableAlone(file) {
+        const ext = this.getFileExtension(file.name);
+        return Object.values(this.supportedFormats).some(list => list.includes(ext));
+    }
+
+    /**
+     * Load a group produced by groupFiles()
+     */
+    async loadGroup(group) {
+        return group.kind === 'dicom'
+            ? await this.loadDICOMSeries(group.files)
+            : await this.loadFile(group.primary, group.companions);
+    }
+
+    /**
+     * Check a file for the DICOM Part 10 "DICM" marker
+     */
+    async isDICOMFile(file) {
+        const ext = this.getFileExtension(file.name);
+        if (ext === '.dcm' || ext === '.dicom') return true;
+        if (file.size < 132) return false;
+        
+        const head = await file.slice(0, 132).arrayBuffer();
+        return DICOMParser.isDICOM(head);
+    }
 
-        // Fallback to MIME type detection
-        if (file.type.startsWith('audio/')) return 'audio';
-        if (file.type.startsWith('image/')) return 'image';
-        if (file.type.startsWith('video/')) return 'video';
+    /**
+     * SeriesInstanceUID of a DICOM file, read from its header alone when it
+     * fits in the first 64 KB ('unknown' if the file cannot be parsed)
+     */
+    async readDICOMSeriesUID(file) {
+        const parser = new DICOMParser();
+        for (const end of [65536, file.size]) {
+            try {
+                const { tags } = parser.parse(await file.slice(0, end).arrayBuffer());
+                return tags.SeriesInstanceUID || 'unknown';
+            } catch (error) {
+                // Header runs past the slice: retry with the whole file
+                if (end >= file.size) break;
+            }
+        }
+        return 'unknown';
+    }
 
-        return 'generic';
+    /**
+     * Detect data type from file content, falling back to extension and MIME type
+     * @returns {Promise<{type: string, format: string, confidence: number, method: string, reason: string}>}
+     */
+    async detectDataType(extension, file) {
+        return await this.sniffer.sniff(file, extension);
     }
 
     /**
      * Parse AUDIO files (WAV, MP3, OGG, etc.)
      */
     async parseAudio(file) {
-        const arrayBuffer = await file.arrayBuffer();
+        const arrayBuffer = await this.readArrayBuffer(file);
         
         // Don't create AudioContext here - will be created on user interaction
         // Just store the raw array buffer for later decoding
@@ -139,8 +329,14 @@ export class UniversalDataAdapter {
     async parseEEG(file, extension) {
         if (extension === '.edf' || extension === '.bdf') {
             return await this.parseEDF(file);
-        } else if (extension === '.csv' || extension === '.txt') {
+        } else if (extension === '.csv' || extension === '.tsv' || extension === '.txt') {
             return await this.parseCSVasEEG(file);
+        } else if (extension === '.fif') {
+            return await this.parseFIF(file);
+        } else if (extension === '.vhdr') {
+            return await this.parseBrainVision(file);
+        } else if (extension === '.set') {
+            return await this.parseMAT(file);
         } else {
             throw new Error(`EEG format ${extension} not yet implemented`);
         }
@@ -148,14 +344,19 @@ export class UniversalDataAdapter {
 
     /**
      * Parse EDF (European Data Format) - common EEG format
+     * Also handles BDF (BioSemi 24-bit variant)
      */
     async parseEDF(file) {
-        const arrayBuffer = await file.arrayBuffer();
+        const arrayBuffer = await this.readArrayBuffer(file);
         const dataView = new DataView(arrayBuffer);
         
+        // BDF files start with 0xFF followed by "BIOSEMI"
+        const isBDF = dataView.getUint8(0) === 0xFF;
+        const bytesPerSample = isBDF ? 3 : 2;
+        
         // EDF Header (256 bytes)
         const header = {
-            version: this.readString(dataView, 0, 8),
+            version: isBDF ? 'BIOSEMI' : this.readString(dataView, 0, 8),
             patientID: this.readString(dataView, 8, 80),
             recordingID: this.readString(dataView, 88, 80),
             startDate: this.readString(dataView, 168, 8),
@@ -167,85 +368,447 @@ export class UniversalDataAdapter {
             numSignals: parseInt(this.readString(dataView, 252, 4))
         };
 
-        console.log(`📊 EDF: ${header.numSignals} channels, ${header.numRecords} records`);
-
-        // Parse signal headers (256 bytes per signal)
-        const signals = [];
+        // Parse signal headers. Each field is stored for all signals in turn
+        // (ns labels, then ns transducer types, ...), not per signal.
+        const ns = header.numSignals;
+        const fieldWidths = [
+            ['label', 16], ['transducerType', 80], ['physicalDimension', 8],
+            ['physicalMin', 8], ['physicalMax', 8], ['digitalMin', 8], ['digitalMax', 8],
+            ['prefiltering', 80], ['numSamples', 8], ['reserved', 32]
+        ];
+        const signals = Array.from({ length: ns }, () => ({}));
         let offset = 256;
         
-        for (let i = 0; i < header.numSignals; i++) {
-            const signal = {
-                label: this.readString(dataView, offset, 16).trim(),
-                transducerType: this.readString(dataView, offset + 16, 80),
-                physicalDimension: this.readString(dataView, offset + 96, 8),
-                physicalMin: parseFloat(this.readString(dataView, offset + 104, 8)),
-                physicalMax: parseFloat(this.readString(dataView, offset + 112, 8)),
-                digitalMin: parseInt(this.readString(dataView, offset + 120, 8)),
-                digitalMax: parseInt(this.readString(dataView, offset + 128, 8)),
-                prefiltering: this.readString(dataView, offset + 136, 80),
-                numSamples: parseInt(this.readString(dataView, offset + 216, 8)),
-                reserved: this.readString(dataView, offset + 224, 32)
-            };
-            signals.push(signal);
-            offset += 256;
+        for (const [field, width] of fieldWidths) {
+            for (let i = 0; i < ns; i++) {
+                signals[i][field] = this.readString(dataView, offset + i * width, width).trim();
+            }
+            offset += ns * width;
+        }
+
+        signals.forEach(signal => {
+            signal.physicalMin = parseFloat(signal.physicalMin);
+            signal.physicalMax = parseFloat(signal.physicalMax);
+            signal.digitalMin = parseInt(signal.digitalMin);
+            signal.digitalMax = parseInt(signal.digitalMax);
+            signal.numSamples = parseInt(signal.numSamples);
+            signal.sampleRate = signal.numSamples / header.recordDuration;
+            // EDF+/BDF+ store time-stamped annotation lists in a pseudo-signal
+            signal.isAnnotation = signal.label === 'EDF Annotations' || signal.label === 'BDF Annotations';
+        });
+
+        // numRecords is -1 while a recording is still being written
+        const recordBytes = signals.reduce((sum, s) => sum + s.numSamples, 0) * bytesPerSample;
+        if (!(recordBytes > 0)) {
+            throw new Error(`${isBDF ? 'BDF' : 'EDF'} header declares no samples per record`);
+        }
+        const availableRecords = Math.floor((arrayBuffer.byteLength - header.headerBytes) / recordBytes);
+        if (!(header.numRecords > 0) || header.numRecords > availableRecords) {
+            header.numRecords = availableRecords;
         }
 
-        this.metadata.sampleRate = signals[0].numSamples / header.recordDuration;
-        this.metadata.channels = header.numSignals;
+        console.log(`📊 ${isBDF ? 'BDF' : 'EDF'}: ${header.numSignals} channels, ${header.numRecords} records`);
+
+        const decoded = this.decodeEDFRecords(dataView, header, signals, bytesPerSample);
+        const events = this.parseEDFAnnotations(dataView, header, signals, bytesPerSample);
+        
+        const dataSignals = signals.filter(s => !s.isAnnotation);
+        const channels = decoded.filter((_, i) => !signals[i].isAnnotation);
+        const channelNames = dataSignals.map(s => s.label);
+        const sampleRates = dataSignals.map(s => s.sampleRate);
+        const sampleRate = Math.max(...sampleRates);
+        const samples = Math.max(...channels.map(ch => ch.length));
+
+        this.metadata.sampleRate = sampleRate;
+        this.metadata.channels = channels.length;
+        this.metadata.samples = samples;
+        this.metadata.channelNames = channelNames;
         this.metadata.duration = header.numRecords * header.recordDuration;
+        this.metadata.events = events.length;
 
         return {
             type: 'eeg',
+            format: isBDF ? 'bdf' : 'edf',
             header: header,
             signals: signals,
             dataOffset: header.headerBytes,
-            sampleRate: this.metadata.sampleRate,
-            channels: header.numSignals
+            channels: channels,
+            channelNames: channelNames,
+            units: dataSignals.map(s => s.physicalDimension),
+            sampleRate: sampleRate,
+            sampleRates: sampleRates,
+            samples: samples,
+            events: events
         };
     }
 
     /**
-     * Parse CSV as EEG data (assumes columns = channels)
+     * Decode EDF/BDF data records into per-signal physical values
      */
-    async parseCSVasEEG(file) {
-        const text = await file.text();
-        const lines = text.split('\n').filter(line => line.trim());
+    decodeEDFRecords(dataView, header, signals, bytesPerSample) {
+        const channels = signals.map(s => s.isAnnotation ? null : new Float32Array(s.numSamples * header.numRecords));
         
-        // Detect delimiter
-        const delimiter = text.includes('\t') ? '\t' : ',';
+        // Linear digital -> physical mapping per signal
+        const scaling = signals.map(s => {
+            const digitalRange = s.digitalMax - s.digitalMin;
+            const gain = digitalRange !== 0 ? (s.physicalMax - s.physicalMin) / digitalRange : 1;
+            return { gain: gain, offset: s.physicalMin - s.digitalMin * gain };
+        });
+
+        let offset = header.headerBytes;
         
-        // Parse header if exists
-        const firstLine = lines[0].split(delimiter);
-        const hasHeader = isNaN(parseFloat(firstLine[0]));
+        for (let r = 0; r < header.numRecords; r++) {
+            signals.forEach((signal, s) => {
+                const channel = channels[s];
+                if (!channel) {
+                    offset += signal.numSamples * bytesPerSample;
+                    return;
+                }
+                
+                const { gain, offset: physOffset } = scaling[s];
+                const base = r * signal.numSamples;
+                
+                for (let i = 0; i < signal.numSamples; i++) {
+                    let digital;
+                    if (bytesPerSample === 3) {
+                        // 24-bit little-endian two's complement
+                        digital = dataView.getUint8(offset) |
+                            (dataView.getUint8(offset + 1) << 8) |
+                            (dataView.getUint8(offset + 2) << 16);
+                        digital = (digital << 8) >> 8;
+                    } else {
+                        digital = dataView.getInt16(offset, true);
+                    }
+                    channel[base + i] = digital * gain + physOffset;
+                    offset += bytesPerSample;
+                }
+            });
+        }
+
+        return channels;
+    }
+
+    /**
+     * Parse EDF+ annotation signals (TALs) into a sorted events list
+     * Each TAL reads: +onset[\x15duration]\x14text\x14[text\x14...]\x00
+     */
+    parseEDFAnnotations(dataView, header, signals, bytesPerSample) {
+        const events = [];
+        if (!signals.some(s => s.isAnnotation)) return events;
+
+        const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+        const decoder = new TextDecoder('utf-8');
+        const recordBytes = signals.reduce((sum, s) => sum + s.numSamples, 0) * bytesPerSample;
+
+        for (let r = 0; r < header.numRecords; r++) {
+            let offset = header.headerBytes + r * recordBytes;
+            
+            signals.forEach(signal => {
+                const length = signal.numSamples * bytesPerSample;
+                
+                if (signal.isAnnotation) {
+                    const tals = decoder.decode(bytes.subarray(offset, offset + length)).split('\x00');
+                    
+                    for (const tal of tals) {
+                        const fields = tal.split('\x14');
+                        const timing = fields[0].match(/^([+-]\d+(?:\.\d*)?)(?:\x15(\d+(?:\.\d*)?))?$/);
+                        if (!timing) continue;
+                        
+                        // Empty texts mark the record start time and are not events
+                        fields.slice(1).filter(text => text.trim()).forEach(text => {
+                            events.push({
+                                onset: parseFloat(timing[1]),
+                                duration: timing[2] ? parseFloat(timing[2]) : 0,
+                                text: text.trim()
+                            });
+                        });
+                    }
+                }
+                offset += length;
+            });
+        }
+
+        events.sort((a, b) => a.onset - b.onset);
+        console.log(`📌 EDF+: ${events.length} annotations`);
+
+        return events;
+    }
+
+    /**
+     * Parse raw MEG/EEG FIF files (see FIFParser). Values are in SI units
+     * (T, T/m, V); each channel's type (MEG, EEG, EOG, STIM...) is kept in
+     * metadata.channelTypes.
+     */
+    async parseFIF(file) {
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const raw = new FIFParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        }).parse(arrayBuffer);
         
-        const channelNames = hasHeader ? firstLine : firstLine.map((_, i) => `Ch${i + 1}`);
-        const dataLines = hasHeader ? lines.slice(1) : lines;
+        const { info, samples } = raw;
+        const channelNames = info.channels.map(channel => channel.name);
+        const channelTypes = info.channels.map(channel => channel.type);
         
-        // Parse data
-        const numChannels = channelNames.length;
-        const channels = Array(numChannels).fill(null).map(() => []);
+        const typeCounts = {};
+        channelTypes.forEach(type => { typeCounts[type] = (typeCounts[type] || 0) + 1; });
+        console.log(`🧲 FIF: ${channelNames.length} channels (${Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ')}), ${samples} samples at ${info.sfreq} Hz`);
         
-        dataLines.forEach(line => {
-            const values = line.split(delimiter).map(v => parseFloat(v));
-            values.forEach((val, i) => {
-                if (!isNaN(val) && i < numChannels) {
-                    channels[i].push(val);
-                }
-            });
+        this.metadata.sampleRate = info.sfreq;
+        this.metadata.channels = channelNames.length;
+        this.metadata.samples = samples;
+        this.metadata.channelNames = channelNames;
+        this.metadata.channelTypes = channelTypes;
+        this.metadata.duration = samples / info.sfreq;
+        this.metadata.events = 0;
+        this.metadata.firstSample = raw.firstSample;
+        if (info.measDate) this.metadata.measurementDate = info.measDate.toISOString();
+        if (info.highpass !== null || info.lowpass !== null) {
+            this.metadata.filter = { highpass: info.highpass, lowpass: info.lowpass };
+        }
+        
+        return {
+            type: 'eeg',
+            format: 'fif',
+            channels: raw.channels,
+            channelNames: channelNames,
+            units: info.channels.map(channel => channel.unit),
+            sampleRate: info.sfreq,
+            samples: samples,
+            events: []
+        };
+    }
+
+    /**
+     * Parse BrainVision recordings (see BrainVisionParser): the .vhdr header
+     * plus the .eeg data and .vmrk marker files it names, which arrive as
+     * companions. Markers are optional; the data file is not.
+     */
+    async parseBrainVision(file) {
+        const parser = new BrainVisionParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
         });
+        const header = parser.parseHeader(BrainVisionParser.decodeText(await this.readArrayBuffer(file)));
+        
+        const dataFile = this.findCompanion(header.dataFile, '.eeg');
+        if (!dataFile) {
+            throw new Error(`BrainVision samples are stored in ${header.dataFile || 'an .eeg file'}; load it together with the .vhdr file`);
+        }
+        const { channels, samples } = parser.readData(await this.readArrayBuffer(dataFile), header);
+        
+        let events = [];
+        let recordingDate = null;
+        const markerFile = this.findCompanion(header.markerFile, '.vmrk');
+        if (markerFile) {
+            ({ events, recordingDate } = parser.parseMarkers(BrainVisionParser.decodeText(await this.readArrayBuffer(markerFile)), header.sampleRate));
+        } else {
+            console.warn(`⚠️ BrainVision marker file ${header.markerFile || '(.vmrk)'} not loaded; no events`);
+        }
+        
+        const channelNames = header.channels.map(channel => channel.name);
+        console.log(`🧠 BrainVision: ${channels.length} channels, ${samples} samples at ${header.sampleRate} Hz (${header.binaryFormat}, ${header.orientation.toLowerCase()}), ${events.length} markers`);
+        
+        this.metadata.sampleRate = header.sampleRate;
+        this.metadata.channels = channels.length;
+        this.metadata.samples = samples;
+        this.metadata.channelNames = channelNames;
+        this.metadata.duration = samples / header.sampleRate;
+        this.metadata.events = events.length;
+        if (recordingDate) this.metadata.measurementDate = recordingDate.toISOString();
+        
+        return {
+            type: 'eeg',
+            format: 'brainvision',
+            channels: channels,
+            channelNames: channelNames,
+            units: header.channels.map(channel => channel.unit),
+            sampleRate: header.sampleRate,
+            samples: samples,
+            events: events
+        };
+    }
+
+    /**
+     * Parse CSV as EEG data (numeric columns = channels)
+     */
+    async parseCSVasEEG(file) {
+        const table = await this.readTable(file);
+        const { channels, channelNames, units, time } = this.tableToChannels(table);
+        
+        if (channels.length === 0) {
+            throw new Error('CSV file has no numeric columns');
+        }
+        
+        // Without a time column the rate is unknown; 250 Hz is a common EEG default
+        const sampleRate = time ? time.sampleRate : 250;
 
-        this.metadata.channels = numChannels;
-        this.metadata.samples = channels[0].length;
+        this.metadata.channels = channels.length;
+        this.metadata.samples = table.rowCount;
         this.metadata.channelNames = channelNames;
+        this.metadata.sampleRate = sampleRate;
+        this.metadata.duration = table.rowCount / sampleRate;
 
-        console.log(`📈 CSV EEG: ${numChannels} channels, ${channels[0].length} samples`);
+        console.log(`📈 CSV EEG: ${channels.length} channels, ${table.rowCount} samples at ${sampleRate.toFixed(2)} Hz`);
 
         return {
             type: 'eeg',
-            channels: channels.map(ch => new Float32Array(ch)),
+            format: table.dialect.delimiter === '\t' ? 'tsv' : 'csv',
+            channels: channels,
             channelNames: channelNames,
-            sampleRate: 250, // Default, can be adjusted
-            samples: channels[0].length
+            units: units,
+            columns: table.columns,
+            time: time,
+            sampleRate: sampleRate,
+            samples: table.rowCount
+        };
+    }
+
+    /**
+     * Stream a delimited text file into typed columns (see TabularReader)
+     */
+    async readTable(file) {
+        const reader = new TabularReader({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        });
+        const table = await reader.read(file);
+        
+        const { delimiter, decimal, hasHeader } = table.dialect;
+        const names = { '\t': 'tab', ',': 'comma', ';': 'semicolon', '|': 'pipe', ' ': 'whitespace' };
+        this.metadata.dialect = `${names[delimiter]}-separated` +
+            (decimal === ',' ? ', decimal comma' : '') +
+            (hasHeader ? '' : ', no header');
+        this.metadata.columnTypes = this.countColumnTypes(table.columns);
+        
+        return table;
+    }
+
+    /**
+     * Column counts by inferred type, for the data info panel
+     */
+    countColumnTypes(columns) {
+        return columns.reduce((counts, column) => {
+            counts[column.type] = (counts[column.type] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    /**
+     * Numeric table columns as Float32Array channels for the line renderers.
+     * Blank cells stay NaN so every channel keeps one sample per row.
+     */
+    tableToChannels(table) {
+        const time = this.detectTimeColumn(table);
+        const numeric = table.columns.filter(column =>
+            column.type === 'numeric' && (!time || column !== table.columns[time.columnIndex])
+        );
+        const channels = numeric.map(column => column.values instanceof Float32Array
+            ? column.values
+            : Float32Array.from(column.values));
+        
+        this.metadata.missingValues = MissingValues.count(channels);
+        if (time) {
+            this.metadata.timeColumn = `${time.name} (${time.unit})`;
+            this.metadata.irregularSampling = time.irregular;
+            if (time.startTime) this.metadata.startTime = time.startTime;
+        }
+        
+        // "Fz (uV)" / "Fz [uV]" headers carry units
+        const UNIT_SUFFIX = /\s*[([]\s*([^)\]]+?)\s*[)\]]\s*$/;
+        const units = numeric.map(column => {
+            const match = UNIT_SUFFIX.exec(column.name);
+            return match ? match[1] : '';
+        });
+        
+        return {
+            channels: channels,
+            channelNames: numeric.map(column => column.name.replace(UNIT_SUFFIX, '') || column.name),
+            units: units.some(unit => unit) ? units : null,
+            time: time
+        };
+    }
+
+    /**
+     * Find the column holding sample times: a timestamp-typed column (ISO 8601,
+     * clock times) or a numeric column named like a time axis. Returns times in
+     * seconds from the first sample plus the inferred sample rate.
+     */
+    detectTimeColumn(table) {
+        const column = table.columns.find(col => col.type === 'timestamp') ||
+            table.columns.find(col => col.type === 'numeric' && FormatSniffer.isTimeHeader(col.name));
+        if (!column || column.values.length < 2) return null;
+        
+        const values = column.values;
+        const first = values.find(value => !isNaN(value));
+        const name = column.name.toLowerCase();
+        
+        // Timestamp columns are epoch (or since-midnight) milliseconds; numeric
+        // columns are scaled by the unit in their name or by magnitude
+        let unit;
+        let toSeconds;
+        if (column.type === 'timestamp') {
+            unit = 'timestamp';
+            toSeconds = 0.001;
+        } else if (/(^|[^a-z])(us|µs|usec|micro)/.test(name)) {
+            unit = 'µs';
+            toSeconds = 1e-6;
+        } else if (/(^|[^a-z])(ms|msec|millis)/.test(name) || first > 1e11) {
+            unit = first > 1e11 ? 'epoch ms' : 'ms';
+            toSeconds = 0.001;
+        } else {
+            unit = first > 1e8 ? 'epoch s' : 's';
+            toSeconds = 1;
+        }
+        
+        const seconds = new Float64Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            seconds[i] = (values[i] - first) * toSeconds;
+        }
+        
+        const sampling = this.analyzeSampling(seconds);
+        if (!sampling) return null;
+        
+        // Absolute start for ISO and epoch columns (clock-only times are not dates)
+        const epochMs = unit === 'epoch s' ? first * 1000 : (toSeconds === 0.001 && first > 1e11 ? first : null);
+        
+        console.log(`⏱️ Time column "${column.name}" (${unit}): ${sampling.sampleRate.toFixed(3)} Hz${sampling.irregular ? ', irregular' : ''}`);
+        
+        return {
+            columnIndex: table.columns.indexOf(column),
+            name: column.name,
+            unit: unit,
+            seconds: seconds,
+            sampleRate: sampling.sampleRate,
+            irregular: sampling.irregular,
+            jitter: sampling.jitter,
+            startTime: epochMs !== null ? new Date(epochMs).toISOString() : null
+        };
+    }
+
+    /**
+     * Sample rate from the median interval; sampling is irregular when more
+     * than 1% of intervals deviate from the median by over 10%
+     */
+    analyzeSampling(seconds) {
+        // An evenly spaced subset of intervals is enough for long recordings
+        const step = Math.max(1, Math.floor(seconds.length / 100000));
+        const intervals = [];
+        for (let i = step; i < seconds.length; i += step) {
+            const interval = (seconds[i] - seconds[i - step]) / step;
+            if (!isNaN(interval)) intervals.push(interval);
+        }
+        if (intervals.length === 0) return null;
+        
+        const sorted = Float64Array.from(intervals).sort();
+        const median = sorted[Math.floor(sorted.length / 2)];
+        if (!(median > 0)) return null;
+        
+        const deviating = intervals.filter(interval => Math.abs(interval - median) > median * 0.1).length;
+        return {
+            sampleRate: 1 / median,
+            irregular: deviating / intervals.length > 0.01,
+            jitter: (sorted[sorted.length - 1] - sorted[0]) / median
         };
     }
 
@@ -255,43 +818,301 @@ export class UniversalDataAdapter {
     async parseNeuroimaging(file, extension) {
         if (extension === '.nii' || extension === '.nii.gz') {
             return await this.parseNIfTI(file);
+        } else if (extension === '.dcm' || extension === '.dicom') {
+            return await this.parseDICOMSeries([file]);
         } else {
             throw new Error(`Neuroimaging format ${extension} not yet implemented`);
         }
     }
 
     /**
-     * Parse NIfTI format (simplified header parsing)
+     * Parse NIfTI-1 format (.nii or gzipped .nii.gz)
      */
     async parseNIfTI(file) {
-        const arrayBuffer = await file.arrayBuffer();
+        let arrayBuffer = await this.readArrayBuffer(file);
+        
+        // Gzip magic bytes (0x1f 0x8b) - inflate regardless of extension
+        const magic = new Uint8Array(arrayBuffer, 0, 2);
+        if (magic[0] === 0x1f && magic[1] === 0x8b) {
+            arrayBuffer = await Compression.decompress(arrayBuffer, 'gzip');
+        }
+        
         const dataView = new DataView(arrayBuffer);
         
+        // sizeof_hdr must read 348; otherwise the header is big-endian
+        const le = dataView.getInt32(0, true) === 348;
+        if (!le && dataView.getInt32(0, false) !== 348) {
+            throw new Error('Not a NIfTI-1 file (invalid header size)');
+        }
+        
         // NIfTI-1 header (348 bytes)
         const header = {
-            sizeofHdr: dataView.getInt32(0, true),
-            dim: Array.from({length: 8}, (_, i) => dataView.getInt16(40 + i * 2, true)),
-            datatype: dataView.getInt16(70, true),
-            bitpix: dataView.getInt16(72, true),
-            pixdim: Array.from({length: 8}, (_, i) => dataView.getFloat32(76 + i * 4, true)),
-            voxOffset: dataView.getFloat32(108, true),
-            sclSlope: dataView.getFloat32(112, true),
-            sclInter: dataView.getFloat32(116, true)
+            sizeofHdr: 348,
+            littleEndian: le,
+            dim: Array.from({length: 8}, (_, i) => dataView.getInt16(40 + i * 2, le)),
+            datatype: dataView.getInt16(70, le),
+            bitpix: dataView.getInt16(72, le),
+            pixdim: Array.from({length: 8}, (_, i) => dataView.getFloat32(76 + i * 4, le)),
+            voxOffset: dataView.getFloat32(108, le),
+            sclSlope: dataView.getFloat32(112, le),
+            sclInter: dataView.getFloat32(116, le),
+            descrip: this.readString(dataView, 148, 80),
+            qformCode: dataView.getInt16(252, le),
+            sformCode: dataView.getInt16(254, le),
+            quatern: [256, 260, 264].map(o => dataView.getFloat32(o, le)),
+            qoffset: [268, 272, 276].map(o => dataView.getFloat32(o, le)),
+            srow: [280, 296, 312].map(o => Array.from({length: 4}, (_, i) => dataView.getFloat32(o + i * 4, le))),
+            magic: this.readString(dataView, 344, 4)
         };
 
-        console.log(`🧠 NIfTI: Dimensions ${header.dim.slice(1, 4).join('x')}`);
+        const dimensions = header.dim.slice(1, 4).map(d => Math.max(d, 1));
+        const frames = header.dim[0] > 3 ? Math.max(header.dim[4], 1) : 1;
+
+        console.log(`🧠 NIfTI: Dimensions ${dimensions.join('x')}${frames > 1 ? ` (${frames} volumes)` : ''}`);
+
+        // Single-file .nii stores voxels after the header (vox_offset >= 352)
+        const dataOffset = Math.max(Math.floor(header.voxOffset), 352);
+        const voxels = this.readNIfTIVoxels(arrayBuffer, header, dataOffset, dimensions);
+        
+        // Resample voxel order to RAS so slice axes match anatomical planes
+        const oriented = this.reorientToRAS(voxels.volume, dimensions, this.computeNIfTIAffine(header), voxels.rgb);
 
-        this.metadata.dimensions = header.dim.slice(1, 4);
-        this.metadata.voxelSize = header.pixdim.slice(1, 4);
+        this.metadata.dimensions = oriented.dimensions;
+        this.metadata.voxelSize = oriented.voxelSize;
+        this.metadata.orientation = oriented.orientation;
+        this.metadata.datatype = header.datatype;
+        if (frames > 1) this.metadata.frames = frames;
 
         return {
             type: 'neuroimaging',
             format: 'nifti',
             header: header,
-            dataOffset: Math.floor(header.voxOffset),
-            dimensions: header.dim.slice(1, 4),
-            voxelSize: header.pixdim.slice(1, 4)
+            dataOffset: dataOffset,
+            dimensions: oriented.dimensions,
+            voxelSize: oriented.voxelSize,
+            affine: oriented.affine,
+            orientation: oriented.orientation,
+            volume: oriented.volume,
+            rgb: oriented.rgb
+        };
+    }
+
+    /**
+     * Parse the DICOM slices of one series (see groupFiles) and stack them
+     */
+    async parseDICOMSeries(files) {
+        const parser = new DICOMParser();
+        const slices = [];
+        
+        for (const [index, file] of files.entries()) {
+            this.checkAborted();
+            this.reportProgress('Reading', index / files.length);
+            
+            const arrayBuffer = await file.arrayBuffer();
+            const { tags } = parser.parse(arrayBuffer);
+            if (!tags.PixelData || !tags.Rows || !tags.Columns) {
+                console.warn(`⚠️ Skipping ${file.name}: no image data`);
+                continue;
+            }
+            slices.push({ tags, pixels: parser.readPixels(arrayBuffer, tags) });
+        }
+        
+        if (slices.length === 0) {
+            throw new Error('No DICOM images found');
+        }
+        
+        const series = parser.stackSlices(slices[0].tags.SeriesInstanceUID || 'unknown', slices);
+        const oriented = this.reorientToRAS(series.volume, series.dimensions, series.affine);
+
+        console.log(`🩻 DICOM: series ${series.description || series.uid} (${oriented.dimensions.join('x')})`);
+
+        this.metadata.dimensions = oriented.dimensions;
+        this.metadata.voxelSize = oriented.voxelSize;
+        this.metadata.orientation = oriented.orientation;
+        this.metadata.modality = series.modality;
+        if (series.description) {
+            this.metadata.seriesDescription = series.description;
+            this.metadata.filename = `${series.description} (${files.length} DICOM file${files.length > 1 ? 's' : ''})`;
+        }
+
+        return {
+            type: 'neuroimaging',
+            format: 'dicom',
+            seriesUID: series.uid,
+            dimensions: oriented.dimensions,
+            voxelSize: oriented.voxelSize,
+            affine: oriented.affine,
+            orientation: oriented.orientation,
+            volume: oriented.volume
+        };
+    }
+
+    /**
+     * Build the voxel -> world (RAS+ millimetre) affine from sform, qform or pixdim
+     */
+    computeNIfTIAffine(header) {
+        const [dx, dy, dz] = header.pixdim.slice(1, 4).map(p => p || 1);
+        
+        if (header.sformCode > 0) {
+            return [...header.srow, [0, 0, 0, 1]];
+        }
+        
+        if (header.qformCode > 0) {
+            // Unit quaternion (a, b, c, d) with a derived from b, c, d
+            const [b, c, d] = header.quatern;
+            const a = Math.sqrt(Math.max(0, 1 - (b * b + c * c + d * d)));
+            const R = [
+                [a * a + b * b - c * c - d * d, 2 * (b * c - a * d), 2 * (b * d + a * c)],
+                [2 * (b * c + a * d), a * a + c * c - b * b - d * d, 2 * (c * d - a * b)],
+                [2 * (b * d - a * c), 2 * (c * d + a * b), a * a + d * d - b * b - c * c]
+            ];
+            // pixdim[0] (qfac) flips the third axis for left-handed storage
+            const scale = [dx, dy, header.pixdim[0] < 0 ? -dz : dz];
+            
+            return [
+                ...R.map((row, i) => [...row.map((v, j) => v * scale[j]), header.qoffset[i]]),
+                [0, 0, 0, 1]
+            ];
+        }
+        
+        // Analyze-style fallback: scaled voxel grid, assumed RAS
+        return [
+            [dx, 0, 0, 0],
+            [0, dy, 0, 0],
+            [0, 0, dz, 0],
+            [0, 0, 0, 1]
+        ];
+    }
+
+    /**
+     * Permute/flip a volume so voxel axes run Right, Anterior, Superior
+     * Returns the resampled volume with its updated affine and dimensions.
+     */
+    reorientToRAS(volume, dimensions, affine, rgb = null) {
+        // Assign each voxel axis to the world axis it is most aligned with
+        const sourceAxis = [-1, -1, -1];
+        const flip = [false, false, false];
+        const candidates = [];
+        for (let world = 0; world < 3; world++) {
+            for (let voxel = 0; voxel < 3; voxel++) {
+                candidates.push({ world, voxel, weight: Math.abs(affine[world][voxel]) });
+            }
+        }
+        candidates.sort((a, b) => b.weight - a.weight);
+        
+        const usedVoxelAxes = new Set();
+        for (const { world, voxel } of candidates) {
+            if (sourceAxis[world] !== -1 || usedVoxelAxes.has(voxel)) continue;
+            sourceAxis[world] = voxel;
+            flip[world] = affine[world][voxel] < 0;
+            usedVoxelAxes.add(voxel);
+        }
+        
+        const codes = [['L', 'R'], ['P', 'A'], ['I', 'S']];
+        const storedCodes = [0, 1, 2].map(voxel => {
+            const world = sourceAxis.indexOf(voxel);
+            return codes[world][flip[world] ? 0 : 1];
+        }).join('');
+        
+        const newDims = sourceAxis.map(axis => dimensions[axis]);
+        const voxelSize = sourceAxis.map(axis => Math.hypot(affine[0][axis], affine[1][axis], affine[2][axis]));
+        
+        // T maps new voxel indices to the original ones: A_new = A_old * T
+        const T = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 1]];
+        sourceAxis.forEach((axis, world) => {
+            T[axis][world] = flip[world] ? -1 : 1;
+            T[axis][3] = flip[world] ? dimensions[axis] - 1 : 0;
+        });
+        const newAffine = affine.map(row => [0, 1, 2, 3].map(j => row.reduce((sum, v, k) => sum + v * T[k][j], 0)));
+        
+        const orientation = `${storedCodes} → RAS`;
+        if (storedCodes === 'RAS') {
+            return { volume, rgb, dimensions: newDims, voxelSize, affine: newAffine, orientation };
+        }
+        
+        // Resample voxels in the new order; each output axis walks the
+        // original volume with a signed stride
+        const strides = [1, dimensions[0], dimensions[0] * dimensions[1]];
+        const step = sourceAxis.map((axis, world) => flip[world] ? -strides[axis] : strides[axis]);
+        const base = sourceAxis.reduce((sum, axis, world) => sum + (flip[world] ? (newDims[world] - 1) * strides[axis] : 0), 0);
+        const newVolume = new Float32Array(volume.length);
+        const newRGB = rgb ? new Uint8Array(rgb.length) : null;
+        let n = 0;
+        
+        for (let z = 0; z < newDims[2]; z++) {
+            for (let y = 0; y < newDims[1]; y++) {
+                let index = base + y * step[1] + z * step[2];
+                for (let x = 0; x < newDims[0]; x++, index += step[0], n++) {
+                    newVolume[n] = volume[index];
+                    if (newRGB) {
+                        newRGB[n * 3] = rgb[index * 3];
+                        newRGB[n * 3 + 1] = rgb[index * 3 + 1];
+                        newRGB[n * 3 + 2] = rgb[index * 3 + 2];
+                    }
+                }
+            }
+        }
+        
+        return { volume: newVolume, rgb: newRGB, dimensions: newDims, voxelSize, affine: newAffine, orientation };
+    }
+
+    /**
+     * Extract the first 3D volume as scaled Float32 voxels
+     */
+    readNIfTIVoxels(arrayBuffer, header, dataOffset, dimensions) {
+        // datatype code -> [typed array, bytes per voxel]
+        const types = {
+            2: [Uint8Array, 1],
+            4: [Int16Array, 2],
+            8: [Int32Array, 4],
+            16: [Float32Array, 4],
+            64: [Float64Array, 8],
+            128: [Uint8Array, 3],   // RGB24, interleaved
+            256: [Int8Array, 1],
+            512: [Uint16Array, 2],
+            768: [Uint32Array, 4]
         };
+        
+        if (!types[header.datatype]) {
+            throw new Error(`NIfTI datatype ${header.datatype} not supported`);
+        }
+        
+        const [ArrayType, bytesPerVoxel] = types[header.datatype];
+        const voxelCount = dimensions[0] * dimensions[1] * dimensions[2];
+        const byteLength = voxelCount * bytesPerVoxel;
+        
+        if (dataOffset + byteLength > arrayBuffer.byteLength) {
+            throw new Error('NIfTI voxel data is truncated');
+        }
+        
+        // Copy to an aligned buffer so typed arrays can view it directly
+        const bytes = new Uint8Array(arrayBuffer.slice(dataOffset, dataOffset + byteLength));
+        const elementSize = ArrayType.BYTES_PER_ELEMENT;
+        if (!header.littleEndian && elementSize > 1) {
+            for (let i = 0; i < bytes.length; i += elementSize) {
+                bytes.subarray(i, i + elementSize).reverse();
+            }
+        }
+        
+        const raw = new ArrayType(bytes.buffer);
+        const volume = new Float32Array(voxelCount);
+        let rgb = null;
+        
+        if (header.datatype === 128) {
+            rgb = raw;
+            for (let i = 0; i < voxelCount; i++) {
+                volume[i] = 0.299 * raw[i * 3] + 0.587 * raw[i * 3 + 1] + 0.114 * raw[i * 3 + 2];
+            }
+        } else {
+            // scl_slope of 0 means "no scaling"
+            const slope = header.sclSlope && isFinite(header.sclSlope) ? header.sclSlope : 1;
+            const inter = isFinite(header.sclInter) ? header.sclInter : 0;
+            for (let i = 0; i < voxelCount; i++) {
+                volume[i] = raw[i] * slope + inter;
+            }
+        }
+        
+        return { volume, rgb };
     }
 
     /**
@@ -305,7 +1126,7 @@ export class UniversalDataAdapter {
         } else if (extension === '.ply') {
             return await this.parsePLY(file);
         } else if (extension === '.gltf' || extension === '.glb') {
-            return await this.parseGLTF(file, extension);
+            return await this.parseGLTF(file);
         } else {
             throw new Error(`3D mesh format ${extension} not yet implemented`);
         }
@@ -313,83 +1134,241 @@ export class UniversalDataAdapter {
 
     /**
      * Parse OBJ file format (Wavefront)
+     * Faces are fan-triangulated and expanded per corner so the result can be drawn directly.
+     * Consecutive faces with the same usemtl material form a draw group; materials
+     * (Kd, d, map_Kd) come from mtllib files dropped together with the .obj.
      */
     async parseOBJ(file) {
-        const text = await file.text();
-        const lines = text.split('\n');
+        const text = await this.readText(file);
         
         const vertices = [];
         const normals = [];
         const texcoords = [];
-        const faces = [];
         
-        for (const line of lines) {
-            const parts = line.trim().split(/\s+/);
-            const type = parts[0];
-            
+        const positions = [];
+        const cornerNormals = [];
+        const uvs = [];
+        const libraries = [];
+        const groups = [];
+        let faceCount = 0;
+        let missingNormals = false;
+        
+        // OBJ indices start at 1; negative indices count back from the latest element
+        const resolve = (index, count) => {
+            const i = parseInt(index);
+            return i < 0 ? count + i : i - 1;
+        };
+        
+        const useMaterial = (name) => {
+            const start = positions.length / 3;
+            const last = groups[groups.length - 1];
+            if (last && last.count === 0) {
+                last.material = name;
+            } else if (!last || last.material !== name) {
+                groups.push({ material: name, start: start, count: 0 });
+            }
+        };
+        
+        this.eachLine(text, (line) => {
+            const parts = line.trim().split(/\s+/);
+            const type = parts[0];
+            
             if (type === 'v') {
                 // Vertex position
-                vertices.push([
-                    parseFloat(parts[1]),
-                    parseFloat(parts[2]),
-                    parseFloat(parts[3])
-                ]);
+                vertices.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
             } else if (type === 'vn') {
                 // Vertex normal
-                normals.push([
-                    parseFloat(parts[1]),
-                    parseFloat(parts[2]),
-                    parseFloat(parts[3])
-                ]);
+                normals.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
             } else if (type === 'vt') {
                 // Texture coordinate
-                texcoords.push([
-                    parseFloat(parts[1]),
-                    parseFloat(parts[2])
-                ]);
+                texcoords.push(parseFloat(parts[1]), parseFloat(parts[2]) || 0);
+            } else if (type === 'mtllib') {
+                libraries.push(...parts.slice(1));
+            } else if (type === 'usemtl') {
+                useMaterial(parts.slice(1).join(' '));
             } else if (type === 'f') {
-                // Face (triangle or quad)
-                const face = [];
-                for (let i = 1; i < parts.length; i++) {
-                    const indices = parts[i].split('/');
-                    face.push({
-                        v: parseInt(indices[0]) - 1,  // OBJ indices start at 1
-                        vt: indices[1] ? parseInt(indices[1]) - 1 : null,
-                        vn: indices[2] ? parseInt(indices[2]) - 1 : null
-                    });
+                // Face (triangle or polygon)
+                const corners = parts.slice(1).map(corner => {
+                    const indices = corner.split('/');
+                    return {
+                        v: resolve(indices[0], vertices.length / 3),
+                        vt: indices[1] ? resolve(indices[1], texcoords.length / 2) : -1,
+                        vn: indices[2] ? resolve(indices[2], normals.length / 3) : -1
+                    };
+                });
+                
+                if (groups.length === 0) useMaterial(null);
+                
+                for (let i = 1; i < corners.length - 1; i++) {
+                    for (const corner of [corners[0], corners[i], corners[i + 1]]) {
+                        positions.push(vertices[corner.v * 3], vertices[corner.v * 3 + 1], vertices[corner.v * 3 + 2]);
+                        
+                        if (corner.vn >= 0) {
+                            cornerNormals.push(normals[corner.vn * 3], normals[corner.vn * 3 + 1], normals[corner.vn * 3 + 2]);
+                        } else {
+                            missingNormals = true;
+                        }
+                        
+                        // Corners without a vt get (0, 0) so textured groups stay aligned
+                        if (corner.vt >= 0) {
+                            uvs.push(texcoords[corner.vt * 2], texcoords[corner.vt * 2 + 1]);
+                        } else {
+                            uvs.push(0, 0);
+                        }
+                    }
+                    groups[groups.length - 1].count += 3;
                 }
-                faces.push(face);
+                faceCount++;
             }
-        }
+        });
 
-        console.log(`📐 OBJ: ${vertices.length} vertices, ${faces.length} faces`);
+        const positionArray = new Float32Array(positions);
+        const materials = await this.loadOBJMaterials(libraries, groups);
 
-        this.metadata.vertexCount = vertices.length;
-        this.metadata.faceCount = faces.length;
+        console.log(`📐 OBJ: ${vertices.length / 3} vertices, ${faceCount} faces, ${materials.length} materials`);
+
+        this.metadata.vertexCount = vertices.length / 3;
+        this.metadata.faceCount = faceCount;
+        if (materials.length > 0) {
+            this.metadata.materialCount = materials.length;
+            this.metadata.textureCount = materials.filter(material => material.texture).length;
+        }
 
         return {
             type: 'mesh3d',
             format: 'obj',
-            vertices: vertices,
-            normals: normals,
-            texcoords: texcoords,
-            faces: faces
+            positions: positionArray,
+            normals: missingNormals ? this.computeFlatNormals(positionArray) : new Float32Array(cornerNormals),
+            uvs: texcoords.length > 0 ? new Float32Array(uvs) : null,
+            groups: groups.filter(group => group.count > 0),
+            materials: materials,
+            triangleCount: positionArray.length / 9
         };
     }
 
+    /**
+     * Resolve mtllib files among the companions and build the materials used
+     * by the draw groups, decoding map_Kd textures into ImageBitmaps
+     */
+    async loadOBJMaterials(libraries, groups) {
+        const definitions = {};
+        for (const library of libraries) {
+            const mtl = this.findCompanion(library);
+            if (!mtl) {
+                console.warn(`⚠️ Material library ${library} was not dropped with the OBJ`);
+                continue;
+            }
+            Object.assign(definitions, this.parseMTL(await mtl.text()));
+        }
+        
+        const used = [...new Set(groups.map(group => group.material).filter(name => name !== null))];
+        if (used.length === 0) return [];
+        
+        const textures = new Map();
+        const materials = [];
+        for (const name of used) {
+            const definition = definitions[name] || {};
+            let texture = null;
+            
+            if (definition.map_Kd) {
+                if (!textures.has(definition.map_Kd)) {
+                    const image = this.findCompanion(definition.map_Kd);
+                    textures.set(definition.map_Kd, image ? await this.decodeTexture(image) : null);
+                    if (!image) console.warn(`⚠️ Texture ${definition.map_Kd} was not dropped with the OBJ`);
+                }
+                texture = textures.get(definition.map_Kd);
+            }
+            
+            materials.push({
+                name: name,
+                color: definition.Kd || [0.8, 0.8, 0.8],
+                opacity: definition.d !== undefined ? definition.d : 1,
+                texture: texture
+            });
+        }
+        
+        return materials;
+    }
+
+    /**
+     * Parse a Wavefront material library into {name: {Kd, d, map_Kd}}
+     */
+    parseMTL(text) {
+        const materials = {};
+        let current = null;
+        
+        text.split(/\r?\n/).forEach(line => {
+            const parts = line.trim().split(/\s+/);
+            const keyword = parts[0];
+            
+            if (keyword === 'newmtl') {
+                current = {};
+                materials[parts.slice(1).join(' ')] = current;
+            } else if (!current) {
+                return;
+            } else if (keyword === 'Kd') {
+                current.Kd = parts.slice(1, 4).map(parseFloat);
+            } else if (keyword === 'd') {
+                current.d = parseFloat(parts[1]);
+            } else if (keyword === 'Tr' && current.d === undefined) {
+                // Tr is transparency, the inverse of d
+                current.d = 1 - parseFloat(parts[1]);
+            } else if (keyword === 'map_Kd') {
+                current.map_Kd = this.mapFilename(parts.slice(1));
+            }
+        });
+        
+        return materials;
+    }
+
+    /**
+     * Texture file name from a map_* statement, skipping options such as "-s 1 1 1"
+     */
+    mapFilename(tokens) {
+        let i = 0;
+        while (i < tokens.length - 1 && tokens[i].startsWith('-')) {
+            i++;
+            while (i < tokens.length - 1 && /^(-?[\d.]+|on|off|[rgbmlz])$/.test(tokens[i])) i++;
+        }
+        return tokens.slice(i).join(' ');
+    }
+
+    /**
+     * Lower-cased file names of the textures a parsed material library references
+     */
+    textureNames(materials) {
+        return new Set(Object.values(materials)
+            .filter(material => material.map_Kd)
+            .map(material => material.map_Kd.replace(/\\/g, '/').split('/').pop().toLowerCase()));
+    }
+
+    /**
+     * Decode an image file into an ImageBitmap for upload as a WebGL texture
+     */
+    async decodeTexture(file) {
+        if (typeof createImageBitmap !== 'function') return null;
+        try {
+            return await createImageBitmap(file);
+        } catch (error) {
+            console.warn(`⚠️ Could not decode texture ${file.name}: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Parse STL file format (ASCII or Binary)
      */
     async parseSTL(file) {
-        const text = await file.text();
+        const arrayBuffer = await this.readArrayBuffer(file);
         
-        // Check if ASCII or Binary
-        if (text.toLowerCase().startsWith('solid')) {
-            return await this.parseSTLAscii(text);
-        } else {
-            // Binary STL
-            const arrayBuffer = await file.arrayBuffer();
+        // Binary files may also start with "solid"; their size is exact
+        const isBinary = arrayBuffer.byteLength >= 84 &&
+            arrayBuffer.byteLength === 84 + new DataView(arrayBuffer).getUint32(80, true) * 50;
+        
+        if (isBinary) {
             return await this.parseSTLBinary(arrayBuffer);
+        } else {
+            return await this.parseSTLAscii(new TextDecoder().decode(arrayBuffer));
         }
     }
 
@@ -397,14 +1376,12 @@ export class UniversalDataAdapter {
      * Parse ASCII STL
      */
     async parseSTLAscii(text) {
-        const lines = text.split('\n');
-        const vertices = [];
+        const positions = [];
         const normals = [];
         
-        let currentNormal = null;
-        let vertexBuffer = [];
+        let currentNormal = [0, 0, 0];
         
-        for (const line of lines) {
+        this.eachLine(text, (line) => {
             const trimmed = line.trim().toLowerCase();
             
             if (trimmed.startsWith('facet normal')) {
@@ -416,27 +1393,23 @@ export class UniversalDataAdapter {
                 ];
             } else if (trimmed.startsWith('vertex')) {
                 const parts = trimmed.split(/\s+/);
-                const vertex = [
-                    parseFloat(parts[1]),
-                    parseFloat(parts[2]),
-                    parseFloat(parts[3])
-                ];
-                vertices.push(vertex);
-                normals.push(currentNormal);
+                positions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                normals.push(...currentNormal);
             }
-        }
+        });
 
-        console.log(`📐 STL (ASCII): ${vertices.length} vertices, ${vertices.length / 3} triangles`);
+        const vertexCount = positions.length / 3;
+        console.log(`📐 STL (ASCII): ${vertexCount} vertices, ${vertexCount / 3} triangles`);
 
-        this.metadata.vertexCount = vertices.length;
-        this.metadata.triangleCount = vertices.length / 3;
+        this.metadata.vertexCount = vertexCount;
+        this.metadata.triangleCount = vertexCount / 3;
 
         return {
             type: 'mesh3d',
             format: 'stl',
-            vertices: vertices,
-            normals: normals,
-            triangleCount: vertices.length / 3
+            positions: new Float32Array(positions),
+            normals: new Float32Array(normals),
+            triangleCount: vertexCount / 3
         };
     }
 
@@ -449,28 +1422,26 @@ export class UniversalDataAdapter {
         // Skip 80-byte header
         const triangleCount = dataView.getUint32(80, true);
         
-        const vertices = [];
-        const normals = [];
+        const positions = new Float32Array(triangleCount * 9);
+        const normals = new Float32Array(triangleCount * 9);
         
         let offset = 84; // After header and count
         
         for (let i = 0; i < triangleCount; i++) {
-            // Normal vector
-            const normal = [
-                dataView.getFloat32(offset, true),
-                dataView.getFloat32(offset + 4, true),
-                dataView.getFloat32(offset + 8, true)
-            ];
+            // Normal vector, repeated for the 3 vertices
+            const nx = dataView.getFloat32(offset, true);
+            const ny = dataView.getFloat32(offset + 4, true);
+            const nz = dataView.getFloat32(offset + 8, true);
             offset += 12;
             
-            // 3 vertices
             for (let j = 0; j < 3; j++) {
-                vertices.push([
-                    dataView.getFloat32(offset, true),
-                    dataView.getFloat32(offset + 4, true),
-                    dataView.getFloat32(offset + 8, true)
-                ]);
-                normals.push(normal);
+                const k = i * 9 + j * 3;
+                positions[k] = dataView.getFloat32(offset, true);
+                positions[k + 1] = dataView.getFloat32(offset + 4, true);
+                positions[k + 2] = dataView.getFloat32(offset + 8, true);
+                normals[k] = nx;
+                normals[k + 1] = ny;
+                normals[k + 2] = nz;
                 offset += 12;
             }
             
@@ -478,118 +1449,226 @@ export class UniversalDataAdapter {
             offset += 2;
         }
 
-        console.log(`📐 STL (Binary): ${vertices.length} vertices, ${triangleCount} triangles`);
+        console.log(`📐 STL (Binary): ${triangleCount * 3} vertices, ${triangleCount} triangles`);
 
-        this.metadata.vertexCount = vertices.length;
+        this.metadata.vertexCount = triangleCount * 3;
         this.metadata.triangleCount = triangleCount;
 
         return {
             type: 'mesh3d',
             format: 'stl',
-            vertices: vertices,
+            positions: positions,
             normals: normals,
             triangleCount: triangleCount
         };
     }
 
     /**
-     * Parse PLY file format (ASCII or Binary)
+     * Parse PLY file format (ASCII and binary, see PLYParser).
+     * Vertex normals, RGB(A) colors and any other scalar vertex properties are
+     * carried through; a PLY without faces is returned as a point cloud.
      */
     async parsePLY(file) {
-        const text = await file.text();
-        const lines = text.split('\n');
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const ply = new PLYParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        }).parse(arrayBuffer);
         
-        let format = 'ascii';
-        let vertexCount = 0;
-        let faceCount = 0;
-        let headerEnd = 0;
+        const vertex = ply.elements.find(element => element.name === 'vertex');
+        if (!vertex || !vertex.columns.x || !vertex.columns.y || !vertex.columns.z) {
+            throw new Error('PLY file has no vertex element with x, y, z properties');
+        }
         
-        // Parse header
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            if (line.startsWith('format')) {
-                format = line.split(/\s+/)[1];
-            } else if (line.startsWith('element vertex')) {
-                vertexCount = parseInt(line.split(/\s+/)[2]);
-            } else if (line.startsWith('element face')) {
-                faceCount = parseInt(line.split(/\s+/)[2]);
-            } else if (line === 'end_header') {
-                headerEnd = i + 1;
-                break;
+        const { columns } = vertex;
+        const vertexCount = vertex.count;
+        const typeOf = (name) => vertex.properties.find(property => property.name === name).type;
+        
+        // Colors: red/green/blue[/alpha], r/g/b[/a] or diffuse_*; integer types scale to 0..1
+        const colorNames = [['red', 'green', 'blue', 'alpha'], ['r', 'g', 'b', 'a'],
+            ['diffuse_red', 'diffuse_green', 'diffuse_blue', 'diffuse_alpha']]
+            .find(names => names.slice(0, 3).every(name => columns[name]));
+        const colorSize = colorNames && columns[colorNames[3]] ? 4 : 3;
+        const colorScale = (name) => ({ uchar: 1 / 255, char: 1 / 127, ushort: 1 / 65535, short: 1 / 32767 }[typeOf(name)] || 1);
+        
+        const normalNames = ['nx', 'ny', 'nz'].every(name => columns[name]) ? ['nx', 'ny', 'nz'] : null;
+        
+        // Every other scalar vertex property is a custom attribute (curvature, confidence, ...)
+        const known = new Set(['x', 'y', 'z', ...(normalNames || []), ...(colorNames || [])]);
+        const attributeNames = vertex.properties
+            .filter(property => !property.countType && !known.has(property.name))
+            .map(property => property.name);
+        
+        // Per-vertex arrays; meshes expand them per triangle corner below
+        const vertexPositions = new Float32Array(vertexCount * 3);
+        const vertexNormals = normalNames ? new Float32Array(vertexCount * 3) : null;
+        const vertexColors = colorNames ? new Float32Array(vertexCount * colorSize) : null;
+        for (let i = 0; i < vertexCount; i++) {
+            vertexPositions[i * 3] = columns.x[i];
+            vertexPositions[i * 3 + 1] = columns.y[i];
+            vertexPositions[i * 3 + 2] = columns.z[i];
+            if (vertexNormals) {
+                for (let k = 0; k < 3; k++) vertexNormals[i * 3 + k] = columns[normalNames[k]][i];
             }
         }
-
-        const vertices = [];
-        const faces = [];
+        if (vertexColors) {
+            for (let k = 0; k < colorSize; k++) {
+                const channel = columns[colorNames[k]];
+                const scale = colorScale(colorNames[k]);
+                for (let i = 0; i < vertexCount; i++) vertexColors[i * colorSize + k] = channel[i] * scale;
+            }
+            // Float colors may still be written as 0..255
+            if (colorScale(colorNames[0]) === 1 && vertexColors.some(c => c > 1)) {
+                vertexColors.forEach((c, i) => { vertexColors[i] = c / 255; });
+            }
+        }
+        const vertexAttributes = {};
+        attributeNames.forEach(name => {
+            vertexAttributes[name] = columns[name] instanceof Float32Array ? columns[name] : Float32Array.from(columns[name]);
+        });
         
-        // Parse vertices
-        for (let i = 0; i < vertexCount; i++) {
-            const parts = lines[headerEnd + i].trim().split(/\s+/);
-            vertices.push([
-                parseFloat(parts[0]),
-                parseFloat(parts[1]),
-                parseFloat(parts[2])
-            ]);
+        const face = ply.elements.find(element => element.name === 'face');
+        const faceList = face && (face.lists.vertex_indices || face.lists.vertex_index || Object.values(face.lists)[0]);
+        
+        this.metadata.vertexCount = vertexCount;
+        this.metadata.plyFormat = ply.format;
+        if (attributeNames.length > 0) this.metadata.attributes = attributeNames;
+        
+        if (!faceList || face.count === 0) {
+            console.log(`☁️ PLY (${ply.format}): ${vertexCount} points, no faces`);
+            
+            this.metadata.pointCount = vertexCount;
+            this.metadata.hasColors = !!vertexColors;
+            
+            return {
+                type: 'pointcloud',
+                format: 'ply',
+                positions: vertexPositions,
+                normals: vertexNormals,
+                colors: vertexColors,
+                colorSize: colorSize,
+                attributes: vertexAttributes,
+                pointCount: vertexCount
+            };
         }
         
-        // Parse faces
-        for (let i = 0; i < faceCount; i++) {
-            const parts = lines[headerEnd + vertexCount + i].trim().split(/\s+/);
-            const vertexIndices = parts.slice(1).map(x => parseInt(x));
-            faces.push(vertexIndices);
+        // Fan-triangulate polygons and expand every per-vertex array per corner
+        const { offsets, values } = faceList;
+        let triangleCount = 0;
+        for (let f = 0; f < face.count; f++) {
+            triangleCount += Math.max(0, offsets[f + 1] - offsets[f] - 2);
         }
-
-        console.log(`📐 PLY: ${vertices.length} vertices, ${faces.length} faces`);
-
-        this.metadata.vertexCount = vertices.length;
-        this.metadata.faceCount = faces.length;
-
+        
+        const corners = new Uint32Array(triangleCount * 3);
+        let c = 0;
+        for (let f = 0; f < face.count; f++) {
+            const first = offsets[f];
+            for (let k = first + 1; k < offsets[f + 1] - 1; k++) {
+                corners[c++] = values[first];
+                corners[c++] = values[k];
+                corners[c++] = values[k + 1];
+            }
+        }
+        for (let i = 0; i < corners.length; i++) {
+            if (corners[i] >= vertexCount) {
+                throw new Error(`PLY face references vertex ${corners[i]} but only ${vertexCount} vertices exist`);
+            }
+        }
+        
+        const expand = (source, size) => {
+            const out = new Float32Array(corners.length * size);
+            for (let i = 0; i < corners.length; i++) {
+                for (let k = 0; k < size; k++) out[i * size + k] = source[corners[i] * size + k];
+            }
+            return out;
+        };
+        
+        const positions = expand(vertexPositions, 3);
+        const attributes = {};
+        attributeNames.forEach(name => {
+            attributes[name] = expand(vertexAttributes[name], 1);
+        });
+        
+        console.log(`📐 PLY (${ply.format}): ${vertexCount} vertices, ${face.count} faces`);
+        
+        this.metadata.faceCount = face.count;
+        this.metadata.hasColors = !!vertexColors;
+        
         return {
             type: 'mesh3d',
             format: 'ply',
-            vertices: vertices,
-            faces: faces
+            positions: positions,
+            normals: vertexNormals ? expand(vertexNormals, 3) : this.computeFlatNormals(positions),
+            colors: vertexColors ? expand(vertexColors, colorSize) : null,
+            colorSize: colorSize,
+            attributes: attributes,
+            triangleCount: triangleCount
         };
     }
 
     /**
-     * Parse glTF/GLB files (basic support)
+     * Parse glTF/GLB files (see GLTFParser). External .bin buffers are
+     * looked up among the companion files dropped with the .gltf.
      */
-    async parseGLTF(file, extension) {
-        if (extension === '.gltf') {
-            const text = await file.text();
-            const gltf = JSON.parse(text);
-            
-            console.log(`📐 glTF: ${gltf.meshes ? gltf.meshes.length : 0} meshes`);
-            
-            return {
-                type: 'mesh3d',
-                format: 'gltf',
-                gltf: gltf
-            };
+    async parseGLTF(file) {
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const isGLB = GLTFParser.isGLB(arrayBuffer);
+        
+        let json;
+        let bin = null;
+        if (isGLB) {
+            ({ json, bin } = GLTFParser.readGLB(arrayBuffer));
         } else {
-            // GLB binary format
-            const arrayBuffer = await file.arrayBuffer();
-            
-            console.log(`📐 GLB: Binary format`);
-            
-            return {
-                type: 'mesh3d',
-                format: 'glb',
-                buffer: arrayBuffer
-            };
+            json = JSON.parse(new TextDecoder().decode(arrayBuffer).replace(/^\uFEFF/, ''));
+        }
+        
+        const parser = new GLTFParser({
+            resolveURI: async (uri) => {
+                const companion = this.findCompanion(uri);
+                return companion ? await companion.arrayBuffer() : null;
+            },
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        });
+        const mesh = await parser.parse(json, bin);
+        
+        if (mesh.triangleCount === 0) {
+            throw new Error('glTF scene contains no triangle geometry');
         }
+        
+        const format = isGLB ? 'glb' : 'gltf';
+        console.log(`📐 ${format.toUpperCase()}: ${mesh.meshCount} mesh instances, ${mesh.triangleCount} triangles`);
+        
+        this.metadata.vertexCount = mesh.triangleCount * 3;
+        this.metadata.triangleCount = mesh.triangleCount;
+        this.metadata.meshCount = mesh.meshCount;
+        this.metadata.nodeCount = mesh.nodeCount;
+        this.metadata.materialCount = mesh.materialCount;
+        if (json.asset.generator) this.metadata.generator = json.asset.generator;
+        
+        return {
+            type: 'mesh3d',
+            format: format,
+            positions: mesh.positions,
+            normals: mesh.normals || this.computeFlatNormals(mesh.positions),
+            colors: mesh.colors,
+            colorSize: 4,
+            triangleCount: mesh.triangleCount
+        };
     }
 
     /**
-     * Parse point cloud files (XYZ, PCD, CSV with coordinates)
+     * Parse point cloud files (XYZ, PCD, LAS, CSV with coordinates)
      */
     async parsePointCloud(file, extension) {
         if (extension === '.xyz' || extension === '.pts' || extension === '.asc') {
             return await this.parseXYZ(file);
         } else if (extension === '.pcd') {
             return await this.parsePCD(file);
+        } else if (extension === '.las' || extension === '.laz') {
+            return await this.parseLAS(file);
+        } else if (extension === '.csv' || extension === '.tsv' || extension === '.txt') {
+            return await this.parseCSVPointCloud(file);
         } else {
             throw new Error(`Point cloud format ${extension} not yet implemented`);
         }
@@ -599,92 +1678,299 @@ export class UniversalDataAdapter {
      * Parse XYZ point cloud format
      */
     async parseXYZ(file) {
-        const text = await file.text();
-        const lines = text.split('\n').filter(line => line.trim());
+        const text = await this.readText(file);
         
-        const points = [];
+        const positions = [];
         const colors = [];
         
-        for (const line of lines) {
+        this.eachLine(text, (line) => {
             const parts = line.trim().split(/\s+/).map(parseFloat);
             
-            if (parts.length >= 3) {
-                points.push([parts[0], parts[1], parts[2]]);
+            if (parts.length >= 3 && !isNaN(parts[0])) {
+                positions.push(parts[0], parts[1], parts[2]);
                 
                 // Optional RGB colors
                 if (parts.length >= 6) {
-                    colors.push([parts[3], parts[4], parts[5]]);
+                    colors.push(parts[3], parts[4], parts[5]);
                 }
             }
-        }
+        });
 
-        console.log(`☁️ Point Cloud: ${points.length} points`);
+        const pointCount = positions.length / 3;
+        const hasColors = colors.length === positions.length;
 
-        this.metadata.pointCount = points.length;
-        this.metadata.hasColors = colors.length > 0;
+        console.log(`☁️ Point Cloud: ${pointCount} points`);
+
+        this.metadata.pointCount = pointCount;
+        this.metadata.hasColors = hasColors;
 
         return {
             type: 'pointcloud',
             format: 'xyz',
-            points: points,
-            colors: colors.length > 0 ? colors : null,
-            pointCount: points.length
+            positions: new Float32Array(positions),
+            colors: hasColors ? this.normalizeColors(colors) : null,
+            pointCount: pointCount
+        };
+    }
+
+    /**
+     * Parse a delimited table with x/y/z coordinate columns as a point cloud
+     */
+    async parseCSVPointCloud(file) {
+        const table = await this.readTable(file);
+        const cloud = this.tableToPointCloud(table.columns);
+        
+        console.log(`☁️ CSV point cloud: ${cloud.pointCount} points from ${cloud.mapping.x}, ${cloud.mapping.y}, ${cloud.mapping.z}`);
+        
+        this.metadata.pointCount = cloud.pointCount;
+        this.metadata.hasColors = !!cloud.colors;
+        this.metadata.columnMapping = `${cloud.mapping.x}, ${cloud.mapping.y}, ${cloud.mapping.z}`;
+        if (cloud.droppedRows > 0) this.metadata.invalidPoints = cloud.droppedRows;
+        if (Object.keys(cloud.attributes).length > 0) this.metadata.attributes = Object.keys(cloud.attributes);
+        
+        return {
+            ...cloud,
+            format: table.dialect.delimiter === '\t' ? 'tsv' : 'csv',
+            // Kept so the columns can be mapped again in the viewer
+            columns: table.columns
+        };
+    }
+
+    /**
+     * Build a point cloud from numeric table columns. The mapping names the
+     * x, y and z columns; without one they are found by name (x, pos_x,
+     * "X (m)", ...). Red/green/blue (or r/g/b) columns become colors and the
+     * remaining numeric columns per-point attributes. Rows without finite
+     * coordinates are dropped.
+     * @param {Array<{name: string, type: string, values: ArrayLike<number>}>} columns
+     * @param {{x: string, y: string, z: string}|null} mapping
+     */
+    tableToPointCloud(columns, mapping = null) {
+        const numeric = columns.filter(column => column.type === 'numeric');
+        mapping = mapping || this.findCoordinateColumns(numeric);
+        if (!mapping) {
+            throw new Error('Table has no x, y, z columns; map the coordinate columns manually');
+        }
+        
+        const axes = ['x', 'y', 'z'].map(axis => {
+            const column = numeric.find(col => col.name === mapping[axis]);
+            if (!column) {
+                throw new Error(`Coordinate column "${mapping[axis]}" is missing or not numeric`);
+            }
+            return column;
+        });
+        
+        const rowCount = axes[0].values.length;
+        const kept = new Uint32Array(rowCount);
+        let pointCount = 0;
+        for (let row = 0; row < rowCount; row++) {
+            if (axes.every(column => isFinite(column.values[row]))) kept[pointCount++] = row;
+        }
+        if (pointCount === 0) {
+            throw new Error('Coordinate columns hold no finite values');
+        }
+        
+        const gather = (values) => {
+            const out = new Float32Array(pointCount);
+            for (let i = 0; i < pointCount; i++) out[i] = values[kept[i]];
+            return out;
         };
+        const interleave = (group) => {
+            const out = new Float32Array(pointCount * 3);
+            group.forEach((column, k) => {
+                for (let i = 0; i < pointCount; i++) out[i * 3 + k] = column.values[kept[i]];
+            });
+            return out;
+        };
+        
+        const findNamed = (names) => numeric.find(col => names.includes(col.name.trim().toLowerCase()));
+        const colorColumns = [['red', 'r'], ['green', 'g'], ['blue', 'b']].map(findNamed);
+        const hasColors = colorColumns.every(column => column && !axes.includes(column));
+        const colors = hasColors ? this.normalizeColors(interleave(colorColumns)) : null;
+        
+        const used = new Set([...axes, ...(hasColors ? colorColumns : [])]);
+        const attributes = {};
+        numeric.filter(column => !used.has(column)).forEach(column => {
+            attributes[column.name] = gather(column.values);
+        });
+        
+        return {
+            type: 'pointcloud',
+            positions: interleave(axes),
+            normals: null,
+            colors: colors,
+            colorSize: 3,
+            attributes: attributes,
+            mapping: { x: axes[0].name, y: axes[1].name, z: axes[2].name },
+            droppedRows: rowCount - pointCount,
+            pointCount: pointCount
+        };
+    }
+
+    /**
+     * Pick x/y/z columns by name, or null if any axis is missing
+     */
+    findCoordinateColumns(columns) {
+        const mapping = {};
+        for (const axis of ['x', 'y', 'z']) {
+            const column = columns.find(col => FormatSniffer.coordinateAxis(col.name) === axis);
+            if (!column) return null;
+            mapping[axis] = column.name;
+        }
+        return mapping;
     }
 
     /**
-     * Parse PCD (Point Cloud Data) format
+     * Parse PCD (Point Cloud Data) v0.7 files (see PCDParser). Points with
+     * non-finite coordinates (invalid returns in organized clouds) are dropped;
+     * packed rgb/rgba becomes colors, normal_x/y/z normals, and every other
+     * single-valued field a per-point attribute.
      */
     async parsePCD(file) {
-        const text = await file.text();
-        const lines = text.split('\n');
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const pcd = new PCDParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        }).parse(arrayBuffer);
+        
+        const { columns, fields } = pcd;
+        if (!columns.x || !columns.y || !columns.z) {
+            throw new Error('PCD file has no x, y, z fields');
+        }
         
+        // Keep points with finite coordinates
+        const kept = new Uint32Array(pcd.points);
         let pointCount = 0;
-        let dataStart = 0;
-        let fields = [];
+        for (let p = 0; p < pcd.points; p++) {
+            if (isFinite(columns.x[p]) && isFinite(columns.y[p]) && isFinite(columns.z[p])) kept[pointCount++] = p;
+        }
         
-        // Parse header
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            if (line.startsWith('FIELDS')) {
-                fields = line.split(/\s+/).slice(1);
-            } else if (line.startsWith('POINTS')) {
-                pointCount = parseInt(line.split(/\s+/)[1]);
-            } else if (line.startsWith('DATA')) {
-                dataStart = i + 1;
-                break;
+        const gather = (column, stride = 1, offset = 0) => {
+            const out = new Float32Array(pointCount);
+            for (let i = 0; i < pointCount; i++) out[i] = column[kept[i] * stride + offset];
+            return out;
+        };
+        const interleave = (names) => {
+            const out = new Float32Array(pointCount * 3);
+            names.forEach((name, k) => {
+                const values = gather(columns[name]);
+                for (let i = 0; i < pointCount; i++) out[i * 3 + k] = values[i];
+            });
+            return out;
+        };
+        
+        const positions = interleave(['x', 'y', 'z']);
+        const normalNames = ['normal_x', 'normal_y', 'normal_z'];
+        const normals = normalNames.every(name => columns[name]) ? interleave(normalNames) : null;
+        
+        // Packed colors: 0xAARRGGBB in one 32-bit value
+        const colorField = fields.find(field => (field.name === 'rgb' || field.name === 'rgba') && field.size === 4);
+        const colorSize = colorField && colorField.name === 'rgba' ? 4 : 3;
+        let colors = null;
+        if (colorField) {
+            const packed = columns[colorField.name];
+            colors = new Float32Array(pointCount * colorSize);
+            for (let i = 0; i < pointCount; i++) {
+                const value = packed[kept[i] * colorField.count];
+                colors[i * colorSize] = ((value >>> 16) & 0xff) / 255;
+                colors[i * colorSize + 1] = ((value >>> 8) & 0xff) / 255;
+                colors[i * colorSize + 2] = (value & 0xff) / 255;
+                if (colorSize === 4) colors[i * colorSize + 3] = ((value >>> 24) & 0xff) / 255;
             }
         }
+        
+        // Remaining single-valued fields (intensity, ring, label, ...); "_" is padding
+        const known = new Set(['x', 'y', 'z', ...normalNames, colorField && colorField.name]);
+        const attributes = {};
+        fields
+            .filter(field => !known.has(field.name) && field.name !== '_' && field.count === 1)
+            .forEach(field => {
+                attributes[field.name] = gather(columns[field.name]);
+            });
 
-        const points = [];
-        const colors = [];
+        console.log(`☁️ PCD (${pcd.data}): ${pointCount} points, fields ${fields.map(field => field.name).join(' ')}`);
+
+        this.metadata.pointCount = pointCount;
+        this.metadata.hasColors = !!colors;
+        this.metadata.pcdEncoding = pcd.data;
+        if (pcd.height > 1) this.metadata.organized = `${pcd.width}×${pcd.height}`;
+        if (pointCount < pcd.points) this.metadata.invalidPoints = pcd.points - pointCount;
+        if (Object.keys(attributes).length > 0) this.metadata.attributes = Object.keys(attributes);
+
+        return {
+            type: 'pointcloud',
+            format: 'pcd',
+            positions: positions,
+            normals: normals,
+            colors: colors,
+            colorSize: colorSize,
+            attributes: attributes,
+            fields: fields.map(field => field.name),
+            viewpoint: pcd.viewpoint,
+            pointCount: pointCount
+        };
+    }
+
+    /**
+     * Parse ASPRS LAS 1.2–1.4 lidar files (see LASParser). Coordinates are
+     * centered on the bounding box (the real-world center is kept as the
+     * origin); RGB becomes colors, and intensity, classification, return
+     * numbers and GPS time become per-point attributes.
+     */
+    async parseLAS(file) {
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const las = new LASParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        }).parse(arrayBuffer);
         
-        for (let i = 0; i < pointCount && (dataStart + i) < lines.length; i++) {
-            const parts = lines[dataStart + i].trim().split(/\s+/).map(parseFloat);
-            
-            if (parts.length >= 3) {
-                points.push([parts[0], parts[1], parts[2]]);
-                
-                // Check for RGB
-                if (fields.includes('rgb') && parts.length >= 4) {
-                    colors.push([parts[3], parts[4], parts[5]]);
-                }
+        const { header, rgb } = las;
+        const pointCount = header.pointCount;
+        
+        // The spec asks for 16-bit color, but many writers store 8-bit values
+        let colors = null;
+        if (rgb) {
+            let max = 0;
+            for (let i = 0; i < rgb.length; i++) if (rgb[i] > max) max = rgb[i];
+            if (max > 0) {
+                const scale = max <= 255 ? 255 : 65535;
+                colors = new Float32Array(rgb.length);
+                for (let i = 0; i < rgb.length; i++) colors[i] = rgb[i] / scale;
             }
         }
+        
+        const attributes = {
+            intensity: Float32Array.from(las.intensity),
+            classification: Float32Array.from(las.classification),
+            returnNumber: Float32Array.from(las.returnNumber),
+            numberOfReturns: Float32Array.from(las.numberOfReturns)
+        };
+        // Relative to the first point: absolute GPS times lose precision as Float32
+        if (las.gpsTime && pointCount > 0) {
+            const start = las.gpsTime[0];
+            attributes.gpsTime = Float32Array.from(las.gpsTime, time => time - start);
+        }
 
-        console.log(`☁️ PCD: ${points.length} points`);
+        console.log(`🛰️ LAS ${header.version} (format ${header.pointFormat}): ${pointCount} points`);
 
-        this.metadata.pointCount = points.length;
-        this.metadata.hasColors = colors.length > 0;
+        this.metadata.pointCount = pointCount;
+        this.metadata.hasColors = !!colors;
+        this.metadata.lasVersion = header.version;
+        this.metadata.pointFormat = header.pointFormat;
+        this.metadata.origin = las.origin;
+        if (header.generatingSoftware) this.metadata.generator = header.generatingSoftware;
+        this.metadata.attributes = Object.keys(attributes);
 
         return {
             type: 'pointcloud',
-            format: 'pcd',
-            points: points,
-            colors: colors.length > 0 ? colors : null,
-            fields: fields,
-            pointCount: points.length
+            format: 'las',
+            positions: las.positions,
+            normals: null,
+            colors: colors,
+            colorSize: 3,
+            attributes: attributes,
+            origin: las.origin,
+            pointCount: pointCount
         };
     }
 
@@ -692,37 +1978,383 @@ export class UniversalDataAdapter {
      * Parse time series data (CSV, JSON)
      */
     async parseTimeSeries(file, extension) {
-        if (extension === '.json') {
-            const text = await file.text();
-            const data = JSON.parse(text);
-            return {
-                type: 'timeseries',
-                data: data,
-                format: 'json'
-            };
+        let table;
+        let format;
+        let declaredRate = null;
+        
+        if (extension === '.json' || extension === '.ndjson' || extension === '.jsonl') {
+            const text = await this.readText(file);
+            const json = new JSONTimeSeriesReader().read(text);
+            
+            table = json;
+            format = json.shape === 'NDJSON' ? 'ndjson' : 'json';
+            declaredRate = json.sampleRate;
+            if (json.metadata && json.metadata.description) this.metadata.description = json.metadata.description;
+            this.metadata.dialect = json.shape === 'NDJSON' ? 'NDJSON rows' : `JSON ${json.shape}`;
+            this.metadata.columnTypes = this.countColumnTypes(table.columns);
         } else {
-            // Parse as CSV
-            const text = await file.text();
-            const lines = text.split('\n').filter(line => line.trim());
-            const delimiter = text.includes('\t') ? '\t' : ',';
+            // Parse as CSV/TSV
+            table = await this.readTable(file);
+            format = table.dialect.delimiter === '\t' ? 'tsv' : 'csv';
+        }
+        
+        const { channels, channelNames, units, time } = this.tableToChannels(table);
+        if (channels.length === 0) {
+            throw new Error(`${format.toUpperCase()} time series has no numeric columns`);
+        }
+        const sampleRate = time ? time.sampleRate : (declaredRate || 1);
+        
+        this.metadata.channels = channels.length;
+        this.metadata.samples = table.rowCount;
+        this.metadata.channelNames = channelNames;
+        if (time || declaredRate) {
+            this.metadata.sampleRate = sampleRate;
+            this.metadata.duration = table.rowCount / sampleRate;
+        }
+
+        return {
+            type: 'timeseries',
+            columns: table.columns,
+            headers: table.columns.map(column => column.name),
+            // Numeric columns double as channels for the line renderers
+            channels: channels,
+            channelNames: channelNames,
+            units: units,
+            time: time,
+            sampleRate: sampleRate,
+            samples: table.rowCount,
+            format: format
+        };
+    }
+
+    /**
+     * Parse NumPy .npy arrays and .npz archives (see NumPyParser). Every array
+     * of an archive is decoded and listed; the first non-empty one is shown
+     * (see arrayToData for how shapes map to views).
+     */
+    async parseNumPy(file, extension) {
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const parser = new NumPyParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        });
+        
+        const arrays = [];
+        if (NumPyParser.isNPY(arrayBuffer)) {
+            const name = file.name.replace(/\.npy$/i, '');
+            arrays.push({ name, ...parser.parse(arrayBuffer) });
+        } else if (extension === '.npz') {
+            const entries = NumPyParser.readZipEntries(arrayBuffer).filter(entry => entry.name.endsWith('.npy'));
+            for (const entry of entries) {
+                this.checkAborted();
+                const member = entry.method === 8
+                    ? await Compression.decompress(entry.data, 'deflate-raw')
+                    : entry.data.slice().buffer;
+                arrays.push({ name: entry.name.replace(/\.npy$/, ''), ...parser.parse(member) });
+            }
+            if (arrays.length === 0) {
+                throw new Error('NPZ archive contains no .npy arrays');
+            }
+        } else {
+            throw new Error('Not a NumPy .npy file (missing \\x93NUMPY magic)');
+        }
+        
+        console.log(`🔢 NumPy: ${arrays.map(array => `${array.name} ${array.shape.join('×') || 'scalar'} ${array.dtype}`).join(', ')}`);
+        
+        return this.showArrays(arrays, extension === '.npz' ? 'npz' : 'npy');
+    }
+
+    /**
+     * Parsed data for the first non-empty of several arrays; all of them
+     * stay available so the viewer can switch between them
+     */
+    showArrays(arrays, format) {
+        const index = Math.max(0, arrays.findIndex(array => array.values.length > 0));
+        const { data, metadata } = this.arrayToData(arrays[index]);
+        
+        Object.assign(this.metadata, metadata);
+        if (arrays.length > 1) {
+            this.metadata.arrays = arrays.map(array => `${array.name} (${array.shape.join('×') || 'scalar'} ${array.dtype})`);
+        }
+        
+        return {
+            ...data,
+            format: format,
+            arrays: arrays,
+            arrayIndex: index
+        };
+    }
+
+    /**
+     * Parse MATLAB Level 5 MAT-files (see MATParser). EEGLAB datasets (.set
+     * files, or MAT-files holding an EEG struct) become EEG recordings; any
+     * other file lists its numeric variables as browsable arrays.
+     */
+    async parseMAT(file) {
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const mat = await new MATParser({
+            onProgress: (fraction) => this.reportProgress('Parsing', fraction),
+            checkAborted: () => this.checkAborted()
+        }).parse(arrayBuffer);
+        
+        const names = Object.keys(mat.variables);
+        console.log(`🧮 MAT-file: ${names.length} variables (${names.join(', ')})`);
+        
+        const eeglab = this.findEEGLAB(mat.variables);
+        if (eeglab) {
+            return await this.parseEEGLAB(eeglab);
+        }
+        
+        const arrays = this.matToArrays(mat.variables);
+        if (arrays.length === 0) {
+            throw new Error('MAT-file has no numeric variables');
+        }
+        return this.showArrays(arrays, 'mat');
+    }
+
+    /**
+     * EEGLAB fields: an EEG struct, or (newer pop_saveset) its fields saved
+     * as top-level variables
+     */
+    findEEGLAB(variables) {
+        const eeg = variables.EEG;
+        if (eeg && eeg.class === 'struct' && eeg.elements.length === 1 && 'srate' in eeg.elements[0]) {
+            return eeg.elements[0];
+        }
+        if ('srate' in variables && 'data' in variables && 'nbchan' in variables) {
+            return variables;
+        }
+        return null;
+    }
+
+    /**
+     * Map EEGLAB fields to an EEG recording: data (in the .set file or a
+     * companion .fdt), srate, chanlocs labels and events. Epoched datasets
+     * are shown with their epochs end to end.
+     */
+    async parseEEGLAB(fields) {
+        const scalar = (value) => value && value.data && value.data.length > 0 ? Number(value.data[0]) : null;
+        const sampleRate = scalar(fields.srate);
+        if (!(sampleRate > 0)) {
+            throw new Error('EEGLAB dataset has no valid srate');
+        }
+        
+        let nbchan = scalar(fields.nbchan);
+        let pnts = scalar(fields.pnts);
+        const trials = scalar(fields.trials) || 1;
+        
+        // Samples are multiplexed (channel fastest) in both storage forms
+        let samples;
+        if (typeof fields.data === 'string') {
+            samples = await this.readFDT(fields.data);
+        } else if (fields.data && fields.data.data) {
+            samples = fields.data.data;
+            nbchan = nbchan || fields.data.dims[0];
+            pnts = pnts || fields.data.dims[1];
+        } else {
+            throw new Error('EEGLAB dataset has no data');
+        }
+        
+        const length = pnts * trials;
+        if (!(nbchan > 0) || samples.length < nbchan * length) {
+            throw new Error(`EEGLAB data holds ${samples.length} values, expected ${nbchan} channels × ${length} samples`);
+        }
+        
+        const channels = Array.from({ length: nbchan }, (_, c) => {
+            const channel = new Float32Array(length);
+            for (let i = 0; i < length; i++) channel[i] = samples[i * nbchan + c];
+            return channel;
+        });
+        
+        const chanlocs = fields.chanlocs && fields.chanlocs.class === 'struct' ? fields.chanlocs.elements : [];
+        const channelNames = channels.map((_, c) =>
+            chanlocs[c] && typeof chanlocs[c].labels === 'string' && chanlocs[c].labels ? chanlocs[c].labels : `Ch ${c + 1}`
+        );
+        
+        // Latencies and durations are in samples, latencies 1-based
+        const eventList = fields.event && fields.event.class === 'struct' ? fields.event.elements : [];
+        const events = eventList
+            .filter(event => scalar(event.latency) !== null)
+            .map(event => ({
+                onset: (scalar(event.latency) - 1) / sampleRate,
+                duration: (scalar(event.duration) || 0) / sampleRate,
+                text: typeof event.type === 'string' ? event.type : String(scalar(event.type) ?? '')
+            }))
+            .sort((a, b) => a.onset - b.onset);
+        
+        console.log(`🧠 EEGLAB: ${nbchan} channels, ${length} samples at ${sampleRate} Hz${trials > 1 ? ` (${trials} epochs)` : ''}, ${events.length} events`);
+        
+        this.metadata.sampleRate = sampleRate;
+        this.metadata.channels = nbchan;
+        this.metadata.samples = length;
+        this.metadata.channelNames = channelNames;
+        this.metadata.duration = length / sampleRate;
+        this.metadata.events = events.length;
+        if (trials > 1) this.metadata.epochs = trials;
+        if (typeof fields.setname === 'string' && fields.setname) this.metadata.setName = fields.setname;
+        
+        return {
+            type: 'eeg',
+            format: 'eeglab',
+            channels: channels,
+            channelNames: channelNames,
+            // EEGLAB stores microvolts by convention
+            units: channels.map(() => 'µV'),
+            sampleRate: sampleRate,
+            samples: length,
+            events: events
+        };
+    }
+
+    /**
+     * Companion file by the path a header or model gives it (directories are
+     * dropped, since only file names survive a drop), or else the only one
+     * with the expected extension (files are often renamed without updating
+     * the header)
+     */
+    findCompanion(path, extension = null) {
+        const wanted = (path || '').replace(/\\/g, '/').split('/').pop().toLowerCase();
+        const byName = this.companions.find(file => file.name.toLowerCase() === wanted);
+        if (byName) return byName;
+        if (!extension) return null;
+        const byExtension = this.companions.filter(file => this.getFileExtension(file.name) === extension);
+        return byExtension.length === 1 ? byExtension[0] : null;
+    }
+
+    /**
+     * Read the float32 samples of an EEGLAB .fdt file from the companions
+     */
+    async readFDT(filename) {
+        const fdt = this.findCompanion(filename, '.fdt');
+        if (!fdt) {
+            throw new Error(`EEGLAB data is stored in ${filename}; load it together with the .set file`);
+        }
+        
+        const buffer = await this.readArrayBuffer(fdt);
+        return new Float32Array(buffer, 0, Math.floor(buffer.byteLength / 4));
+    }
+
+    /**
+     * Numeric variables of a MAT-file as arrays (see arrayToData), walking
+     * into structs ("s.field", "s(2).field") and cells ("c{3}"). Singleton
+     * dimensions are dropped so row and column vectors become 1-D.
+     */
+    matToArrays(variables, prefix = '') {
+        const arrays = [];
+        Object.entries(variables).forEach(([name, value]) => {
+            if (!value || typeof value !== 'object' || value.unsupported) return;
+            const path = prefix + name;
             
-            const headers = lines[0].split(delimiter);
-            const data = lines.slice(1).map(line => {
-                const values = line.split(delimiter);
-                const row = {};
-                headers.forEach((header, i) => {
-                    row[header.trim()] = isNaN(values[i]) ? values[i] : parseFloat(values[i]);
+            if (value.class === 'struct') {
+                value.elements.forEach((element, i) => {
+                    const elementPath = value.elements.length === 1 ? path : `${path}(${i + 1})`;
+                    arrays.push(...this.matToArrays(element, `${elementPath}.`));
                 });
-                return row;
-            });
+            } else if (value.class === 'cell') {
+                value.cells.forEach((cell, i) => {
+                    arrays.push(...this.matToArrays({ [`{${i + 1}}`]: cell }, path));
+                });
+            } else if (value.data && value.data.length > 0) {
+                const shape = value.dims.filter(size => size !== 1);
+                if (shape.length === 0) shape.push(1);
+                arrays.push({
+                    name: path,
+                    dtype: value.logical ? 'logical' : value.class + (value.imag ? ' (real part)' : ''),
+                    shape: shape,
+                    values: NumPyParser.toCOrder(Float32Array.from(value.data), shape)
+                });
+            }
+        });
+        return arrays;
+    }
 
+    /**
+     * Map a decoded array onto a view by its shape: 1-D arrays and long,
+     * narrow 2-D arrays are time series (channels along the short axis), N×3
+     * arrays point clouds, other 2-D arrays heatmap matrices and 3-D arrays
+     * volumes with axes (x, y, z). Returns the parsed data and its metadata
+     * without touching the adapter's state.
+     * @param {{name: string, dtype: string, shape: number[], values: Float32Array}} array
+     * @returns {{data: Object, metadata: Object}}
+     */
+    arrayToData(array) {
+        const { name, dtype, values } = array;
+        const shape = array.shape.length > 0 ? array.shape : [1];
+        const metadata = { arrayName: name, shape: shape.join('×'), dtype: dtype };
+        
+        if (shape.length > 3) {
+            throw new Error(`${name}: arrays with ${shape.length} dimensions are not supported`);
+        }
+        if (values.length === 0) {
+            throw new Error(`${name}: array is empty (shape ${shape.join('×')})`);
+        }
+        
+        if (shape.length === 3) {
+            // C order has the last axis fastest; volumes want x fastest
+            const [nx, ny, nz] = shape;
+            const volume = new Float32Array(values.length);
+            for (let x = 0; x < nx; x++) {
+                for (let y = 0; y < ny; y++) {
+                    for (let z = 0; z < nz; z++) {
+                        volume[x + y * nx + z * nx * ny] = values[(x * ny + y) * nz + z];
+                    }
+                }
+            }
+            Object.assign(metadata, { dimensions: [nx, ny, nz], voxelSize: [1, 1, 1] });
+            return {
+                metadata,
+                data: { type: 'neuroimaging', dimensions: [nx, ny, nz], voxelSize: [1, 1, 1], affine: null, volume: volume }
+            };
+        }
+        
+        const [rows, cols] = shape.length === 2 ? shape : [shape[0], 1];
+        
+        if (cols === 3 && rows > 3) {
+            Object.assign(metadata, { pointCount: rows, hasColors: false });
+            return {
+                metadata,
+                data: { type: 'pointcloud', positions: values, normals: null, colors: null, colorSize: 3, attributes: {}, pointCount: rows }
+            };
+        }
+        
+        const matrix = { values, rows, cols };
+        const short = Math.min(rows, cols);
+        const long = Math.max(rows, cols);
+        if (short === 1 || (short <= 64 && long >= short * 4)) {
+            // (samples, channels) or (channels, samples)
+            const byColumn = rows >= cols;
+            const channels = Array.from({ length: short }, (_, c) => {
+                const channel = new Float32Array(long);
+                for (let i = 0; i < long; i++) channel[i] = byColumn ? values[i * cols + c] : values[c * cols + i];
+                return channel;
+            });
+            const channelNames = short === 1 ? [name] : channels.map((_, c) => `${name}[${c}]`);
+            Object.assign(metadata, {
+                channels: short,
+                samples: long,
+                channelNames: channelNames,
+                missingValues: MissingValues.count(channels)
+            });
             return {
-                type: 'timeseries',
-                data: data,
-                headers: headers,
-                format: 'csv'
+                metadata,
+                data: {
+                    type: 'timeseries',
+                    channels: channels,
+                    channelNames: channelNames,
+                    units: null,
+                    // NumPy arrays carry no timing; the rate can be set in the viewer
+                    sampleRate: 1,
+                    samples: long,
+                    matrix: shape.length === 2 ? matrix : null
+                }
             };
         }
+        
+        Object.assign(metadata, { dimensions: [rows, cols] });
+        return {
+            metadata,
+            data: { type: 'matrix', matrix: matrix }
+        };
     }
 
     /**
@@ -753,6 +2385,136 @@ export class UniversalDataAdapter {
         });
     }
 
+    /**
+     * Decode TIFF files natively (see TIFFParser) so every browser can show
+     * them at full sample precision. A single page becomes an image:
+     * grayscale samples as a matrix for the heatmap, color pages as 8-bit
+     * RGBA pixels. Pages of equal size stack into a volume of gray values,
+     * first page at z = 0, so microscopy and other stacks can be sliced
+     * like scans.
+     */
+    async parseTIFF(file) {
+        const arrayBuffer = await this.readArrayBuffer(file);
+        const pages = await new TIFFParser({
+            onProgress: (fraction) => this.reportProgress('Decoding', fraction),
+            checkAborted: () => this.checkAborted()
+        }).parse(arrayBuffer);
+        
+        const first = pages[0];
+        const { width, height } = first;
+        const stack = pages.filter(page => page.width === width && page.height === height);
+        if (stack.length < pages.length) {
+            console.warn(`⚠️ TIFF: ${pages.length - stack.length} pages differ in size from the first and are not shown`);
+        }
+        const dtype = `${{ 1: 'uint', 2: 'int', 3: 'float' }[first.sampleFormat]}${first.bitsPerSample}`;
+        console.log(`🖼️ TIFF: ${width}×${height}, ${stack.length} page${stack.length > 1 ? 's' : ''}, ${first.samplesPerPixel} × ${dtype}`);
+        
+        this.metadata.width = width;
+        this.metadata.height = height;
+        this.metadata.dtype = dtype;
+        
+        if (stack.length === 1) {
+            const { gray, rgb } = this.tiffPageValues(first);
+            if (rgb) {
+                const rgba = new Uint8Array(width * height * 4);
+                for (let i = 0; i < width * height; i++) {
+                    rgba[i * 4] = rgb[i * 3];
+                    rgba[i * 4 + 1] = rgb[i * 3 + 1];
+                    rgba[i * 4 + 2] = rgb[i * 3 + 2];
+                    rgba[i * 4 + 3] = 255;
+                }
+                return { type: 'image', format: 'tiff', width, height, pixels: { width, height, rgba } };
+            }
+            return { type: 'image', format: 'tiff', width, height, matrix: { values: gray, rows: height, cols: width } };
+        }
+        
+        // Voxel x/y run left to right and bottom to top, so flip rows to show pages upright
+        const depth = stack.length;
+        const sliceSize = width * height;
+        const volume = new Float32Array(sliceSize * depth);
+        stack.forEach((page, z) => {
+            const { gray } = this.tiffPageValues(page);
+            for (let row = 0; row < height; row++) {
+                volume.set(gray.subarray(row * width, (row + 1) * width), z * sliceSize + (height - 1 - row) * width);
+            }
+        });
+        
+        const voxelSize = this.tiffVoxelSize(first);
+        this.metadata.dimensions = [width, height, depth];
+        this.metadata.voxelSize = voxelSize;
+        this.metadata.pages = depth;
+        
+        return {
+            type: 'neuroimaging',
+            format: 'tiff',
+            dimensions: [width, height, depth],
+            voxelSize: voxelSize,
+            affine: null,
+            volume: volume
+        };
+    }
+
+    /**
+     * Gray values (full precision) and, for RGB and palette pages, 8-bit colors of a TIFF page
+     */
+    tiffPageValues(page) {
+        const { data, samplesPerPixel: spp, photometric, bitsPerSample, sampleFormat } = page;
+        const count = page.width * page.height;
+        const gray = new Float32Array(count);
+        const integerMax = sampleFormat === 3 ? 1 : Math.pow(2, bitsPerSample) - 1;
+        
+        if (photometric === 3) {
+            if (!page.colorMap) throw new Error('TIFF palette image has no color map');
+            // Color map: all reds, then greens, then blues, 16 bits each
+            const size = page.colorMap.length / 3;
+            const rgb = new Uint8Array(count * 3);
+            for (let i = 0; i < count; i++) {
+                const index = data[i * spp];
+                for (let k = 0; k < 3; k++) rgb[i * 3 + k] = page.colorMap[k * size + index] >> 8;
+                gray[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+            }
+            return { gray, rgb };
+        }
+        
+        if (photometric === 2 && spp >= 3) {
+            const rgb = new Uint8Array(count * 3);
+            const scale = 255 / integerMax;
+            for (let i = 0; i < count; i++) {
+                const r = data[i * spp], g = data[i * spp + 1], b = data[i * spp + 2];
+                gray[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+                rgb[i * 3] = Math.max(0, Math.min(255, Math.round(r * scale)));
+                rgb[i * 3 + 1] = Math.max(0, Math.min(255, Math.round(g * scale)));
+                rgb[i * 3 + 2] = Math.max(0, Math.min(255, Math.round(b * scale)));
+            }
+            return { gray, rgb };
+        }
+        
+        if (photometric !== 0 && photometric !== 1) {
+            throw new Error(`Unsupported TIFF photometric interpretation ${photometric}`);
+        }
+        // Gray (plus optional alpha); WhiteIsZero inverts
+        for (let i = 0; i < count; i++) {
+            const value = data[i * spp];
+            gray[i] = photometric === 0 ? (sampleFormat === 3 ? -value : integerMax - value) : value;
+        }
+        return { gray, rgb: null };
+    }
+
+    /**
+     * Pixel size from the resolution tags (pixels per inch or cm), page
+     * spacing from an ImageJ description; [1, 1, 1] without them
+     */
+    tiffVoxelSize(page) {
+        if (!page.resolution) return [1, 1, 1];
+        // Inches and centimeters to mm; ImageJ stacks use the unit in their description
+        const imageJ = /^ImageJ=/.test(page.description);
+        const unitSize = imageJ ? 1 : ({ 2: 25.4, 3: 10 }[page.resolutionUnit] || 1);
+        const [sx, sy] = page.resolution.map(resolution => unitSize / resolution);
+        const spacing = imageJ ? /(?:^|\n)spacing=([\d.eE+-]+)/.exec(page.description) : null;
+        const sz = spacing ? parseFloat(spacing[1]) : sx;
+        return [sx, sy, sz > 0 ? sz : sx];
+    }
+
     /**
      * Parse video files
      */
@@ -769,7 +2531,7 @@ export class UniversalDataAdapter {
      * Parse generic binary data
      */
     async parseGeneric(file) {
-        const arrayBuffer = await file.arrayBuffer();
+        const arrayBuffer = await this.readArrayBuffer(file);
         return {
             type: 'generic',
             buffer: arrayBuffer,
@@ -789,6 +2551,44 @@ export class UniversalDataAdapter {
         };
     }
 
+    /**
+     * Merge BIDS sidecar JSON, channels.tsv rows and events.tsv events into loaded data
+     * @param {Object} standardized - Result of loadFile()
+     */
+    applyBIDSMetadata(standardized, { sidecar = {}, channels = [], events = [] }) {
+        const metadata = standardized.metadata;
+        const data = standardized.data;
+        
+        metadata.bids = sidecar;
+        if (sidecar.TaskName) metadata.taskName = sidecar.TaskName;
+        if (sidecar.RepetitionTime) metadata.repetitionTime = sidecar.RepetitionTime;
+        if (sidecar.Units) metadata.units = sidecar.Units;
+        
+        // Sidecar rate is authoritative for formats that do not store one (CSV/TSV);
+        // multi-rate formats keep their per-signal rates
+        const sampleRate = parseFloat(sidecar.SamplingFrequency);
+        if (sampleRate > 0) {
+            metadata.sampleRate = sampleRate;
+            if (data.channels && !data.sampleRates) {
+                data.sampleRate = sampleRate;
+            }
+        }
+        
+        if (channels.length > 0) {
+            const byName = new Map(channels.map(row => [row.name, row]));
+            const names = data.channelNames || channels.map(row => row.name);
+            data.units = names.map((name, i) => (byName.get(name) || {}).units || (data.units || [])[i] || '');
+            metadata.channelTypes = names.map(name => (byName.get(name) || {}).type || '');
+        }
+        
+        if (events.length > 0) {
+            data.events = [...(data.events || []), ...events].sort((a, b) => a.onset - b.onset);
+            metadata.events = data.events.length;
+        }
+        
+        return standardized;
+    }
+
     /**
      * Utility: Read ASCII string from DataView
      */
@@ -802,6 +2602,126 @@ export class UniversalDataAdapter {
         return str;
     }
 
+    /**
+     * Utility: Read a whole file in chunks, reporting progress and honouring cancellation
+     */
+    async readArrayBuffer(file) {
+        const bytes = new Uint8Array(file.size);
+        const reader = file.stream().getReader();
+        let offset = 0;
+        
+        try {
+            while (true) {
+                this.checkAborted();
+                const { done, value } = await reader.read();
+                if (done) break;
+                bytes.set(value.subarray(0, bytes.length - offset), offset);
+                offset += value.length;
+                this.reportProgress('Reading', Math.min(offset / bytes.length, 1));
+            }
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+        
+        return bytes.buffer;
+    }
+
+    /**
+     * Utility: Read a whole file as UTF-8 text (see readArrayBuffer)
+     */
+    async readText(file) {
+        return new TextDecoder('utf-8').decode(await this.readArrayBuffer(file));
+    }
+
+    /**
+     * Utility: Call back for each line of a text without splitting it into one
+     * huge array; reports parsing progress. Returning false stops the walk.
+     */
+    eachLine(text, callback) {
+        const step = Math.max(1, Math.floor(text.length / 100));
+        let nextReport = step;
+        let start = 0;
+        let index = 0;
+        
+        while (start <= text.length) {
+            let end = text.indexOf('\n', start);
+            if (end === -1) end = text.length;
+            const line = text.charCodeAt(end - 1) === 13 ? text.slice(start, end - 1) : text.slice(start, end);
+            
+            if (callback(line, index++) === false) break;
+            start = end + 1;
+            
+            if (start >= nextReport) {
+                this.checkAborted();
+                this.reportProgress('Parsing', Math.min(start / text.length, 1));
+                nextReport = start + step;
+            }
+        }
+    }
+
+    /**
+     * Utility: Forward load progress to the onProgress listener, once per percent
+     */
+    reportProgress(stage, fraction) {
+        if (!this.onProgress) return;
+        
+        const percent = Math.floor(fraction * 100);
+        if (this.lastProgress && this.lastProgress.stage === stage && this.lastProgress.percent === percent) return;
+        
+        this.lastProgress = { stage, percent };
+        this.onProgress({ stage, percent });
+    }
+
+    /**
+     * Utility: Abort the current load if its signal fired
+     */
+    checkAborted() {
+        if (this.signal && this.signal.aborted) {
+            throw new DOMException('Load cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Utility: Per-corner face normals for a non-indexed triangle list
+     */
+    computeFlatNormals(positions) {
+        const normals = new Float32Array(positions.length);
+        
+        for (let i = 0; i + 8 < positions.length; i += 9) {
+            const ax = positions[i + 3] - positions[i], ay = positions[i + 4] - positions[i + 1], az = positions[i + 5] - positions[i + 2];
+            const bx = positions[i + 6] - positions[i], by = positions[i + 7] - positions[i + 1], bz = positions[i + 8] - positions[i + 2];
+            let nx = ay * bz - az * by;
+            let ny = az * bx - ax * bz;
+            let nz = ax * by - ay * bx;
+            const length = Math.hypot(nx, ny, nz) || 1;
+            nx /= length; ny /= length; nz /= length;
+            
+            for (let j = 0; j < 9; j += 3) {
+                normals[i + j] = nx;
+                normals[i + j + 1] = ny;
+                normals[i + j + 2] = nz;
+            }
+        }
+        
+        return normals;
+    }
+
+    /**
+     * Utility: Colours as 0..1 floats, rescaling 0..255 values
+     */
+    normalizeColors(colors) {
+        const scale = colors.some(c => c > 1) ? 1 / 255 : 1;
+        return Float32Array.from(colors, c => c * scale);
+    }
+
+    /**
+     * Utility: Path of a file inside a dropped or picked folder (or just its name)
+     */
+    getRelativePath(file) {
+        return file.relativePath || file.webkitRelativePath || file.name;
+    }
+
     /**
      * Utility: Get file extension
      */
@@ -837,9 +2757,10 @@ export class UniversalDataAdapter {
 
     /**
      * Get suggested visualization type
+     * @param {string} type - Data type (defaults to the last loaded file's)
      */
-    suggestVisualization() {
-        switch (this.detectedType) {
+    suggestVisualization(type = this.detectedType) {
+        switch (type) {
             case 'audio':
                 return 'waveform';
             case 'eeg':
@@ -851,6 +2772,7 @@ export class UniversalDataAdapter {
             case 'pointcloud':
                 return '3d-pointcloud';
             case 'image':
+            case 'matrix':
                 return 'heatmap';
             case 'timeseries':
                 return 'timeseries';
@@ -5,6 +5,9 @@
  * Handles different visualization types and GPU-accelerated rendering.
  */
 
+import { ColorMap } from '../utils/ColorMap.js';
+import { MissingValues } from '../utils/MissingValues.js';
+
 export class VisualizationEngine {
     constructor(canvas) {
         this.canvas = canvas;
@@ -72,6 +75,11 @@ export class VisualizationEngine {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        
+        // Let the outgoing view release its canvas listeners
+        if (this.currentViz && this.currentViz.destroy) {
+            this.currentViz.destroy();
+        }
 
         console.log(`🎨 Loading visualization: ${type}`);
 
@@ -102,13 +110,14 @@ export class VisualizationEngine {
                 this.currentViz = new DefaultViz(this.gl || this.ctx, data);
         }
 
-        // Get default parameters
-        this.parameters = this.currentViz.getDefaultParameters();
+        // Get default parameters; the controls need their configs, the engine keeps plain values
+        const defaults = this.currentViz.getDefaultParameters();
+        this.parameters = Object.fromEntries(Object.entries(defaults).map(([key, config]) => [key, config.value]));
         
         // Start animation loop
         this.startAnimation();
         
-        return this.parameters;
+        return defaults;
     }
 
     /**
@@ -117,7 +126,7 @@ export class VisualizationEngine {
     updateParameters(params) {
         this.parameters = { ...this.parameters, ...params };
         if (this.currentViz) {
-            this.currentViz.updateParameters(this.parameters);
+            this.currentViz.updateParameters(params);
         }
     }
 
@@ -331,10 +340,24 @@ class TimeSeriesViz {
         this.params = {
             channels: data.data.channels.length,
             spacing: 1.0,
-            timeScale: 1.0
+            timeScale: 1.0,
+            missing: 'gaps'
         };
+        // Channels as drawn, after the missing-value strategy
+        this.channels = data.data.channels;
         this.fps = 60;
         this.lastTime = 0;
+        this.viewStart = 0; // Seconds from recording start
+        this.windowDuration = 0;
+        this.activeEvent = -1;
+    }
+
+    /**
+     * Scroll the view so the given time (seconds) is just inside the left edge
+     */
+    jumpToTime(time, eventIndex = -1) {
+        this.viewStart = Math.max(0, time - this.windowDuration * 0.1);
+        this.activeEvent = eventIndex;
     }
 
     render(timestamp) {
@@ -348,12 +371,22 @@ class TimeSeriesViz {
         
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        const channels = this.data.data.channels;
+        const channels = this.channels;
+        const channelNames = this.data.data.channelNames;
+        const units = this.data.data.units;
+        const sampleRates = this.data.data.sampleRates;
+        const sampleRate = this.data.data.sampleRate || 1;
         const numChannels = channels.length;
         const channelHeight = canvas.height / numChannels;
+        const maxSamples = Math.min(Math.max(...channels.map(ch => ch.length)), 2048);
+        this.windowDuration = maxSamples / sampleRate;
         
         channels.forEach((channel, idx) => {
-            const samples = Math.min(channel.length, 2048);
+            // Signals recorded at a lower rate span fewer samples per window
+            const channelRate = sampleRates ? sampleRates[idx] : sampleRate;
+            const windowSamples = Math.max(1, Math.round(this.windowDuration * channelRate));
+            const start = Math.floor(this.viewStart * channelRate);
+            const end = Math.min(channel.length, start + windowSamples);
             const yOffset = (idx + 0.5) * channelHeight;
             const scale = (channelHeight / 2) * 0.8;
             
@@ -361,31 +394,325 @@ class TimeSeriesViz {
             ctx.lineWidth = 1.5;
             
             ctx.beginPath();
-            for (let i = 0; i < samples; i++) {
-                const x = (i / samples) * canvas.width;
+            let penDown = false;
+            for (let i = start; i < end; i++) {
+                // NaN samples are missing values: lift the pen to leave a gap
+                if (channel[i] !== channel[i]) {
+                    penDown = false;
+                    continue;
+                }
+                
+                const x = ((i - start) / windowSamples) * canvas.width;
                 const y = yOffset - channel[i] * scale * this.params.spacing;
                 
-                if (i === 0) ctx.moveTo(x, y);
+                if (!penDown) ctx.moveTo(x, y);
                 else ctx.lineTo(x, y);
+                penDown = true;
             }
             ctx.stroke();
             
             // Channel label
             ctx.fillStyle = '#94a3b8';
             ctx.font = '12px monospace';
-            ctx.fillText(`Ch ${idx + 1}`, 10, yOffset - channelHeight / 2 + 15);
+            const name = channelNames ? channelNames[idx] : `Ch ${idx + 1}`;
+            const label = units && units[idx] ? `${name} (${units[idx]})` : name;
+            ctx.fillText(label, 10, yOffset - channelHeight / 2 + 15);
+        });
+        
+        this.renderEvents();
+    }
+
+    /**
+     * Draw event markers (annotations) that fall inside the visible window
+     */
+    renderEvents() {
+        const events = this.data.data.events;
+        if (!events || events.length === 0) return;
+        
+        const ctx = this.ctx;
+        const canvas = ctx.canvas;
+        const viewEnd = this.viewStart + this.windowDuration;
+        const toX = (t) => ((t - this.viewStart) / this.windowDuration) * canvas.width;
+        
+        ctx.font = '11px sans-serif';
+        
+        events.forEach((event, i) => {
+            if (event.onset > viewEnd || event.onset + event.duration < this.viewStart) return;
+            
+            const x = toX(event.onset);
+            const color = i === this.activeEvent ? '#f59e0b' : '#10b981';
+            
+            if (event.duration > 0) {
+                ctx.fillStyle = i === this.activeEvent ? 'rgba(245, 158, 11, 0.15)' : 'rgba(16, 185, 129, 0.1)';
+                ctx.fillRect(x, 0, toX(event.onset + event.duration) - x, canvas.height);
+            }
+            
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, canvas.height);
+            ctx.stroke();
+            
+            ctx.fillStyle = color;
+            ctx.fillText(event.text, x + 4, 12);
         });
     }
 
     updateParameters(params) {
+        if (params.missing !== undefined && params.missing !== this.params.missing) {
+            this.channels = MissingValues.apply(this.data.data.channels, params.missing);
+        }
         this.params = { ...this.params, ...params };
     }
 
     getDefaultParameters() {
-        return {
+        const params = {
             spacing: { value: 1.0, min: 0.1, max: 3.0, step: 0.1, label: 'Channel Spacing' },
             timeScale: { value: 1.0, min: 0.1, max: 10, step: 0.1, label: 'Time Scale' }
         };
+        
+        if (this.data.metadata.missingValues > 0) {
+            params.missing = { value: 'gaps', type: 'select', options: MissingValues.STRATEGIES, label: 'Missing Values' };
+        }
+        
+        return params;
+    }
+}
+
+/**
+ * 🟥 Heatmap Visualization
+ *
+ * Draws a 2-D matrix (rows top to bottom) through the color map: a NumPy
+ * matrix, the channels of a recording (one row each) or an image's pixels.
+ * Decoded RGBA pixels (color TIFF pages) are shown as they are.
+ * Large matrices are subsampled to the texture size limit.
+ */
+class HeatmapViz {
+    constructor(gl, data) {
+        this.gl = gl;
+        this.ctx = gl;
+        this.data = data;
+        this.params = {
+            smooth: false
+        };
+        
+        this.fps = 60;
+        this.lastTime = 0;
+        this.image = data.data.image || null;
+        this.grid = this.image ? null : this.buildGrid();
+        
+        if (gl && gl.createShader) {
+            this.initWebGL();
+        }
+    }
+
+    /**
+     * RGBA pixels for the matrix or channels, at most maxSize per side
+     */
+    buildGrid(maxSize = 2048) {
+        const source = this.data.data;
+        if (source.pixels) {
+            return { width: source.pixels.width, height: source.pixels.height, pixels: source.pixels.rgba, range: null };
+        }
+        
+        let rows, cols, at;
+        if (source.matrix) {
+            ({ rows, cols } = source.matrix);
+            at = (r, c) => source.matrix.values[r * cols + c];
+        } else if (source.channels) {
+            rows = source.channels.length;
+            cols = Math.max(...source.channels.map(channel => channel.length));
+            at = (r, c) => source.channels[r][c];
+        } else {
+            return null;
+        }
+        
+        const rowStep = Math.ceil(rows / maxSize);
+        const colStep = Math.ceil(cols / maxSize);
+        const height = Math.ceil(rows / rowStep);
+        const width = Math.ceil(cols / colStep);
+        const values = new Float32Array(width * height);
+        for (let r = 0; r < height; r++) {
+            for (let c = 0; c < width; c++) {
+                const value = at(r * rowStep, c * colStep);
+                values[r * width + c] = value === undefined ? NaN : value;
+            }
+        }
+        
+        const colors = ColorMap.scalarToRGB(values);
+        const pixels = new Uint8Array(width * height * 4);
+        for (let i = 0; i < values.length; i++) {
+            pixels[i * 4] = colors[i * 3] * 255;
+            pixels[i * 4 + 1] = colors[i * 3 + 1] * 255;
+            pixels[i * 4 + 2] = colors[i * 3 + 2] * 255;
+            pixels[i * 4 + 3] = 255;
+        }
+        
+        return { width, height, pixels, range: ColorMap.range(values) };
+    }
+
+    initWebGL() {
+        const gl = this.gl;
+        
+        const vsSource = `
+            attribute vec2 aPosition;
+            uniform vec2 uScale;
+            varying vec2 vUV;
+            
+            void main() {
+                vUV = vec2(aPosition.x * 0.5 + 0.5, 0.5 - aPosition.y * 0.5);
+                gl_Position = vec4(aPosition * uScale, 0.0, 1.0);
+            }
+        `;
+        
+        const fsSource = `
+            precision mediump float;
+            uniform sampler2D uTexture;
+            varying vec2 vUV;
+            
+            void main() {
+                gl_FragColor = texture2D(uTexture, vUV);
+            }
+        `;
+        
+        this.program = this.createProgram(vsSource, fsSource);
+        this.locations = {
+            position: gl.getAttribLocation(this.program, 'aPosition'),
+            scale: gl.getUniformLocation(this.program, 'uScale'),
+            texture: gl.getUniformLocation(this.program, 'uTexture')
+        };
+        
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        if (this.image) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.image);
+        } else if (this.grid) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.grid.width, this.grid.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, this.grid.pixels);
+        }
+        // Non-power-of-two sizes need clamping and no mipmaps in WebGL 1
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.applyFilter();
+    }
+
+    applyFilter() {
+        const gl = this.gl;
+        const filter = this.params.smooth ? gl.LINEAR : gl.NEAREST;
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+    }
+
+    createProgram(vsSource, fsSource) {
+        const gl = this.gl;
+        
+        const vs = gl.createShader(gl.VERTEX_SHADER);
+        gl.shaderSource(vs, vsSource);
+        gl.compileShader(vs);
+        
+        const fs = gl.createShader(gl.FRAGMENT_SHADER);
+        gl.shaderSource(fs, fsSource);
+        gl.compileShader(fs);
+        
+        const program = gl.createProgram();
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
+        gl.linkProgram(program);
+        
+        return program;
+    }
+
+    /**
+     * Width and height of the drawn area as fractions of the canvas. Wide
+     * recordings stretch to fill it; matrices and images keep square cells.
+     */
+    fitScale(canvas) {
+        const width = this.image ? this.image.width : this.grid.width;
+        const height = this.image ? this.image.height : this.grid.height;
+        if (!this.image && !this.data.data.matrix && !this.data.data.pixels) return [0.95, 0.9];
+        
+        const aspect = (width / height) / (canvas.width / canvas.height);
+        return aspect > 1 ? [0.95, 0.95 / aspect] : [0.95 * aspect, 0.95];
+    }
+
+    render(timestamp) {
+        const gl = this.gl;
+        
+        if (this.lastTime) {
+            this.fps = Math.round(1000 / (timestamp - this.lastTime));
+        }
+        this.lastTime = timestamp;
+        
+        if (!gl || !gl.createShader) {
+            this.render2D();
+            return;
+        }
+        
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        if (!this.image && !this.grid) return;
+        
+        gl.useProgram(this.program);
+        gl.uniform2fv(this.locations.scale, this.fitScale(gl.canvas));
+        
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.uniform1i(this.locations.texture, 0);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(this.locations.position);
+        gl.vertexAttribPointer(this.locations.position, 2, gl.FLOAT, false, 0, 0);
+        
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    render2D() {
+        const ctx = this.ctx;
+        const canvas = ctx.canvas;
+        
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.image && !this.grid) return;
+        
+        if (!this.image && !this.bitmap) {
+            // Draw the pixels once into a matching canvas, then scale that
+            this.bitmap = document.createElement('canvas');
+            this.bitmap.width = this.grid.width;
+            this.bitmap.height = this.grid.height;
+            const pixels = new ImageData(new Uint8ClampedArray(this.grid.pixels.buffer), this.grid.width, this.grid.height);
+            this.bitmap.getContext('2d').putImageData(pixels, 0, 0);
+        }
+        
+        const [sx, sy] = this.fitScale(canvas);
+        const w = canvas.width * sx;
+        const h = canvas.height * sy;
+        ctx.imageSmoothingEnabled = this.params.smooth;
+        ctx.drawImage(this.image || this.bitmap, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+        
+        if (this.grid && this.grid.range) {
+            ctx.fillStyle = '#94a3b8';
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'left';
+            const [min, max] = this.grid.range;
+            ctx.fillText(`${+min.toPrecision(4)} … ${+max.toPrecision(4)}`, 10, canvas.height - 10);
+        }
+    }
+
+    updateParameters(params) {
+        const refilter = params.smooth !== undefined && params.smooth !== this.params.smooth;
+        
+        this.params = { ...this.params, ...params };
+        if (refilter && this.texture) this.applyFilter();
+    }
+
+    getDefaultParameters() {
+        return {
+            smooth: { value: false, type: 'checkbox', label: 'Smooth' }
+        };
     }
 }
 
@@ -415,7 +742,41 @@ class DefaultViz {
 }
 
 /**
- * 📐 3D Mesh Visualization (OBJ, STL, PLY)
+ * Center and scale that fit a position array into the [-1, 1] cube in front
+ * of the 3D views' camera, whatever units the file uses
+ */
+function fitToView(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const value = positions[i + k];
+            if (value < min[k]) min[k] = value;
+            if (value > max[k]) max[k] = value;
+        }
+    }
+    if (min[0] === Infinity) return { center: [0, 0, 0], scale: 1 };
+    
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    return {
+        center: min.map((low, k) => (low + max[k]) / 2),
+        scale: extent > 0 ? 2 / extent : 1
+    };
+}
+
+/**
+ * Append a translation by -center to a column-major model-view matrix
+ */
+function fittedMatrix(m, center) {
+    const [x, y, z] = center;
+    m[12] -= m[0] * x + m[4] * y + m[8] * z;
+    m[13] -= m[1] * x + m[5] * y + m[9] * z;
+    m[14] -= m[2] * x + m[6] * y + m[10] * z;
+    return new Float32Array(m);
+}
+
+/**
+ * 📐 3D Mesh Visualization (OBJ, STL, PLY, glTF)
  */
 class Mesh3DViz {
     constructor(gl, data) {
@@ -428,7 +789,10 @@ class Mesh3DViz {
             rotationZ: 0,
             scale: 1.0,
             wireframe: false,
-            autoRotate: true
+            autoRotate: true,
+            colorBy: data.data.colors ? 'colors' : (data.data.materials && data.data.materials.length > 0 ? 'materials' : 'solid'),
+            // Names of the OBJ materials currently shown
+            materials: (data.data.materials || []).map(material => material.name)
         };
         
         this.fps = 60;
@@ -556,6 +920,8 @@ class Mesh3DViz {
         const vsSource = `
             attribute vec3 aPosition;
             attribute vec3 aNormal;
+            attribute vec4 aColor;
+            attribute vec2 aUV;
             
             uniform mat4 uModelViewMatrix;
             uniform mat4 uProjectionMatrix;
@@ -563,12 +929,17 @@ class Mesh3DViz {
             
             varying vec3 vNormal;
             varying vec3 vPosition;
+            varying vec4 vColor;
+            varying vec2 vUV;
             
             void main() {
                 vec4 pos = uModelViewMatrix * vec4(aPosition, 1.0);
                 gl_Position = uProjectionMatrix * pos;
                 vPosition = pos.xyz;
                 vNormal = (uNormalMatrix * vec4(aNormal, 0.0)).xyz;
+                vColor = aColor;
+                // OBJ texture coordinates start at the bottom of the image
+                vUV = vec2(aUV.x, 1.0 - aUV.y);
             }
         `;
         
@@ -578,9 +949,15 @@ class Mesh3DViz {
             
             varying vec3 vNormal;
             varying vec3 vPosition;
+            varying vec4 vColor;
+            varying vec2 vUV;
             
             uniform vec3 uLightDirection;
             uniform vec3 uColor;
+            uniform float uOpacity;
+            uniform bool uUseVertexColor;
+            uniform bool uUseTexture;
+            uniform sampler2D uTexture;
             
             void main() {
                 vec3 normal = normalize(vNormal);
@@ -589,8 +966,9 @@ class Mesh3DViz {
                 float diffuse = max(dot(normal, lightDir), 0.0);
                 float ambient = 0.3;
                 
-                vec3 color = uColor * (ambient + diffuse * 0.7);
-                gl_FragColor = vec4(color, 1.0);
+                vec4 base = uUseVertexColor ? vColor : vec4(uColor, uOpacity);
+                if (uUseTexture) base *= texture2D(uTexture, vUV);
+                gl_FragColor = vec4(base.rgb * (ambient + diffuse * 0.7), base.a);
             }
         `;
         
@@ -598,11 +976,17 @@ class Mesh3DViz {
         this.locations = {
             position: gl.getAttribLocation(this.program, 'aPosition'),
             normal: gl.getAttribLocation(this.program, 'aNormal'),
+            vertexColor: gl.getAttribLocation(this.program, 'aColor'),
+            uv: gl.getAttribLocation(this.program, 'aUV'),
             modelViewMatrix: gl.getUniformLocation(this.program, 'uModelViewMatrix'),
             projectionMatrix: gl.getUniformLocation(this.program, 'uProjectionMatrix'),
             normalMatrix: gl.getUniformLocation(this.program, 'uNormalMatrix'),
             lightDirection: gl.getUniformLocation(this.program, 'uLightDirection'),
-            color: gl.getUniformLocation(this.program, 'uColor')
+            color: gl.getUniformLocation(this.program, 'uColor'),
+            opacity: gl.getUniformLocation(this.program, 'uOpacity'),
+            useVertexColor: gl.getUniformLocation(this.program, 'uUseVertexColor'),
+            useTexture: gl.getUniformLocation(this.program, 'uUseTexture'),
+            texture: gl.getUniformLocation(this.program, 'uTexture')
         };
         
         this.prepareBuffers();
@@ -631,59 +1015,91 @@ class Mesh3DViz {
         const gl = this.gl;
         const meshData = this.data.data;
         
-        // Convert mesh data to flat arrays
-        const vertices = [];
-        const normals = [];
-        
-        if (meshData.format === 'obj') {
-            // Handle OBJ format
-            meshData.faces.forEach(face => {
-                // Triangulate if needed
-                for (let i = 1; i < face.length - 1; i++) {
-                    [0, i, i + 1].forEach(idx => {
-                        const v = meshData.vertices[face[idx].v];
-                        vertices.push(...v);
-                        
-                        if (face[idx].vn !== null && meshData.normals[face[idx].vn]) {
-                            const n = meshData.normals[face[idx].vn];
-                            normals.push(...n);
-                        } else {
-                            normals.push(0, 0, 1); // Default normal
-                        }
-                    });
-                }
-            });
-        } else if (meshData.format === 'stl') {
-            // STL already has flat vertices
-            meshData.vertices.forEach((v, i) => {
-                vertices.push(...v);
-                normals.push(...meshData.normals[i]);
-            });
-        } else if (meshData.format === 'ply') {
-            // Handle PLY format
-            meshData.faces.forEach(face => {
-                for (let i = 1; i < face.length - 1; i++) {
-                    [0, i, i + 1].forEach(idx => {
-                        const v = meshData.vertices[face[idx]];
-                        vertices.push(...v);
-                        normals.push(0, 0, 1); // Compute normals later
-                    });
-                }
-            });
-        }
+        // Parsers deliver non-indexed triangle lists as Float32Arrays
+        const vertices = meshData.positions || new Float32Array(0);
+        const normals = meshData.normals || new Float32Array(vertices.length);
+        this.fit = fitToView(vertices);
         
         // Create buffers
         this.positionBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
         
         this.normalBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, normals, gl.STATIC_DRAW);
+        
+        this.colorBuffer = gl.createBuffer();
+        this.updateColors();
+        
+        if (meshData.uvs) {
+            this.uvBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.uvBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, meshData.uvs, gl.STATIC_DRAW);
+        }
+        
+        // One texture per material with a decoded map_Kd image
+        this.textures = new Map();
+        (meshData.materials || []).forEach(material => {
+            if (material.texture && meshData.uvs) {
+                this.textures.set(material.name, this.createTexture(material.texture));
+            }
+        });
         
         this.vertexCount = vertices.length / 3;
     }
 
+    /**
+     * Upload an ImageBitmap as a repeating, mipmapped texture. WebGL 1 can
+     * only repeat and mipmap power-of-two images; others are clamped.
+     */
+    createTexture(image) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        
+        const isPowerOfTwo = (n) => (n & (n - 1)) === 0;
+        const webgl2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        if (webgl2 || (isPowerOfTwo(image.width) && isPowerOfTwo(image.height))) {
+            gl.generateMipmap(gl.TEXTURE_2D);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        } else {
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        
+        return texture;
+    }
+
+    /**
+     * Upload per-corner colors for the colorBy mode: the file's RGB(A), a
+     * scalar attribute through the color map, or none for the solid color
+     */
+    updateColors() {
+        const gl = this.gl;
+        const meshData = this.data.data;
+        const attribute = meshData.attributes && meshData.attributes[this.params.colorBy];
+        
+        let colors = null;
+        if (this.params.colorBy === 'colors' && meshData.colors) {
+            colors = meshData.colors;
+            this.colorSize = meshData.colorSize || 3;
+        } else if (attribute) {
+            colors = ColorMap.attributeToRGB(attribute);
+            this.colorSize = 3;
+        }
+        
+        this.useVertexColor = !!colors;
+        if (colors) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, colors, gl.STATIC_DRAW);
+        }
+    }
+
     render(timestamp) {
         const gl = this.gl;
         
@@ -719,6 +1135,7 @@ class Mesh3DViz {
         gl.uniformMatrix4fv(this.locations.normalMatrix, false, normalMatrix);
         gl.uniform3fv(this.locations.lightDirection, [0.5, 0.7, 1.0]);
         gl.uniform3fv(this.locations.color, [0.4, 0.7, 1.0]);
+        gl.uniform1i(this.locations.useVertexColor, this.useVertexColor ? 1 : 0);
         
         // Bind buffers
         gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
@@ -729,8 +1146,64 @@ class Mesh3DViz {
         gl.enableVertexAttribArray(this.locations.normal);
         gl.vertexAttribPointer(this.locations.normal, 3, gl.FLOAT, false, 0, 0);
         
+        if (this.useVertexColor) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+            gl.enableVertexAttribArray(this.locations.vertexColor);
+            gl.vertexAttribPointer(this.locations.vertexColor, this.colorSize, gl.FLOAT, false, 0, 0);
+        } else if (this.locations.vertexColor >= 0) {
+            gl.disableVertexAttribArray(this.locations.vertexColor);
+        }
+        
+        if (this.uvBuffer) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.uvBuffer);
+            gl.enableVertexAttribArray(this.locations.uv);
+            gl.vertexAttribPointer(this.locations.uv, 2, gl.FLOAT, false, 0, 0);
+        } else if (this.locations.uv >= 0) {
+            gl.disableVertexAttribArray(this.locations.uv);
+        }
+        
         // Draw
-        gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount);
+        this.drawGroups();
+    }
+
+    /**
+     * Draw the mesh, or its OBJ material groups: hidden materials are skipped
+     * and, when coloring by material, each group gets its Kd color and texture
+     */
+    drawGroups() {
+        const gl = this.gl;
+        const meshData = this.data.data;
+        gl.uniform1f(this.locations.opacity, 1.0);
+        gl.uniform1i(this.locations.useTexture, 0);
+        
+        if (!meshData.groups || !meshData.materials || meshData.materials.length === 0) {
+            gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount);
+            return;
+        }
+        
+        const byMaterial = new Map(meshData.materials.map(material => [material.name, material]));
+        const visible = new Set(this.params.materials);
+        const useMaterials = this.params.colorBy === 'materials';
+        
+        for (const group of meshData.groups) {
+            const material = byMaterial.get(group.material);
+            if (material && !visible.has(material.name)) continue;
+            
+            if (useMaterials) {
+                // Faces before the first usemtl keep the default color
+                const texture = material && this.textures.get(material.name);
+                gl.uniform3fv(this.locations.color, material ? material.color : [0.4, 0.7, 1.0]);
+                gl.uniform1f(this.locations.opacity, material ? material.opacity : 1.0);
+                gl.uniform1i(this.locations.useTexture, texture ? 1 : 0);
+                if (texture) {
+                    gl.activeTexture(gl.TEXTURE0);
+                    gl.bindTexture(gl.TEXTURE_2D, texture);
+                    gl.uniform1i(this.locations.texture, 0);
+                }
+            }
+            
+            gl.drawArrays(gl.TRIANGLES, group.start, group.count);
+        }
     }
 
     render2D() {
@@ -765,18 +1238,18 @@ class Mesh3DViz {
         // Combine parameter rotations, auto-rotation, and user interaction
         const rx = this.params.rotationX + this.rotation + this.userRotationX;
         const ry = this.params.rotationY + this.rotation + this.userRotationY;
-        const s = this.params.scale * this.userScale;
+        const s = this.params.scale * this.userScale * this.fit.scale;
         
         // Simple rotation and scale matrix
         const cx = Math.cos(rx), sx = Math.sin(rx);
         const cy = Math.cos(ry), sy = Math.sin(ry);
         
-        return new Float32Array([
+        return fittedMatrix([
             cy * s, 0, sy * s, 0,
             sx * sy * s, cx * s, -sx * cy * s, 0,
             -cx * sy * s, sx * s, cx * cy * s, 0,
             0, 0, -5, 1
-        ]);
+        ], this.fit.center);
     }
 
     createNormalMatrix(modelViewMatrix) {
@@ -785,14 +1258,32 @@ class Mesh3DViz {
     }
 
     updateParameters(params) {
+        const recolor = params.colorBy !== undefined && params.colorBy !== this.params.colorBy;
+        
         this.params = { ...this.params, ...params };
+        if (recolor && this.colorBuffer) this.updateColors();
     }
 
     getDefaultParameters() {
-        return {
+        const params = {
             scale: { value: 1.0, min: 0.1, max: 5.0, step: 0.1, label: 'Scale' },
             autoRotate: { value: true, type: 'checkbox', label: 'Auto Rotate' }
         };
+        
+        const meshData = this.data.data;
+        const materialNames = (meshData.materials || []).map(material => material.name);
+        const options = ['solid',
+            ...(meshData.colors ? ['colors'] : []),
+            ...(materialNames.length > 0 ? ['materials'] : []),
+            ...Object.keys(meshData.attributes || {})];
+        if (options.length > 1) {
+            params.colorBy = { value: this.params.colorBy, type: 'select', options: options, label: 'Color By' };
+        }
+        if (materialNames.length > 0) {
+            params.materials = { value: [...this.params.materials], type: 'toggles', options: materialNames, label: 'Materials' };
+        }
+        
+        return params;
     }
 }
 
@@ -809,7 +1300,9 @@ class PointCloud3DViz {
             rotationX: 0,
             rotationY: 0,
             scale: 1.0,
-            autoRotate: true
+            autoRotate: true,
+            colorBy: data.data.colors ? 'colors' : 'height',
+            sizeBy: 'none'
         };
         
         this.fps = 60;
@@ -933,27 +1426,28 @@ class PointCloud3DViz {
         
         const vsSource = `
             attribute vec3 aPosition;
-            attribute vec3 aColor;
+            attribute vec4 aColor;
+            attribute float aSize;
             
             uniform mat4 uModelViewMatrix;
             uniform mat4 uProjectionMatrix;
             uniform float uPointSize;
             
-            varying vec3 vColor;
+            varying vec4 vColor;
             
             void main() {
                 gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
-                gl_PointSize = uPointSize;
+                gl_PointSize = uPointSize * aSize;
                 vColor = aColor;
             }
         `;
         
         const fsSource = `
             precision mediump float;
-            varying vec3 vColor;
+            varying vec4 vColor;
             
             void main() {
-                gl_FragColor = vec4(vColor, 1.0);
+                gl_FragColor = vColor;
             }
         `;
         
@@ -961,6 +1455,7 @@ class PointCloud3DViz {
         this.locations = {
             position: gl.getAttribLocation(this.program, 'aPosition'),
             color: gl.getAttribLocation(this.program, 'aColor'),
+            size: gl.getAttribLocation(this.program, 'aSize'),
             modelViewMatrix: gl.getUniformLocation(this.program, 'uModelViewMatrix'),
             projectionMatrix: gl.getUniformLocation(this.program, 'uProjectionMatrix'),
             pointSize: gl.getUniformLocation(this.program, 'uPointSize')
@@ -992,30 +1487,77 @@ class PointCloud3DViz {
         const gl = this.gl;
         const cloudData = this.data.data;
         
-        const vertices = [];
-        const colors = [];
-        
-        cloudData.points.forEach((point, i) => {
-            vertices.push(...point);
-            
-            if (cloudData.colors && cloudData.colors[i]) {
-                colors.push(...cloudData.colors[i]);
-            } else {
-                // Default color gradient based on height
-                const t = (point[2] + 1) / 2;
-                colors.push(t, 0.5, 1 - t);
-            }
-        });
+        const vertices = cloudData.positions;
+        this.fit = fitToView(vertices);
         
         this.positionBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
         
         this.colorBuffer = gl.createBuffer();
+        this.updateColors();
+        
+        this.sizeBuffer = gl.createBuffer();
+        this.updateSizes();
+        
+        this.pointCount = vertices.length / 3;
+    }
+
+    /**
+     * Upload point colors for the colorBy mode: the file's RGB(A), a scalar
+     * attribute through the color map, or a gradient along height
+     */
+    updateColors() {
+        const gl = this.gl;
+        const cloudData = this.data.data;
+        const vertices = cloudData.positions;
+        const attribute = cloudData.attributes && cloudData.attributes[this.params.colorBy];
+        
+        let colors;
+        this.colorSize = 3;
+        if (this.params.colorBy === 'colors' && cloudData.colors) {
+            colors = cloudData.colors;
+            this.colorSize = cloudData.colorSize || 3;
+        } else if (attribute) {
+            colors = ColorMap.attributeToRGB(attribute);
+        } else {
+            // Default color gradient based on height
+            colors = new Float32Array(vertices.length);
+            for (let i = 0; i < vertices.length; i += 3) {
+                const t = ((vertices[i + 2] - this.fit.center[2]) * this.fit.scale + 1) / 2;
+                colors[i] = t;
+                colors[i + 1] = 0.5;
+                colors[i + 2] = 1 - t;
+            }
+        }
+        
         gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, colors, gl.STATIC_DRAW);
+    }
+
+    /**
+     * Upload per-point size factors for the sizeBy attribute, scaled over
+     * its robust range to 0.25–2× the point size; without one every point
+     * uses the point size as is
+     */
+    updateSizes() {
+        const gl = this.gl;
+        const cloudData = this.data.data;
+        const attribute = cloudData.attributes && cloudData.attributes[this.params.sizeBy];
         
-        this.pointCount = cloudData.points.length;
+        this.hasSizes = !!attribute;
+        if (!attribute) return;
+        
+        const [min, max] = ColorMap.range(attribute);
+        const span = max - min || 1;
+        const sizes = new Float32Array(attribute.length);
+        for (let i = 0; i < attribute.length; i++) {
+            const t = Math.min(1, Math.max(0, (attribute[i] - min) / span));
+            sizes[i] = isNaN(t) ? 1 : 0.25 + 1.75 * t;
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.sizeBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, sizes, gl.STATIC_DRAW);
     }
 
     render(timestamp) {
@@ -1053,7 +1595,16 @@ class PointCloud3DViz {
         
         gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
         gl.enableVertexAttribArray(this.locations.color);
-        gl.vertexAttribPointer(this.locations.color, 3, gl.FLOAT, false, 0, 0);
+        gl.vertexAttribPointer(this.locations.color, this.colorSize, gl.FLOAT, false, 0, 0);
+        
+        if (this.hasSizes) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.sizeBuffer);
+            gl.enableVertexAttribArray(this.locations.size);
+            gl.vertexAttribPointer(this.locations.size, 1, gl.FLOAT, false, 0, 0);
+        } else {
+            gl.disableVertexAttribArray(this.locations.size);
+            gl.vertexAttrib1f(this.locations.size, 1.0);
+        }
         
         gl.drawArrays(gl.POINTS, 0, this.pointCount);
     }
@@ -1089,29 +1640,46 @@ class PointCloud3DViz {
         // Combine parameter rotations, auto-rotation, and user interaction
         const rx = this.params.rotationX + this.rotation + this.userRotationX;
         const ry = this.params.rotationY + this.rotation + this.userRotationY;
-        const s = this.params.scale * this.userScale;
+        const s = this.params.scale * this.userScale * this.fit.scale;
         
         const cx = Math.cos(rx), sx = Math.sin(rx);
         const cy = Math.cos(ry), sy = Math.sin(ry);
         
-        return new Float32Array([
+        return fittedMatrix([
             cy * s, 0, sy * s, 0,
             sx * sy * s, cx * s, -sx * cy * s, 0,
             -cx * sy * s, sx * s, cx * cy * s, 0,
             0, 0, -5, 1
-        ]);
+        ], this.fit.center);
     }
 
     updateParameters(params) {
+        const recolor = params.colorBy !== undefined && params.colorBy !== this.params.colorBy;
+        const resize = params.sizeBy !== undefined && params.sizeBy !== this.params.sizeBy;
+        
         this.params = { ...this.params, ...params };
+        if (recolor && this.colorBuffer) this.updateColors();
+        if (resize && this.sizeBuffer) this.updateSizes();
     }
 
     getDefaultParameters() {
-        return {
+        const params = {
             pointSize: { value: 2.0, min: 0.5, max: 10.0, step: 0.5, label: 'Point Size' },
             scale: { value: 1.0, min: 0.1, max: 5.0, step: 0.1, label: 'Scale' },
             autoRotate: { value: true, type: 'checkbox', label: 'Auto Rotate' }
         };
+        
+        const cloudData = this.data.data;
+        const attributeNames = Object.keys(cloudData.attributes || {});
+        const options = [...(cloudData.colors ? ['colors'] : []), 'height', ...attributeNames];
+        if (options.length > 1) {
+            params.colorBy = { value: this.params.colorBy, type: 'select', options: options, label: 'Color By' };
+        }
+        if (attributeNames.length > 0) {
+            params.sizeBy = { value: this.params.sizeBy, type: 'select', options: ['none', ...attributeNames], label: 'Size By' };
+        }
+        
+        return params;
     }
 }
 
@@ -1139,63 +1707,127 @@ class Brain3DViz {
         this.currentSlice = null;
         this.volumeData = data.data.volume;
         this.dimensions = data.metadata.dimensions;
+        this.voxelSize = data.metadata.voxelSize || [1, 1, 1];
+        // Volumes are stored in RAS order; the affine maps voxels to world mm
+        this.affine = data.data.affine || null;
+        this.sliceRect = null;
+        this.hover = null;
         
         this.prepareSliceData();
+        
+        if (this.ctx && this.ctx.canvas) {
+            this.initMouseHover();
+        }
+    }
+
+    /**
+     * Track the voxel under the cursor and its world-space position
+     */
+    initMouseHover() {
+        // Kept so destroy() can detach them from the shared canvas
+        this.listeners = {
+            mousemove: (e) => this.updateHover(e),
+            mouseleave: () => {
+                this.hover = null;
+            }
+        };
+        Object.entries(this.listeners).forEach(([event, listener]) => this.ctx.canvas.addEventListener(event, listener));
+    }
+
+    /**
+     * Detach the hover listeners when the engine switches views
+     */
+    destroy() {
+        if (!this.listeners) return;
+        Object.entries(this.listeners).forEach(([event, listener]) => this.ctx.canvas.removeEventListener(event, listener));
+        this.listeners = null;
+    }
+
+    updateHover(e) {
+        const canvas = this.ctx.canvas;
+        const rect = this.sliceRect;
+        if (!rect || !this.currentSlice) return;
+        
+        // Mouse position in canvas pixels (canvas is DPR-scaled)
+        const px = e.offsetX * (canvas.width / canvas.clientWidth);
+        const py = e.offsetY * (canvas.height / canvas.clientHeight);
+        const col = Math.floor((px - rect.x) / rect.w * this.currentSlice.width);
+        const row = Math.floor((py - rect.y) / rect.h * this.currentSlice.height);
+        
+        if (col < 0 || row < 0 || col >= this.currentSlice.width || row >= this.currentSlice.height) {
+            this.hover = null;
+            return;
+        }
+        
+        const voxel = this.sliceToVoxel(col, row);
+        const dims = this.dimensions;
+        const value = this.volumeData[voxel[0] + voxel[1] * dims[0] + voxel[2] * dims[0] * dims[1]];
+        
+        this.hover = {
+            voxel: voxel,
+            world: this.voxelToWorld(voxel),
+            value: value
+        };
+    }
+
+    /**
+     * Map a slice pixel (column, row from top) to RAS voxel indices.
+     * Rows are flipped so anterior/superior is drawn at the top.
+     */
+    sliceToVoxel(col, row) {
+        const dims = this.dimensions;
+        const s = this.getSliceIndex();
+        
+        if (this.params.sliceAxis === 'axial') {
+            return [col, dims[1] - 1 - row, s];
+        } else if (this.params.sliceAxis === 'coronal') {
+            return [col, s, dims[2] - 1 - row];
+        }
+        return [s, col, dims[2] - 1 - row];
+    }
+
+    voxelToWorld(voxel) {
+        if (!this.affine) {
+            return voxel.map((v, i) => v * this.voxelSize[i]);
+        }
+        return this.affine.slice(0, 3).map(row =>
+            row[0] * voxel[0] + row[1] * voxel[1] + row[2] * voxel[2] + row[3]
+        );
+    }
+
+    getSliceIndex() {
+        const axisDim = { axial: 2, coronal: 1, sagittal: 0 }[this.params.sliceAxis];
+        return Math.min(this.params.sliceIndex, this.dimensions[axisDim] - 1);
     }
 
     prepareSliceData() {
         const axis = this.params.sliceAxis;
-        const idx = this.params.sliceIndex;
         const vol = this.volumeData;
         const dims = this.dimensions;
+        const vs = this.voxelSize;
         
-        if (axis === 'axial') {
-            // XY plane (slice through Z)
-            const maxSlice = dims[2] - 1;
-            const sliceIdx = Math.min(idx, maxSlice);
-            this.currentSlice = {
-                width: dims[0],
-                height: dims[1],
-                data: []
-            };
-            
-            for (let y = 0; y < dims[1]; y++) {
-                for (let x = 0; x < dims[0]; x++) {
-                    const index = x + y * dims[0] + sliceIdx * dims[0] * dims[1];
-                    this.currentSlice.data.push(vol[index] || 0);
-                }
-            }
-        } else if (axis === 'coronal') {
-            // XZ plane (slice through Y)
-            const maxSlice = dims[1] - 1;
-            const sliceIdx = Math.min(idx, maxSlice);
-            this.currentSlice = {
-                width: dims[0],
-                height: dims[2],
-                data: []
-            };
-            
-            for (let z = 0; z < dims[2]; z++) {
-                for (let x = 0; x < dims[0]; x++) {
-                    const index = x + sliceIdx * dims[0] + z * dims[0] * dims[1];
-                    this.currentSlice.data.push(vol[index] || 0);
-                }
-            }
-        } else if (axis === 'sagittal') {
-            // YZ plane (slice through X)
-            const maxSlice = dims[0] - 1;
-            const sliceIdx = Math.min(idx, maxSlice);
-            this.currentSlice = {
-                width: dims[1],
-                height: dims[2],
-                data: []
-            };
-            
-            for (let z = 0; z < dims[2]; z++) {
-                for (let y = 0; y < dims[1]; y++) {
-                    const index = sliceIdx + y * dims[0] + z * dims[0] * dims[1];
-                    this.currentSlice.data.push(vol[index] || 0);
-                }
+        // In-plane axes (RAS voxel order) for each view
+        const planes = {
+            axial: { u: 0, v: 1, labels: ['L', 'R', 'A', 'P'] },
+            coronal: { u: 0, v: 2, labels: ['L', 'R', 'S', 'I'] },
+            sagittal: { u: 1, v: 2, labels: ['P', 'A', 'S', 'I'] }
+        };
+        const plane = planes[axis];
+        
+        this.currentSlice = {
+            width: dims[plane.u],
+            height: dims[plane.v],
+            pixelWidth: vs[plane.u] || 1,
+            pixelHeight: vs[plane.v] || 1,
+            labels: plane.labels, // left, right, top, bottom
+            data: []
+        };
+        
+        for (let row = 0; row < this.currentSlice.height; row++) {
+            for (let col = 0; col < this.currentSlice.width; col++) {
+                const [x, y, z] = this.sliceToVoxel(col, row);
+                const index = x + y * dims[0] + z * dims[0] * dims[1];
+                this.currentSlice.data.push(vol[index] || 0);
             }
         }
     }
@@ -1222,14 +1854,16 @@ class Brain3DViz {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
         const slice = this.currentSlice;
-        const scaleX = canvas.width / slice.width;
-        const scaleY = canvas.height / slice.height;
-        const scale = Math.min(scaleX, scaleY);
+        // Keep the physical (mm) aspect ratio of anisotropic voxels
+        const physWidth = slice.width * slice.pixelWidth;
+        const physHeight = slice.height * slice.pixelHeight;
+        const scale = Math.min((canvas.width - 60) / physWidth, (canvas.height - 60) / physHeight);
         
-        const w = slice.width * scale;
-        const h = slice.height * scale;
+        const w = physWidth * scale;
+        const h = physHeight * scale;
         const x = (canvas.width - w) / 2;
         const y = (canvas.height - h) / 2;
+        this.sliceRect = { x, y, w, h };
         
         // Create ImageData
         const imgData = ctx.createImageData(slice.width, slice.height);
@@ -1264,11 +1898,30 @@ class Brain3DViz {
         
         ctx.drawImage(tempCanvas, x, y, w, h);
         
+        // Orientation labels
+        const [left, right, top, bottom] = slice.labels;
+        ctx.fillStyle = '#f59e0b';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(left, x - 15, y + h / 2);
+        ctx.fillText(right, x + w + 15, y + h / 2);
+        ctx.fillText(top, x + w / 2, y - 15);
+        ctx.fillText(bottom, x + w / 2, y + h + 15);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        
         // Draw info overlay
         ctx.fillStyle = '#10b981';
         ctx.font = '14px monospace';
-        ctx.fillText(`${this.params.sliceAxis.toUpperCase()} | Slice ${this.params.sliceIndex}`, 10, 20);
+        ctx.fillText(`${this.params.sliceAxis.toUpperCase()} | Slice ${this.getSliceIndex()}`, 10, 20);
         ctx.fillText(`${slice.width}×${slice.height}`, 10, 40);
+        
+        if (this.hover) {
+            const [wx, wy, wz] = this.hover.world.map(v => v.toFixed(1));
+            ctx.fillText(`Voxel (${this.hover.voxel.join(', ')}) = ${this.hover.value.toPrecision(4)}`, 10, canvas.height - 30);
+            ctx.fillText(`World (${wx}, ${wy}, ${wz}) mm`, 10, canvas.height - 10);
+        }
     }
 
     render3D() {
@@ -9,10 +9,13 @@ import { VisualizationEngine } from './core/VisualizationEngine.js';
 import { StateManager } from './core/StateManager.js';
 import { QRGenerator } from './utils/QRGenerator.js';
 import { DataSharing } from './utils/DataSharing.js';
+import { BIDSDataset } from './utils/BIDSDataset.js';
+import { ParserPool } from './utils/ParserPool.js';
 
 class ModularDataVisualizer {
     constructor() {
         this.adapter = new UniversalDataAdapter();
+        this.parserPool = new ParserPool(this.adapter);
         this.stateManager = new StateManager();
         this.qrGenerator = new QRGenerator();
         this.dataSharing = new DataSharing();
@@ -22,6 +25,11 @@ class ModularDataVisualizer {
         
         this.currentData = null;
         this.currentFile = null;
+        this.datasets = [];
+        this.activeDataset = -1;
+        this.bids = null;
+        this.loadController = null;
+        this.sharedOverrides = null;
         this.initUI();
         this.checkURLState();
     }
@@ -33,9 +41,21 @@ class ModularDataVisualizer {
         // File drop zone
         const dropZone = document.getElementById('dropZone');
         const fileInput = document.getElementById('fileInput');
+        const folderInput = document.getElementById('folderInput');
         
         dropZone.addEventListener('click', () => fileInput.click());
         
+        document.getElementById('chooseFolder').addEventListener('click', (e) => {
+            e.stopPropagation();
+            folderInput.click();
+        });
+        
+        // Progress area sits inside the drop zone; clicks there must not open the picker
+        document.getElementById('loadProgress').addEventListener('click', (e) => e.stopPropagation());
+        document.getElementById('cancelLoad').addEventListener('click', () => {
+            if (this.loadController) this.loadController.abort();
+        });
+        
         dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
             dropZone.classList.add('drag-over');
@@ -45,15 +65,25 @@ class ModularDataVisualizer {
             dropZone.classList.remove('drag-over');
         });
         
-        dropZone.addEventListener('drop', (e) => {
+        dropZone.addEventListener('drop', async (e) => {
             e.preventDefault();
             dropZone.classList.remove('drag-over');
-            this.handleFiles(e.dataTransfer.files);
+            try {
+                await this.handleFiles(await this.collectDroppedFiles(e.dataTransfer));
+            } catch (error) {
+                console.error('Error reading dropped files:', error);
+                this.showStatus(`❌ Could not read dropped files: ${error.message}`, 'error');
+            }
         });
         
         fileInput.addEventListener('change', (e) => {
             this.handleFiles(e.target.files);
         });
+        
+        // Directory picker: files arrive with webkitRelativePath set
+        folderInput.addEventListener('change', (e) => {
+            this.handleFiles(e.target.files);
+        });
 
         // Visualization selector
         const vizSelector = document.getElementById('vizSelector');
@@ -78,35 +108,323 @@ class ModularDataVisualizer {
     async handleFiles(files) {
         if (files.length === 0) return;
 
-        const file = files[0];
-        console.log(`📂 Processing: ${file.name}`);
+        // Skip hidden files such as .DS_Store from folder drops
+        const fileList = Array.from(files).filter(file => !file.name.startsWith('.'));
+        if (fileList.length === 0) return;
+        console.log(`📂 Processing: ${fileList.length} file(s)`);
 
-        try {
-            // Show loading state
-            this.showStatus('Loading file...', 'loading');
+        // Show loading state
+        this.showStatus('Loading file...', 'loading');
 
-            // Store original file for sharing
-            this.currentFile = file;
+        // BIDS folders are browsed through the tree instead of loading every file
+        const getPath = (file) => this.adapter.getRelativePath(file);
+        if (BIDSDataset.isBIDS(fileList, getPath)) {
+            await this.openBIDSDataset(fileList, getPath);
+            return;
+        }
 
-            // Load and parse file
-            this.currentData = await this.adapter.loadFile(file);
-            
-            // Update data info panel
-            this.updateDataInfo(this.currentData.metadata);
+        // Pair companion files and collect DICOM slices into series
+        const groups = await this.adapter.groupFiles(fileList);
+        const firstNew = this.datasets.length;
+        const signal = this.beginLoad();
 
-            // Auto-select visualization type
-            const suggestedViz = this.adapter.suggestVisualization();
-            document.getElementById('vizSelector').value = suggestedViz;
+        for (const [index, group] of groups.entries()) {
+            const label = groups.length > 1
+                ? `${group.primary.name} (${index + 1}/${groups.length})`
+                : group.primary.name;
+            try {
+                const { data, suggestedViz } = await this.parserPool.load(group, {
+                    signal: signal,
+                    onProgress: (progress) => this.updateLoadProgress(label, progress)
+                });
+                this.datasets.push({
+                    name: data.metadata.filename,
+                    // Store original file for sharing
+                    file: group.primary,
+                    data: data,
+                    suggestedViz: suggestedViz
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') break;
+                console.error(`Error loading ${group.primary.name}:`, error);
+                this.showStatus(`❌ ${group.primary.name}: ${error.message}`, 'error');
+            }
+        }
 
-            // Load visualization
-            await this.loadVisualization(suggestedViz);
+        this.endLoad(signal);
+        this.renderDatasetList();
+
+        if (signal.aborted) {
+            // A load replaced by a newer one leaves the status to that load
+            if (!this.loadController) this.showStatus('⏹️ Loading cancelled', 'info');
+            return;
+        }
+
+        if (this.datasets.length > firstNew) {
+            await this.activateDataset(firstNew);
+            const loaded = this.datasets.length - firstNew;
+            this.showStatus(`✅ Loaded: ${loaded === 1 ? this.datasets[firstNew].name : `${loaded} datasets`}`, 'success');
+        }
+    }
+
+    /**
+     * Collect dropped files, walking any dropped directories recursively
+     */
+    async collectDroppedFiles(dataTransfer) {
+        // Entries must be taken synchronously, before the drop event ends
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+
+        if (entries.length === 0 || entries.some(entry => !entry)) {
+            return Array.from(dataTransfer.files);
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            await this.readEntry(entry, files);
+        }
+        return files;
+    }
+
+    /**
+     * Recursively read a FileSystemEntry into the files array. Entries that
+     * cannot be read (permissions, files removed mid-drop) are skipped so
+     * the rest of the drop still loads.
+     */
+    async readEntry(entry, files) {
+        try {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                // Keep the path inside the dropped folder (e.g. "study/sub-01/eeg/x.edf")
+                Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+                files.push(file);
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                
+                // readEntries returns results in batches until an empty batch
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await this.readEntry(child, files);
+                    }
+                } while (batch.length > 0);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Skipping ${entry.fullPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Index a BIDS folder, show its tree and load the first data file
+     */
+    async openBIDSDataset(files, getPath) {
+        this.bids = new BIDSDataset(files, {
+            getPath: getPath,
+            companionExtensions: Object.values(this.adapter.companionFormats).flat()
+        });
+        this.renderBIDSTree();
+
+        const first = this.bids.tree[0]?.sessions[0]?.modalities[0]?.files[0];
+        if (first) {
+            await this.loadBIDSEntry(first);
+        } else {
+            this.showStatus('⚠️ BIDS folder has no data files', 'error');
+        }
+    }
+
+    /**
+     * Load one data file from the BIDS tree with its sidecar metadata and events
+     */
+    async loadBIDSEntry(entry) {
+        const existing = this.datasets.findIndex(dataset => dataset.path === entry.path);
+        if (existing !== -1) {
+            await this.activateDataset(existing);
+            return;
+        }
 
-            this.showStatus(`✅ Loaded: ${file.name}`, 'success');
+        const signal = this.beginLoad();
+        try {
+            this.showStatus(`Loading ${entry.name}...`, 'loading');
+
+            const group = { kind: 'file', primary: entry.file, files: [entry.file], companions: this.bids.getCompanions(entry) };
+            const { data, suggestedViz } = await this.parserPool.load(group, {
+                signal: signal,
+                onProgress: (progress) => this.updateLoadProgress(entry.name, progress)
+            });
+            this.endLoad(signal);
+            const [sidecar, channels, events] = await Promise.all([
+                this.bids.getSidecar(entry),
+                this.bids.getChannels(entry),
+                this.bids.getEvents(entry)
+            ]);
+            this.adapter.applyBIDSMetadata(data, { sidecar, channels, events });
+
+            this.datasets.push({
+                name: entry.name,
+                path: entry.path,
+                file: entry.file,
+                data: data,
+                suggestedViz: suggestedViz
+            });
+            await this.activateDataset(this.datasets.length - 1);
+            this.showStatus(`✅ Loaded: ${entry.name}`, 'success');
 
         } catch (error) {
-            console.error('Error loading file:', error);
-            this.showStatus(`❌ Error: ${error.message}`, 'error');
+            this.endLoad(signal);
+            if (error.name === 'AbortError') {
+                if (!this.loadController) this.showStatus('⏹️ Loading cancelled', 'info');
+                return;
+            }
+            console.error(`Error loading ${entry.path}:`, error);
+            this.showStatus(`❌ ${entry.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the progress bar in the drop zone; returns the signal for this load
+     */
+    beginLoad() {
+        if (this.loadController) this.loadController.abort();
+        this.loadController = new AbortController();
+
+        document.getElementById('progressFill').style.width = '0%';
+        document.getElementById('progressLabel').textContent = 'Starting...';
+        document.getElementById('loadProgress').hidden = false;
+
+        return this.loadController.signal;
+    }
+
+    /**
+     * Reflect a worker progress event ({stage, percent}) in the drop zone and status
+     */
+    updateLoadProgress(label, progress) {
+        const text = `${progress.stage} ${label}... ${progress.percent}%`;
+        document.getElementById('progressFill').style.width = `${progress.percent}%`;
+        document.getElementById('progressLabel').textContent = text;
+        this.showStatus(text, 'loading');
+    }
+
+    /**
+     * Hide the progress bar once the load behind signal is done; a load that
+     * was replaced by a newer one leaves the newer load's progress alone
+     */
+    endLoad(signal) {
+        if (!this.loadController || this.loadController.signal !== signal) return;
+        this.loadController = null;
+        document.getElementById('loadProgress').hidden = true;
+        this.clearLoadingStatus();
+    }
+
+    /**
+     * Render subjects / sessions / modalities / files as a collapsible tree
+     */
+    renderBIDSTree() {
+        const section = document.getElementById('bidsSection');
+        const container = document.getElementById('bidsTree');
+        container.innerHTML = '';
+        section.hidden = !this.bids;
+        if (!this.bids) return;
+
+        const branch = (label, open) => {
+            const details = document.createElement('details');
+            details.open = open;
+            const summary = document.createElement('summary');
+            summary.textContent = label;
+            details.appendChild(summary);
+            return details;
+        };
+
+        this.bids.tree.forEach((subject, s) => {
+            const subjectNode = branch(`👤 sub-${subject.id}`, s === 0);
+
+            subject.sessions.forEach(session => {
+                // Datasets without sessions list modalities directly under the subject
+                const sessionNode = session.id ? branch(`📅 ses-${session.id}`, s === 0) : subjectNode;
+
+                session.modalities.forEach(modality => {
+                    const modalityNode = branch(`📁 ${modality.id}`, s === 0);
+
+                    modality.files.forEach(entry => {
+                        const item = document.createElement('div');
+                        item.className = 'bids-file';
+                        item.textContent = entry.name;
+                        item.title = entry.path;
+                        item.addEventListener('click', () => this.loadBIDSEntry(entry));
+                        modalityNode.appendChild(item);
+                    });
+                    sessionNode.appendChild(modalityNode);
+                });
+                if (sessionNode !== subjectNode) subjectNode.appendChild(sessionNode);
+            });
+            container.appendChild(subjectNode);
+        });
+    }
+
+    /**
+     * Switch the view to a previously loaded dataset
+     */
+    async activateDataset(index) {
+        const dataset = this.datasets[index];
+        if (!dataset) return;
+
+        this.stopAudio();
+        this.activeDataset = index;
+        this.currentData = dataset.data;
+        this.currentFile = dataset.file;
+        this.renderDatasetList();
+        this.stateManager.setOverrides(dataset.overrides || {});
+
+        // Update data info panel
+        this.updateDataInfo(this.currentData.metadata);
+
+        // Auto-select visualization type
+        document.getElementById('vizSelector').value = dataset.suggestedViz;
+
+        // Corrections restored from a shared link (see checkURLState)
+        const shared = this.sharedOverrides;
+        const { filename, size } = this.currentData.metadata;
+        if (shared && !dataset.overrides && shared.filename === filename && shared.size === size) {
+            this.sharedOverrides = null;
+            await this.applyOverrides(shared.overrides);
+            return;
         }
+
+        // Load visualization
+        await this.loadVisualization(dataset.suggestedViz);
+    }
+
+    /**
+     * Render the list of loaded datasets
+     */
+    renderDatasetList() {
+        const list = document.getElementById('datasetList');
+        list.innerHTML = '';
+        list.classList.toggle('active', this.datasets.length > 0);
+
+        this.datasets.forEach((dataset, index) => {
+            const item = document.createElement('div');
+            item.className = 'dataset-item' + (index === this.activeDataset ? ' active' : '');
+
+            const name = document.createElement('span');
+            name.className = 'dataset-name';
+            name.textContent = dataset.name;
+            name.title = dataset.data.metadata.companions
+                ? `${dataset.name} + ${dataset.data.metadata.companions.join(', ')}`
+                : dataset.name;
+
+            const type = document.createElement('span');
+            type.className = 'dataset-type';
+            type.textContent = dataset.data.metadata.type;
+
+            item.appendChild(name);
+            item.appendChild(type);
+            item.addEventListener('click', () => {
+                if (index !== this.activeDataset) this.activateDataset(index);
+            });
+            list.appendChild(item);
+        });
     }
 
     /**
@@ -148,8 +466,9 @@ class ModularDataVisualizer {
         dataInfo.classList.add('active');
 
         let infoHTML = `
-            <strong>📄 ${metadata.filename}</strong><br>
+            <strong>📄 ${this.escapeHTML(metadata.filename)}</strong><br>
             <small>Type: ${metadata.type}</small><br>
+            ${metadata.detection ? `<small title="${this.escapeHTML(metadata.detection.reason)}">Detected: ${this.escapeHTML((metadata.detection.format || metadata.extension || '?').toUpperCase())} via ${metadata.detection.method} (${Math.round(metadata.detection.confidence * 100)}% confidence)</small><br>` : ''}
             <small>Size: ${this.formatBytes(metadata.size)}</small><br>
         `;
 
@@ -157,15 +476,68 @@ class ModularDataVisualizer {
         if (metadata.channels) {
             infoHTML += `<small>Channels: ${metadata.channels}</small><br>`;
         }
+        if (metadata.channelTypes && metadata.channelTypes.some(type => type)) {
+            const typeCounts = {};
+            metadata.channelTypes.filter(type => type).forEach(type => { typeCounts[type] = (typeCounts[type] || 0) + 1; });
+            infoHTML += `<small>Channel types: ${Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ')}</small><br>`;
+        }
         if (metadata.sampleRate) {
-            infoHTML += `<small>Sample Rate: ${metadata.sampleRate} Hz</small><br>`;
+            infoHTML += `<small>Sample Rate: ${+metadata.sampleRate.toFixed(3)} Hz${metadata.overridden ? ' (set manually)' : ''}</small><br>`;
+        }
+        if (metadata.timeColumn) {
+            infoHTML += `<small>Time column: ${this.escapeHTML(metadata.timeColumn)}</small><br>`;
+        }
+        if (metadata.irregularSampling) {
+            infoHTML += `<small class="warning-text">⚠️ Irregular sampling: rate estimated from the median interval</small><br>`;
         }
         if (metadata.duration) {
             infoHTML += `<small>Duration: ${metadata.duration.toFixed(2)}s</small><br>`;
         }
+        if (metadata.width && metadata.height) {
+            infoHTML += `<small>Image: ${metadata.width}×${metadata.height}${metadata.dtype ? ` ${metadata.dtype}` : ''}${metadata.pages ? `, ${metadata.pages} pages` : ''}</small><br>`;
+        }
         if (metadata.dimensions) {
             infoHTML += `<small>Dimensions: ${metadata.dimensions.join('×')}</small><br>`;
         }
+        if (metadata.dialect) {
+            const columnTypes = Object.entries(metadata.columnTypes || {})
+                .map(([type, count]) => `${count} ${type}`)
+                .join(', ');
+            infoHTML += `<small>Table: ${metadata.dialect}${columnTypes ? ` (${columnTypes})` : ''}</small><br>`;
+        }
+        if (metadata.missingValues) {
+            infoHTML += `<small>Missing values: ${metadata.missingValues}</small><br>`;
+        }
+        if (metadata.setName || metadata.epochs) {
+            infoHTML += `<small>EEGLAB: ${this.escapeHTML(metadata.setName || 'dataset')}${metadata.epochs ? ` (${metadata.epochs} epochs)` : ''}</small><br>`;
+        }
+        if (metadata.arrayName) {
+            infoHTML += `<small>Array: ${this.escapeHTML(metadata.arrayName)} (${metadata.shape} ${metadata.dtype})</small><br>`;
+        }
+        if (metadata.pointCount) {
+            infoHTML += `<small>Points: ${metadata.pointCount.toLocaleString()}${metadata.invalidPoints ? ` (${metadata.invalidPoints} invalid dropped)` : ''}</small><br>`;
+        }
+        if (metadata.columnMapping) {
+            infoHTML += `<small>Coordinates: ${this.escapeHTML(metadata.columnMapping)}</small><br>`;
+        }
+        if (metadata.materialCount) {
+            infoHTML += `<small>Materials: ${metadata.materialCount}${metadata.textureCount ? ` (${metadata.textureCount} textured)` : ''}</small><br>`;
+        }
+        if (metadata.taskName) {
+            infoHTML += `<small>Task: ${this.escapeHTML(metadata.taskName)}</small><br>`;
+        }
+        if (metadata.companions) {
+            infoHTML += `<small>With: ${this.escapeHTML(metadata.companions.join(', '))}</small><br>`;
+        }
+        if (metadata.seriesDescription) {
+            infoHTML += `<small>Series: ${this.escapeHTML(metadata.seriesDescription)}</small><br>`;
+        }
+        if (metadata.orientation) {
+            infoHTML += `<small>Orientation: ${metadata.orientation}</small><br>`;
+        }
+        if (metadata.events) {
+            infoHTML += `<small>Events: ${metadata.events}</small><br>`;
+        }
 
         dataInfo.innerHTML = infoHTML;
     }
@@ -226,6 +598,34 @@ class ModularDataVisualizer {
                 group.appendChild(label);
                 group.appendChild(select);
                 
+            } else if (config.type === 'toggles') {
+                // Checkbox list; the value is the array of checked options
+                label.textContent = config.label;
+                const list = document.createElement('div');
+                list.className = 'toggle-list';
+                list.id = key;
+                
+                config.options.forEach(opt => {
+                    const item = document.createElement('label');
+                    const input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.value = opt;
+                    input.checked = config.value.includes(opt);
+                    
+                    input.addEventListener('change', () => {
+                        const checked = [...list.querySelectorAll('input:checked')].map(el => el.value);
+                        this.vizEngine.updateParameters({ [key]: checked });
+                        this.updateState(key, checked);
+                    });
+                    
+                    item.appendChild(input);
+                    item.appendChild(document.createTextNode(' ' + opt));
+                    list.appendChild(item);
+                });
+                
+                group.appendChild(label);
+                group.appendChild(list);
+                
             } else {
                 // Range slider control
                 label.innerHTML = `${config.label} <span class="param-value" id="${key}-value">${config.value}</span>`;
@@ -269,13 +669,19 @@ class ModularDataVisualizer {
         } else if (dataType === 'mesh3d' || dataType === 'pointcloud') {
             controlPanel.classList.add('layout-3d');
             this.show3DControls();
-        } else if (dataType === 'nifti') {
+        } else if (dataType === 'neuroimaging') {
             controlPanel.classList.add('brain-layout');
             this.showBrainControls();
         } else if (dataType === 'timeseries' || dataType === 'eeg') {
             controlPanel.classList.add('timeseries-layout');
             this.showTimeseriesControls();
         }
+
+        // Archives with several arrays (.npz) can switch between them
+        if (this.currentData?.data.arrays?.length > 1) {
+            const container = document.getElementById('parameterControls');
+            container.insertBefore(this.createArrayPicker(), container.firstChild);
+        }
     }
 
     /**
@@ -342,7 +748,9 @@ class ModularDataVisualizer {
                 }
 
                 // Decode the audio data
-                const arrayBuffer = this.currentData.data.arrayBuffer;
+                // Decode a copy: decodeAudioData detaches its input, and the
+                // dataset may be revisited from the datasets list
+                const arrayBuffer = this.currentData.data.arrayBuffer.slice(0);
                 this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
                 
                 console.log(`✅ Audio decoded: ${this.audioBuffer.numberOfChannels} channels, ${this.audioBuffer.sampleRate}Hz, ${this.audioBuffer.duration.toFixed(2)}s`);
@@ -565,6 +973,11 @@ class ModularDataVisualizer {
             </div>
         `;
         container.insertBefore(nav3D, container.firstChild);
+
+        // Point clouds read from a table can have their columns remapped
+        if (this.currentData?.data.columns) {
+            nav3D.after(this.createColumnMapping());
+        }
     }
 
     /**
@@ -577,7 +990,8 @@ class ModularDataVisualizer {
         brainNav.innerHTML = `
             <div class="nav-hint">
                 <strong>🧠 Brain Volume Navigation</strong><br>
-                <small>Use slice controls to navigate through volume</small>
+                <small>Use slice controls to navigate through volume<br>
+                Hover the slice to read world coordinates (mm)</small>
             </div>
         `;
         container.insertBefore(brainNav, container.firstChild);
@@ -597,6 +1011,275 @@ class ModularDataVisualizer {
             </div>
         `;
         container.insertBefore(timeControls, container.firstChild);
+
+        const overrides = this.createSamplingOverrides();
+        timeControls.after(overrides);
+        let last = overrides;
+
+        const events = this.currentData?.data.events;
+        if (events && events.length > 0) {
+            last = this.createEventNavigator(events);
+            overrides.after(last);
+        }
+
+        const columns = this.currentData?.data.columns;
+        if (columns && columns.filter(column => column.type === 'numeric').length >= 3) {
+            last.after(this.createColumnMapping());
+        }
+    }
+
+    /**
+     * Build the sample rate / units override form for signals whose timing
+     * could not be read from the file
+     */
+    createSamplingOverrides() {
+        const data = this.currentData.data;
+        const form = document.createElement('div');
+        form.className = 'sampling-overrides';
+        form.innerHTML = `
+            <label>⏱️ Sample rate (Hz)</label>
+            <input type="number" id="sampleRateOverride" min="0" step="any">
+            <label>📏 Units</label>
+            <input type="text" id="unitsOverride" placeholder="e.g. µV">
+            <button id="applyOverrides" class="btn-secondary">Apply</button>
+        `;
+
+        const rateInput = form.querySelector('#sampleRateOverride');
+        const unitsInput = form.querySelector('#unitsOverride');
+        rateInput.value = +(data.sampleRate || 1).toFixed(3);
+        unitsInput.value = data.units ? [...new Set(data.units.filter(unit => unit))].join(', ') : '';
+
+        form.querySelector('#applyOverrides').addEventListener('click', async () => {
+            const sampleRate = parseFloat(rateInput.value);
+            if (!(sampleRate > 0)) {
+                this.showStatus('❌ Sample rate must be a positive number', 'error');
+                return;
+            }
+            await this.applyOverrides({ sampleRate, units: unitsInput.value.trim() });
+        });
+
+        return form;
+    }
+
+    /**
+     * Apply user corrections to the active dataset and redraw
+     */
+    async applyOverrides(overrides) {
+        const dataset = this.datasets[this.activeDataset];
+        const { data, metadata } = this.currentData;
+
+        // Mixed-rate recordings keep their channel ratios
+        if (data.sampleRates) {
+            const scale = overrides.sampleRate / data.sampleRate;
+            data.sampleRates = data.sampleRates.map(rate => rate * scale);
+        }
+        data.sampleRate = overrides.sampleRate;
+        metadata.sampleRate = overrides.sampleRate;
+        metadata.duration = (data.samples || data.channels?.[0]?.length || 0) / overrides.sampleRate;
+        metadata.overridden = true;
+
+        // A single unit applies to every channel; a comma list maps one-to-one
+        if (overrides.units) {
+            const units = overrides.units.split(',').map(unit => unit.trim());
+            data.units = data.channels.map((_, i) => units.length === 1 ? units[0] : (units[i] || ''));
+        }
+
+        dataset.overrides = overrides;
+        this.stateManager.setOverrides(overrides);
+        this.updateDataInfo(metadata);
+        await this.loadVisualization(document.getElementById('vizSelector').value);
+        this.showStatus(`✅ Sample rate set to ${overrides.sampleRate} Hz`, 'success');
+    }
+
+    /**
+     * Build the x/y/z column picker that shows a table as a point cloud
+     */
+    createColumnMapping() {
+        const data = this.currentData.data;
+        const names = data.columns.filter(column => column.type === 'numeric').map(column => column.name);
+        // Start from the current mapping, then x/y/z-named columns, then the first three
+        const initial = data.mapping || this.adapter.findCoordinateColumns(data.columns.filter(column => column.type === 'numeric')) ||
+            { x: names[0], y: names[1], z: names[2] };
+
+        const form = document.createElement('div');
+        form.className = 'column-mapping';
+        form.innerHTML = `<label>☁️ Point cloud columns</label>`;
+
+        const selects = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const row = document.createElement('div');
+            row.className = 'mapping-row';
+            const label = document.createElement('span');
+            label.textContent = axis.toUpperCase();
+            const select = document.createElement('select');
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                if (name === initial[axis]) option.selected = true;
+                select.appendChild(option);
+            });
+            selects[axis] = select;
+            row.appendChild(label);
+            row.appendChild(select);
+            form.appendChild(row);
+        });
+
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = data.type === 'pointcloud' ? 'Remap' : 'View as Point Cloud';
+        button.addEventListener('click', () => this.applyColumnMapping({
+            x: selects.x.value,
+            y: selects.y.value,
+            z: selects.z.value
+        }));
+        form.appendChild(button);
+
+        return form;
+    }
+
+    /**
+     * Rebuild the active dataset as a point cloud from the chosen columns
+     */
+    async applyColumnMapping(mapping) {
+        if (new Set(Object.values(mapping)).size < 3) {
+            this.showStatus('❌ Choose three different columns for X, Y and Z', 'error');
+            return;
+        }
+
+        const data = this.currentData.data;
+
+        let cloud;
+        try {
+            cloud = this.adapter.tableToPointCloud(data.columns, mapping);
+        } catch (error) {
+            this.showStatus(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        const cloudMetadata = {
+            pointCount: cloud.pointCount,
+            hasColors: !!cloud.colors,
+            columnMapping: `${cloud.mapping.x}, ${cloud.mapping.y}, ${cloud.mapping.z}`
+        };
+        if (cloud.droppedRows > 0) cloudMetadata.invalidPoints = cloud.droppedRows;
+        if (Object.keys(cloud.attributes).length > 0) cloudMetadata.attributes = Object.keys(cloud.attributes);
+
+        await this.replaceDatasetData({ ...cloud, format: data.format, columns: data.columns }, cloudMetadata);
+        this.showStatus(`✅ Point cloud: ${cloud.pointCount} points from ${cloudMetadata.columnMapping}`, 'success');
+    }
+
+    /**
+     * Build the picker for the arrays of a NumPy .npz archive
+     */
+    createArrayPicker() {
+        const data = this.currentData.data;
+        const picker = document.createElement('div');
+        picker.className = 'column-mapping';
+        picker.innerHTML = `<label>🔢 Array (${data.arrays.length} in file)</label>`;
+
+        const select = document.createElement('select');
+        data.arrays.forEach((array, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${array.name} (${array.shape.join('×') || 'scalar'} ${array.dtype})`;
+            if (index === data.arrayIndex) option.selected = true;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => this.selectArray(parseInt(select.value)));
+        picker.appendChild(select);
+
+        return picker;
+    }
+
+    /**
+     * Show another array of the active .npz archive
+     */
+    async selectArray(index) {
+        const { arrays, format } = this.currentData.data;
+
+        let mapped;
+        try {
+            mapped = this.adapter.arrayToData(arrays[index]);
+        } catch (error) {
+            this.showStatus(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        await this.replaceDatasetData(
+            { ...mapped.data, format, arrays, arrayIndex: index },
+            { ...mapped.metadata, arrays: this.currentData.metadata.arrays }
+        );
+    }
+
+    /**
+     * Swap the active dataset's parsed data for a new interpretation of the
+     * same file and redraw. File-level details carry over; details of the
+     * previous interpretation (channels, sampling, ...) do not.
+     */
+    async replaceDatasetData(parsed, fields) {
+        const dataset = this.datasets[this.activeDataset];
+        const metadata = this.currentData.metadata;
+        const fileKeys = ['filename', 'size', 'extension', 'mimeType', 'lastModified', 'detection', 'path', 'companions', 'dialect', 'columnTypes'];
+        const newMetadata = Object.fromEntries(fileKeys.filter(key => key in metadata).map(key => [key, metadata[key]]));
+        Object.assign(newMetadata, fields, { type: parsed.type });
+
+        dataset.data = {
+            type: parsed.type,
+            metadata: newMetadata,
+            data: parsed,
+            timestamp: new Date()
+        };
+        dataset.suggestedViz = this.adapter.suggestVisualization(parsed.type);
+        dataset.overrides = {};
+
+        await this.activateDataset(this.activeDataset);
+    }
+
+    /**
+     * Build the event list with previous/next navigation for annotated recordings
+     */
+    createEventNavigator(events) {
+        const navigator = document.createElement('div');
+        navigator.className = 'event-navigator';
+        navigator.innerHTML = `
+            <label>📌 Events (${events.length})</label>
+            <select id="eventSelect" class="event-select"></select>
+            <div class="event-buttons">
+                <button id="prevEvent" class="btn-secondary">◀ Prev</button>
+                <button id="nextEvent" class="btn-secondary">Next ▶</button>
+            </div>
+        `;
+
+        const select = navigator.querySelector('#eventSelect');
+        events.forEach((event, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${event.onset.toFixed(2)}s — ${event.text}`;
+            select.appendChild(option);
+        });
+
+        this.currentEventIndex = -1;
+        const jumpToEvent = (index) => {
+            if (index < 0 || index >= events.length) return;
+            this.currentEventIndex = index;
+            select.value = index;
+
+            const viz = this.vizEngine.currentViz;
+            if (viz && viz.jumpToTime) {
+                viz.jumpToTime(events[index].onset, index);
+            }
+        };
+
+        select.addEventListener('change', (e) => jumpToEvent(parseInt(e.target.value)));
+        navigator.querySelector('#prevEvent').addEventListener('click', () => {
+            jumpToEvent(Math.max(0, this.currentEventIndex - 1));
+        });
+        navigator.querySelector('#nextEvent').addEventListener('click', () => {
+            jumpToEvent(Math.min(events.length - 1, this.currentEventIndex + 1));
+        });
+
+        return navigator;
     }
 
     /**
@@ -710,6 +1393,12 @@ class ModularDataVisualizer {
             console.log('📥 Loading state from URL:', state);
             this.showStatus('⚡ Restored from shared link', 'info');
             
+            // Sample rate and unit corrections wait for the file they were made on
+            const overrides = this.stateManager.getOverrides();
+            if (Object.keys(overrides).length > 0 && state.metadata) {
+                this.sharedOverrides = { filename: state.metadata.filename, size: state.metadata.size, overrides };
+            }
+            
             // Note: Would need the actual data file to fully restore
             // This shows the concept - in production, you might store
             // small datasets in the URL or use cloud storage
@@ -720,7 +1409,13 @@ class ModularDataVisualizer {
      * Show status message
      */
     showStatus(message, type = 'info') {
+        // Progress updates rewrite one persistent line instead of stacking toasts
+        if (type === 'loading' && this.loadingStatus) {
+            this.loadingStatus.textContent = message;
+            return;
+        }
         console.log(`[${type.toUpperCase()}] ${message}`);
+        if (type !== 'loading') this.clearLoadingStatus();
         
         // Could add a toast notification system here
         const dataInfo = document.getElementById('dataInfo');
@@ -738,7 +1433,18 @@ class ModularDataVisualizer {
             
             dataInfo.appendChild(statusDiv);
             
-            setTimeout(() => statusDiv.remove(), 3000);
+            if (type === 'loading') {
+                this.loadingStatus = statusDiv;
+            } else {
+                setTimeout(() => statusDiv.remove(), 3000);
+            }
+        }
+    }
+
+    clearLoadingStatus() {
+        if (this.loadingStatus) {
+            this.loadingStatus.remove();
+            this.loadingStatus = null;
         }
     }
 
@@ -752,6 +1458,14 @@ class ModularDataVisualizer {
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     }
+
+    /**
+     * Escape text read from a file (names, header fields) for use in HTML
+     */
+    escapeHTML(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
 }
 
 // Initialize app when DOM is ready
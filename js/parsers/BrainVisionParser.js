@@ -0,0 +1,195 @@
+/**
+ * 🧠 BrainVisionParser
+ *
+ * Reads BrainVision Core Data Format recordings, which come as three files:
+ * an INI-style header (.vhdr) naming the other two and describing the
+ * channels (name, reference, resolution, unit) and the binary layout; the
+ * samples (.eeg), multiplexed or vectorized, as INT_16, UINT_16, INT_32 or
+ * IEEE_FLOAT_32 little-endian values; and the markers (.vmrk). Samples are
+ * multiplied by each channel's resolution to give physical units.
+ *
+ * The parser works on file contents; finding the files named by the header
+ * is left to the caller.
+ */
+
+// BinaryFormat -> [byte size, DataView getter]
+const BINARY_FORMATS = {
+    INT_16: [2, 'getInt16'],
+    UINT_16: [2, 'getUint16'],
+    INT_32: [4, 'getInt32'],
+    IEEE_FLOAT_32: [4, 'getFloat32']
+};
+
+export class BrainVisionParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of samples read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Decode a header or marker file in the code page it declares (UTF-8 or ANSI)
+     */
+    static decodeText(arrayBuffer) {
+        const text = new TextDecoder('windows-1252').decode(arrayBuffer);
+        return /^\s*Codepage\s*=\s*UTF-8/im.test(text)
+            ? new TextDecoder('utf-8').decode(arrayBuffer).replace(/^\uFEFF/, '')
+            : text;
+    }
+
+    /**
+     * Parse a .vhdr header
+     * @returns {{dataFile: string, markerFile: string, dataFormat: string, orientation: string, binaryFormat: string, sampleRate: number, channels: Array<{name: string, reference: string, resolution: number, unit: string}>}}
+     */
+    parseHeader(text) {
+        if (!/^Brain ?Vision Data Exchange Header File/i.test(text.trimStart())) {
+            throw new Error('Not a BrainVision header (missing "Brain Vision Data Exchange Header File" line)');
+        }
+
+        const sections = this.parseINI(text);
+        const common = sections['Common Infos'] || {};
+        const binary = sections['Binary Infos'] || {};
+        const channelInfos = sections['Channel Infos'] || {};
+
+        const header = {
+            dataFile: common.DataFile || '',
+            markerFile: common.MarkerFile || '',
+            dataFormat: (common.DataFormat || 'BINARY').toUpperCase(),
+            orientation: (common.DataOrientation || 'MULTIPLEXED').toUpperCase(),
+            binaryFormat: (binary.BinaryFormat || 'INT_16').toUpperCase(),
+            // SamplingInterval is in microseconds
+            sampleRate: 1e6 / parseFloat(common.SamplingInterval),
+            channels: []
+        };
+
+        if (header.dataFormat !== 'BINARY') {
+            throw new Error(`BrainVision ${header.dataFormat} data is not supported, only BINARY`);
+        }
+        if (!BINARY_FORMATS[header.binaryFormat]) {
+            throw new Error(`Unsupported BrainVision binary format ${header.binaryFormat}`);
+        }
+        if (header.orientation !== 'MULTIPLEXED' && header.orientation !== 'VECTORIZED') {
+            throw new Error(`Unsupported BrainVision data orientation ${header.orientation}`);
+        }
+        if (!(header.sampleRate > 0) || !isFinite(header.sampleRate)) {
+            throw new Error('BrainVision header has no valid SamplingInterval');
+        }
+
+        const count = parseInt(common.NumberOfChannels);
+        for (let i = 1; i <= count; i++) {
+            // Ch<n>=<name>,<reference>,<resolution>,<unit>; commas in names are written as \1
+            const fields = (channelInfos[`Ch${i}`] || '').split(',').map(field => field.replace(/\\1/g, ','));
+            const resolution = parseFloat(fields[2]);
+            header.channels.push({
+                name: fields[0] || `Ch ${i}`,
+                reference: fields[1] || '',
+                resolution: isFinite(resolution) && fields[2].trim() !== '' ? resolution : 1,
+                unit: (fields[3] || '').trim() || 'µV'
+            });
+        }
+        if (header.channels.length === 0) {
+            throw new Error('BrainVision header declares no channels');
+        }
+
+        return header;
+    }
+
+    /**
+     * Decode the .eeg samples into one Float32Array per channel
+     */
+    readData(arrayBuffer, header) {
+        const [size, getter] = BINARY_FORMATS[header.binaryFormat];
+        const nchan = header.channels.length;
+        const samples = Math.floor(arrayBuffer.byteLength / (size * nchan));
+        const view = new DataView(arrayBuffer);
+        const multiplexed = header.orientation === 'MULTIPLEXED';
+
+        const channels = header.channels.map((channel, c) => {
+            const values = new Float32Array(samples);
+            const { resolution } = channel;
+            // Multiplexed: all channels of one sample together; vectorized: one channel after another
+            const stride = multiplexed ? size * nchan : size;
+            let at = multiplexed ? c * size : c * samples * size;
+            for (let s = 0; s < samples; s++) {
+                values[s] = view[getter](at, true) * resolution;
+                at += stride;
+            }
+            if (this.checkAborted) this.checkAborted();
+            if (this.onProgress) this.onProgress((c + 1) / nchan);
+            return values;
+        });
+
+        return { channels, samples };
+    }
+
+    /**
+     * Parse a .vmrk marker file into events (seconds), plus the recording
+     * start from the first "New Segment" marker if it carries a date
+     * @returns {{events: Array<{onset: number, duration: number, text: string}>, recordingDate: Date|null}}
+     */
+    parseMarkers(text, sampleRate) {
+        const markers = this.parseINI(text)['Marker Infos'] || {};
+        const events = [];
+        let recordingDate = null;
+
+        Object.entries(markers).forEach(([key, value]) => {
+            if (!/^Mk\d+$/i.test(key)) return;
+            // Mk<n>=<type>,<description>,<position>,<size>,<channel>[,<date>]; positions are 1-based
+            const [type, description, position, size, , date] = value.split(',').map(field => field.replace(/\\1/g, ','));
+            const start = parseInt(position);
+            if (!isFinite(start)) return;
+
+            if (type === 'New Segment' && date && !recordingDate) {
+                recordingDate = this.parseMarkerDate(date);
+            }
+
+            const length = parseInt(size) || 0;
+            events.push({
+                onset: (start - 1) / sampleRate,
+                duration: length > 1 ? length / sampleRate : 0,
+                text: description && description.trim() ? `${type}/${description.trim()}` : type
+            });
+        });
+
+        events.sort((a, b) => a.onset - b.onset);
+        return { events, recordingDate };
+    }
+
+    /**
+     * YYYYMMDDhhmmssuuuuuu (microseconds) -> Date
+     */
+    parseMarkerDate(text) {
+        const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{6})$/.exec(text.trim());
+        if (!match || match[1] === '0000') return null;
+        const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second, Math.floor(Number(match[7]) / 1000)));
+    }
+
+    /**
+     * [Section] / key=value lines into nested objects; ; comments are skipped
+     */
+    parseINI(text) {
+        const sections = {};
+        let current = null;
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith(';')) return;
+
+            const section = /^\[(.+)\]$/.exec(trimmed);
+            if (section) {
+                current = sections[section[1].trim()] = {};
+                return;
+            }
+
+            const equals = trimmed.indexOf('=');
+            if (current && equals > 0) {
+                current[trimmed.slice(0, equals).trim()] = trimmed.slice(equals + 1);
+            }
+        });
+        return sections;
+    }
+}
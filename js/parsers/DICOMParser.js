@@ -0,0 +1,303 @@
+/**
+ * 🩻 DICOMParser
+ * 
+ * Reads DICOM Part 10 files (explicit and implicit VR, little endian)
+ * and assembles single-frame slices into volumes.
+ * 
+ * Only uncompressed pixel data is supported; encapsulated transfer
+ * syntaxes (JPEG, JPEG 2000, RLE) are rejected with a clear error.
+ */
+
+const TRANSFER_SYNTAX = {
+    IMPLICIT_LE: '1.2.840.10008.1.2',
+    EXPLICIT_LE: '1.2.840.10008.1.2.1',
+    EXPLICIT_BE: '1.2.840.10008.1.2.2'
+};
+
+// VRs with a 2-byte reserved field and 4-byte length in explicit encoding
+const LONG_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+// Tags read by the series loader: tag -> [VR, keyword]
+// The VR is needed to decode implicit VR files
+const DICTIONARY = {
+    '00020010': ['UI', 'TransferSyntaxUID'],
+    '00080018': ['UI', 'SOPInstanceUID'],
+    '00080060': ['CS', 'Modality'],
+    '0008103E': ['LO', 'SeriesDescription'],
+    '00100010': ['PN', 'PatientName'],
+    '00180050': ['DS', 'SliceThickness'],
+    '0020000E': ['UI', 'SeriesInstanceUID'],
+    '00200013': ['IS', 'InstanceNumber'],
+    '00200032': ['DS', 'ImagePositionPatient'],
+    '00200037': ['DS', 'ImageOrientationPatient'],
+    '00280002': ['US', 'SamplesPerPixel'],
+    '00280004': ['CS', 'PhotometricInterpretation'],
+    '00280008': ['IS', 'NumberOfFrames'],
+    '00280010': ['US', 'Rows'],
+    '00280011': ['US', 'Columns'],
+    '00280030': ['DS', 'PixelSpacing'],
+    '00280100': ['US', 'BitsAllocated'],
+    '00280101': ['US', 'BitsStored'],
+    '00280103': ['US', 'PixelRepresentation'],
+    '00281052': ['DS', 'RescaleIntercept'],
+    '00281053': ['DS', 'RescaleSlope'],
+    '7FE00010': ['OW', 'PixelData']
+};
+
+export class DICOMParser {
+    /**
+     * Check for the "DICM" prefix after the 128-byte preamble
+     */
+    static isDICOM(arrayBuffer) {
+        if (arrayBuffer.byteLength < 132) return false;
+        const magic = new Uint8Array(arrayBuffer, 128, 4);
+        return String.fromCharCode(...magic) === 'DICM';
+    }
+
+    /**
+     * Parse one Part 10 file into a tag map plus pixel data location
+     */
+    parse(arrayBuffer) {
+        const dataView = new DataView(arrayBuffer);
+        const hasPreamble = DICOMParser.isDICOM(arrayBuffer);
+        
+        // File meta information (group 0002) is always explicit VR little endian
+        const tags = {};
+        let offset = hasPreamble ? 132 : 0;
+        let transferSyntax = TRANSFER_SYNTAX.IMPLICIT_LE;
+        
+        if (hasPreamble) {
+            while (offset < dataView.byteLength && dataView.getUint16(offset, true) === 0x0002) {
+                offset = this.readElement(dataView, offset, true, tags);
+            }
+            transferSyntax = tags.TransferSyntaxUID || TRANSFER_SYNTAX.EXPLICIT_LE;
+        }
+        
+        if (transferSyntax === TRANSFER_SYNTAX.EXPLICIT_BE) {
+            throw new Error('Big endian DICOM transfer syntax is not supported');
+        }
+        if (transferSyntax !== TRANSFER_SYNTAX.IMPLICIT_LE && transferSyntax !== TRANSFER_SYNTAX.EXPLICIT_LE) {
+            throw new Error(`Compressed DICOM transfer syntax ${transferSyntax} is not supported`);
+        }
+        
+        const explicit = transferSyntax === TRANSFER_SYNTAX.EXPLICIT_LE;
+        while (offset < dataView.byteLength) {
+            offset = this.readElement(dataView, offset, explicit, tags);
+            if (tags.PixelData) break;
+        }
+        
+        return { tags, transferSyntax };
+    }
+
+    /**
+     * Read one data element, storing known tags; returns the next offset
+     */
+    readElement(dataView, offset, explicit, tags) {
+        const group = dataView.getUint16(offset, true);
+        const element = dataView.getUint16(offset + 2, true);
+        const tag = this.tagKey(group, element);
+        let vr;
+        let length;
+        
+        if (explicit && group !== 0xFFFE) {
+            vr = String.fromCharCode(dataView.getUint8(offset + 4), dataView.getUint8(offset + 5));
+            if (LONG_VRS.includes(vr)) {
+                length = dataView.getUint32(offset + 8, true);
+                offset += 12;
+            } else {
+                length = dataView.getUint16(offset + 6, true);
+                offset += 8;
+            }
+        } else {
+            vr = DICTIONARY[tag] ? DICTIONARY[tag][0] : 'UN';
+            length = dataView.getUint32(offset + 4, true);
+            offset += 8;
+        }
+        
+        if (length === 0xFFFFFFFF) {
+            if (tag === '7FE00010') {
+                throw new Error('Encapsulated (compressed) DICOM pixel data is not supported');
+            }
+            // Undefined length: a sequence terminated by a delimitation item
+            return this.skipUndefinedLength(dataView, offset, explicit);
+        }
+        
+        if (DICTIONARY[tag]) {
+            const keyword = DICTIONARY[tag][1];
+            tags[keyword] = tag === '7FE00010'
+                ? { offset: offset, length: length }
+                : this.readValue(dataView, offset, length, vr);
+        }
+        
+        return offset + length;
+    }
+
+    /**
+     * Walk past an undefined-length sequence (items may nest further sequences)
+     */
+    skipUndefinedLength(dataView, offset, explicit) {
+        while (offset < dataView.byteLength) {
+            const group = dataView.getUint16(offset, true);
+            const element = dataView.getUint16(offset + 2, true);
+            const length = dataView.getUint32(offset + 4, true);
+            
+            if (group === 0xFFFE && element === 0xE0DD) {
+                return offset + 8; // Sequence delimitation item
+            }
+            if (group === 0xFFFE && element === 0xE000) {
+                offset += 8;
+                if (length !== 0xFFFFFFFF) {
+                    offset += length;
+                    continue;
+                }
+                // Undefined-length item: read elements until the item delimiter
+                while (!(dataView.getUint16(offset, true) === 0xFFFE && dataView.getUint16(offset + 2, true) === 0xE00D)) {
+                    offset = this.readElement(dataView, offset, explicit, {});
+                }
+                offset += 8;
+                continue;
+            }
+            
+            throw new Error(`Malformed DICOM sequence at byte ${offset}`);
+        }
+        return offset;
+    }
+
+    readValue(dataView, offset, length, vr) {
+        switch (vr) {
+            case 'US': return dataView.getUint16(offset, true);
+            case 'SS': return dataView.getInt16(offset, true);
+            case 'UL': return dataView.getUint32(offset, true);
+            case 'SL': return dataView.getInt32(offset, true);
+            case 'FL': return dataView.getFloat32(offset, true);
+            case 'FD': return dataView.getFloat64(offset, true);
+        }
+        
+        let str = '';
+        for (let i = 0; i < length; i++) {
+            const char = dataView.getUint8(offset + i);
+            if (char === 0) break;
+            str += String.fromCharCode(char);
+        }
+        str = str.trim();
+        
+        // Decimal/integer strings, possibly multi-valued ("a\b\c")
+        if (vr === 'DS' || vr === 'IS') {
+            const values = str.split('\\').map(v => parseFloat(v));
+            return values.length === 1 ? values[0] : values;
+        }
+        return str;
+    }
+
+    /**
+     * Decode a slice's pixel data to rescaled Float32 values
+     */
+    readPixels(arrayBuffer, tags) {
+        const rows = tags.Rows;
+        const columns = tags.Columns;
+        const bits = tags.BitsAllocated || 16;
+        const signed = tags.PixelRepresentation === 1;
+        const count = rows * columns;
+        
+        if ((tags.SamplesPerPixel || 1) !== 1) {
+            throw new Error('Only single-sample (grayscale) DICOM images are supported');
+        }
+        if (!tags.PixelData) {
+            throw new Error('DICOM file has no pixel data');
+        }
+        
+        const { offset } = tags.PixelData;
+        const bytes = new Uint8Array(arrayBuffer.slice(offset, offset + count * (bits / 8)));
+        const ArrayType = {
+            8: signed ? Int8Array : Uint8Array,
+            16: signed ? Int16Array : Uint16Array,
+            32: signed ? Int32Array : Uint32Array
+        }[bits];
+        
+        if (!ArrayType) {
+            throw new Error(`DICOM BitsAllocated ${bits} is not supported`);
+        }
+        
+        const raw = new ArrayType(bytes.buffer);
+        const slope = isFinite(tags.RescaleSlope) ? tags.RescaleSlope : 1;
+        const intercept = isFinite(tags.RescaleIntercept) ? tags.RescaleIntercept : 0;
+        const pixels = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            pixels[i] = raw[i] * slope + intercept;
+        }
+        
+        return pixels;
+    }
+
+    /**
+     * Stack the slices of one series into a volume
+     * @param {string} uid - SeriesInstanceUID
+     * @param {Array<{tags: Object, pixels: Float32Array}>} group
+     */
+    stackSlices(uid, group) {
+        const first = group[0].tags;
+        const rows = first.Rows;
+        const columns = first.Columns;
+        
+        const iop = Array.isArray(first.ImageOrientationPatient) ? first.ImageOrientationPatient : [1, 0, 0, 0, 1, 0];
+        const rowDir = iop.slice(0, 3);
+        const colDir = iop.slice(3, 6);
+        const normal = [
+            rowDir[1] * colDir[2] - rowDir[2] * colDir[1],
+            rowDir[2] * colDir[0] - rowDir[0] * colDir[2],
+            rowDir[0] * colDir[1] - rowDir[1] * colDir[0]
+        ];
+        
+        // Sort along the slice normal; fall back to InstanceNumber
+        const position = (slice) => slice.tags.ImagePositionPatient;
+        const hasPositions = group.every(slice => Array.isArray(position(slice)));
+        const distance = (slice) => hasPositions
+            ? position(slice).reduce((sum, v, i) => sum + v * normal[i], 0)
+            : (slice.tags.InstanceNumber || 0);
+        
+        const sorted = group
+            .filter(slice => slice.tags.Rows === rows && slice.tags.Columns === columns)
+            .map(slice => ({ slice, distance: distance(slice) }))
+            .sort((a, b) => a.distance - b.distance);
+        
+        // Slice spacing from positions (median gap), else SliceThickness
+        const gaps = sorted.slice(1).map((s, i) => s.distance - sorted[i].distance).sort((a, b) => a - b);
+        const spacing = hasPositions && gaps.length > 0 && gaps[Math.floor(gaps.length / 2)] > 0
+            ? gaps[Math.floor(gaps.length / 2)]
+            : (first.SliceThickness || 1);
+        
+        const sliceSize = rows * columns;
+        const volume = new Float32Array(sliceSize * sorted.length);
+        sorted.forEach(({ slice }, k) => volume.set(slice.pixels, k * sliceSize));
+        
+        // PixelSpacing is [between rows, between columns]
+        const pixelSpacing = Array.isArray(first.PixelSpacing) ? first.PixelSpacing : [1, 1];
+        const origin = hasPositions ? position(sorted[0].slice) : [0, 0, 0];
+        const steps = [
+            rowDir.map(v => v * pixelSpacing[1]),
+            colDir.map(v => v * pixelSpacing[0]),
+            normal.map(v => v * spacing)
+        ];
+        
+        // Patient coordinates are LPS; negate x and y for RAS
+        const affine = [0, 1, 2].map(axis => {
+            const sign = axis < 2 ? -1 : 1;
+            return [steps[0][axis] * sign, steps[1][axis] * sign, steps[2][axis] * sign, origin[axis] * sign];
+        });
+        affine.push([0, 0, 0, 1]);
+        
+        return {
+            uid: uid,
+            description: first.SeriesDescription || '',
+            modality: first.Modality || '',
+            dimensions: [columns, rows, sorted.length],
+            voxelSize: [pixelSpacing[1], pixelSpacing[0], spacing],
+            affine: affine,
+            volume: volume
+        };
+    }
+
+    tagKey(group, element) {
+        return (group.toString(16).padStart(4, '0') + element.toString(16).padStart(4, '0')).toUpperCase();
+    }
+}
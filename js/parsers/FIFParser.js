@@ -0,0 +1,248 @@
+/**
+ * 🧲 FIFParser
+ *
+ * Reads raw recordings from Neuromag/Elekta/MEGIN FIF files, the native
+ * format of MNE-Python. A FIF file is a list of big-endian tags (kind, type,
+ * size, next) nested into blocks by BLOCK_START/BLOCK_END tags. The
+ * measurement info block gives the sampling frequency and one channel info
+ * record per channel (name, kind, calibration, unit); the raw data block
+ * holds multiplexed sample buffers, optionally separated by skips.
+ * Samples are calibrated to physical units (range × cal).
+ *
+ * Evoked, epochs and forward/inverse files carry no raw data block and are
+ * rejected.
+ */
+
+const FIFF = {
+    FILE_ID: 100,
+    BLOCK_START: 104,
+    BLOCK_END: 105,
+    NCHAN: 200,
+    SFREQ: 201,
+    CH_INFO: 203,
+    MEAS_DATE: 204,
+    DESCRIPTION: 206,
+    FIRST_SAMPLE: 208,
+    LOWPASS: 219,
+    HIGHPASS: 223,
+    DATA_BUFFER: 300,
+    DATA_SKIP: 301,
+    DATA_SKIP_SAMP: 303
+};
+
+const BLOCK_MEAS_INFO = 101;
+// Raw, continuous and MaxShield (internal active shielding) raw data
+const RAW_BLOCKS = [102, 112, 119];
+
+// Buffer data types -> [byte size, DataView getter]
+const BUFFER_TYPES = {
+    2: [2, 'getInt16'],   // short
+    3: [4, 'getInt32'],   // int
+    4: [4, 'getFloat32'], // float
+    5: [8, 'getFloat64'], // double
+    16: [2, 'getInt16']   // dau_pack16
+};
+
+// Channel kinds, named as MNE names them
+const CHANNEL_KINDS = {
+    1: 'MEG', 2: 'EEG', 3: 'STIM', 201: 'MCG', 202: 'EOG', 301: 'REF_MEG',
+    302: 'EMG', 402: 'ECG', 502: 'MISC', 602: 'RESP', 702: 'BIO', 802: 'SEEG',
+    803: 'DBS', 900: 'SYST', 902: 'ECOG', 910: 'IAS', 920: 'EXCI',
+    1000: 'DIPOLE', 1001: 'GOF', 1100: 'FNIRS'
+};
+
+const UNITS = { 107: 'V', 112: 'T', 201: 'T/m', 202: 'Am', 203: 'Am/m²', 204: 'Am/m³' };
+const UNIT_PREFIXES = { 3: 'k', 0: '', '-3': 'm', '-6': 'µ', '-9': 'n', '-12': 'p', '-15': 'f' };
+
+export class FIFParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of data buffers read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the file id tag every FIF file starts with
+     */
+    static isFIF(arrayBuffer) {
+        if (arrayBuffer.byteLength < 16) return false;
+        const view = new DataView(arrayBuffer);
+        return view.getInt32(0) === FIFF.FILE_ID && view.getInt32(4) === 31 && view.getInt32(8) === 20;
+    }
+
+    /**
+     * Parse a raw FIF file
+     * @returns {{info: Object, firstSample: number, samples: number, channels: Float32Array[]}}
+     */
+    parse(arrayBuffer) {
+        if (!FIFParser.isFIF(arrayBuffer)) {
+            throw new Error('Not a FIF file (missing file id tag)');
+        }
+
+        const view = new DataView(arrayBuffer);
+        const info = { nchan: 0, sfreq: 0, channels: [], measDate: null, lowpass: null, highpass: null, description: '' };
+        const buffers = [];
+        let firstSample = 0;
+        let skip = { buffers: 0, samples: 0 };
+        const blocks = [];
+
+        for (const tag of this.tags(view)) {
+            if (tag.kind === FIFF.BLOCK_START) {
+                blocks.push(view.getInt32(tag.dataOffset));
+                continue;
+            }
+            if (tag.kind === FIFF.BLOCK_END) {
+                blocks.pop();
+                continue;
+            }
+
+            // Copies of the info nested in processing history blocks are ignored
+            const block = blocks[blocks.length - 1];
+            if (block === BLOCK_MEAS_INFO && blocks.indexOf(BLOCK_MEAS_INFO) === blocks.length - 1) {
+                this.readInfoTag(view, tag, info);
+            } else if (RAW_BLOCKS.includes(block)) {
+                // Skips are counted in buffers the size of the next one, or directly in samples
+                if (tag.kind === FIFF.FIRST_SAMPLE) {
+                    firstSample = view.getInt32(tag.dataOffset);
+                } else if (tag.kind === FIFF.DATA_SKIP) {
+                    skip.buffers += view.getInt32(tag.dataOffset);
+                } else if (tag.kind === FIFF.DATA_SKIP_SAMP) {
+                    skip.samples += view.getInt32(tag.dataOffset);
+                } else if (tag.kind === FIFF.DATA_BUFFER) {
+                    buffers.push({ ...tag, skip });
+                    skip = { buffers: 0, samples: 0 };
+                }
+            }
+        }
+
+        if (!(info.sfreq > 0) || info.channels.length === 0) {
+            throw new Error('FIF file has no measurement info (sampling frequency and channels)');
+        }
+        if (info.nchan && info.nchan !== info.channels.length) {
+            throw new Error(`FIF measurement info declares ${info.nchan} channels but describes ${info.channels.length}`);
+        }
+        if (buffers.length === 0) {
+            throw new Error('FIF file has no raw data; evoked, epochs and forward/inverse files are not supported');
+        }
+
+        const nchan = info.channels.length;
+        const calibration = info.channels.map(channel => channel.range * channel.cal);
+
+        // Buffer lengths first, so each channel is allocated once
+        let samples = 0;
+        buffers.forEach(buffer => {
+            const type = BUFFER_TYPES[buffer.type];
+            if (!type) {
+                throw new Error(`Unsupported FIF data buffer type ${buffer.type}`);
+            }
+            buffer.samples = Math.floor(buffer.size / (type[0] * nchan));
+            buffer.start = samples + buffer.skip.buffers * buffer.samples + buffer.skip.samples;
+            samples = buffer.start + buffer.samples;
+        });
+
+        // Skipped stretches stay zero, as in MNE
+        const channels = info.channels.map(() => new Float32Array(samples));
+        buffers.forEach((buffer, b) => {
+            const [size, getter] = BUFFER_TYPES[buffer.type];
+            let at = buffer.dataOffset;
+            for (let s = 0; s < buffer.samples; s++) {
+                const index = buffer.start + s;
+                for (let c = 0; c < nchan; c++) {
+                    channels[c][index] = view[getter](at) * calibration[c];
+                    at += size;
+                }
+            }
+            if (this.checkAborted) this.checkAborted();
+            if (this.onProgress) this.onProgress((b + 1) / buffers.length);
+        });
+
+        return { info, firstSample, samples, channels };
+    }
+
+    /**
+     * Walk the tag list: next = 0 means the tag that follows, -1 the end,
+     * anything else an absolute file position
+     */
+    *tags(view) {
+        let offset = 0;
+        while (offset + 16 <= view.byteLength) {
+            const tag = {
+                kind: view.getInt32(offset),
+                type: view.getInt32(offset + 4),
+                size: view.getInt32(offset + 8),
+                dataOffset: offset + 16
+            };
+            const next = view.getInt32(offset + 12);
+            if (tag.size < 0 || tag.dataOffset + tag.size > view.byteLength) {
+                throw new Error(`FIF tag ${tag.kind} at byte ${offset} runs past the end of the file`);
+            }
+            yield tag;
+
+            if (next === -1) break;
+            if (next > 0 && next <= offset) {
+                throw new Error(`FIF tag ${tag.kind} at byte ${offset} points back to byte ${next}`);
+            }
+            offset = next > 0 ? next : tag.dataOffset + tag.size;
+        }
+    }
+
+    /**
+     * Collect the measurement info tags that matter for display
+     */
+    readInfoTag(view, tag, info) {
+        const at = tag.dataOffset;
+        switch (tag.kind) {
+            case FIFF.NCHAN:
+                info.nchan = view.getInt32(at);
+                break;
+            case FIFF.SFREQ:
+                info.sfreq = view.getFloat32(at);
+                break;
+            case FIFF.LOWPASS:
+                info.lowpass = view.getFloat32(at);
+                break;
+            case FIFF.HIGHPASS:
+                info.highpass = view.getFloat32(at);
+                break;
+            case FIFF.MEAS_DATE:
+                // Seconds and microseconds since the epoch
+                info.measDate = new Date(view.getInt32(at) * 1000 + Math.round(view.getInt32(at + 4) / 1000));
+                break;
+            case FIFF.DESCRIPTION:
+                info.description = this.readString(view, at, tag.size);
+                break;
+            case FIFF.CH_INFO:
+                info.channels.push(this.readChannelInfo(view, at));
+                break;
+        }
+    }
+
+    /**
+     * Decode a 96-byte channel info record
+     */
+    readChannelInfo(view, at) {
+        const kind = view.getInt32(at + 8);
+        const unit = view.getInt32(at + 72);
+        const unitMul = view.getInt32(at + 76);
+        return {
+            scanNo: view.getInt32(at),
+            logNo: view.getInt32(at + 4),
+            kind: kind,
+            type: CHANNEL_KINDS[kind] || 'MISC',
+            range: view.getFloat32(at + 12),
+            cal: view.getFloat32(at + 16),
+            coilType: view.getInt32(at + 20),
+            unit: UNITS[unit] ? (UNIT_PREFIXES[unitMul] ?? `10^${unitMul} `) + UNITS[unit] : '',
+            name: this.readString(view, at + 80, 16)
+        };
+    }
+
+    readString(view, offset, length) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+        return new TextDecoder('latin1').decode(bytes).replace(/\0.*$/s, '').trim();
+    }
+}
@@ -0,0 +1,440 @@
+/**
+ * 🧩 GLTFParser
+ *
+ * Decodes glTF 2.0 assets (.gltf JSON and .glb binary containers) into one
+ * world-space triangle list for the mesh renderer. Buffers may live in the
+ * GLB BIN chunk, in base64 data URIs, or in external files supplied by the
+ * caller. Accessors are resolved through their bufferViews (byte strides,
+ * normalized integers and sparse substitution included), the default scene's
+ * node hierarchy is walked with its transforms, and each primitive carries
+ * its material's base color factor and COLOR_0 into per-corner colors.
+ */
+
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+// componentType -> [typed array, normalization divisor]
+const COMPONENT_TYPES = {
+    5120: [Int8Array, 127],
+    5121: [Uint8Array, 255],
+    5122: [Int16Array, 32767],
+    5123: [Uint16Array, 65535],
+    5125: [Uint32Array, 4294967295],
+    5126: [Float32Array, 1]
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Primitive modes the mesh renderer can draw as triangles
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+const UNSUPPORTED_EXTENSIONS = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression'];
+
+export class GLTFParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.resolveURI - async (uri) => ArrayBuffer for external buffers
+     * @param {Function} options.onProgress - Called with the fraction of primitives decoded
+     * @param {Function} options.checkAborted - Throws to stop decoding
+     */
+    constructor({ resolveURI = null, onProgress = null, checkAborted = null } = {}) {
+        this.resolveURI = resolveURI;
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the GLB container magic
+     */
+    static isGLB(arrayBuffer) {
+        return arrayBuffer.byteLength >= 12 && new DataView(arrayBuffer).getUint32(0, true) === GLB_MAGIC;
+    }
+
+    /**
+     * Split a GLB container into its JSON document and BIN chunk
+     */
+    static readGLB(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const version = view.getUint32(4, true);
+        if (version !== 2) {
+            throw new Error(`Unsupported GLB version ${version} (only glTF 2.0 is supported)`);
+        }
+
+        const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+        let json = null;
+        let bin = null;
+        let offset = 12;
+
+        while (offset + 8 <= length) {
+            const chunkLength = view.getUint32(offset, true);
+            const chunkType = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+            if (start + chunkLength > length) {
+                throw new Error('GLB chunk extends past the end of the file');
+            }
+
+            if (chunkType === CHUNK_JSON && !json) {
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+            } else if (chunkType === CHUNK_BIN && !bin) {
+                bin = arrayBuffer.slice(start, start + chunkLength);
+            }
+            // Chunks are 4-byte aligned
+            offset = start + Math.ceil(chunkLength / 4) * 4;
+        }
+
+        if (!json) {
+            throw new Error('GLB file has no JSON chunk');
+        }
+        return { json, bin };
+    }
+
+    /**
+     * Decode a glTF document into a flat, world-space triangle list
+     * @param {Object} json - The glTF JSON document
+     * @param {ArrayBuffer|null} bin - GLB BIN chunk, if any
+     * @returns {Promise<{positions: Float32Array, normals: Float32Array|null, colors: Float32Array|null, triangleCount: number, meshCount: number, nodeCount: number, materialCount: number}>}
+     */
+    async parse(json, bin = null) {
+        const version = json.asset && json.asset.version;
+        if (!version || !version.startsWith('2')) {
+            throw new Error(`Unsupported glTF version ${version || 'unknown'} (only glTF 2.0 is supported)`);
+        }
+        const required = (json.extensionsRequired || []).filter(name => UNSUPPORTED_EXTENSIONS.includes(name));
+        if (required.length > 0) {
+            throw new Error(`glTF uses unsupported compression: ${required.join(', ')}`);
+        }
+
+        this.json = json;
+        this.buffers = await Promise.all((json.buffers || []).map((buffer, i) => this.loadBuffer(buffer, i, bin)));
+        this.accessorCache = new Map();
+
+        const instances = this.collectInstances();
+        const triangles = [];
+        let done = 0;
+
+        for (const { mesh, matrix } of instances) {
+            for (const primitive of json.meshes[mesh].primitives) {
+                if (this.checkAborted) this.checkAborted();
+                const decoded = this.decodePrimitive(primitive, matrix);
+                if (decoded) triangles.push(decoded);
+            }
+            done++;
+            if (this.onProgress) this.onProgress(done / instances.length);
+        }
+
+        return this.merge(triangles, instances.length);
+    }
+
+    /**
+     * Buffer bytes from the BIN chunk, a data URI or an external file
+     */
+    async loadBuffer(buffer, index, bin) {
+        if (buffer.uri === undefined) {
+            if (!bin) {
+                throw new Error(`glTF buffer ${index} has no URI and there is no GLB BIN chunk`);
+            }
+            return bin;
+        }
+
+        if (buffer.uri.startsWith('data:')) {
+            const comma = buffer.uri.indexOf(',');
+            if (!/;base64$/.test(buffer.uri.slice(0, comma))) {
+                throw new Error(`glTF buffer ${index} uses a data URI that is not base64 encoded`);
+            }
+            const binary = atob(buffer.uri.slice(comma + 1));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return bytes.buffer;
+        }
+
+        const data = this.resolveURI ? await this.resolveURI(decodeURIComponent(buffer.uri)) : null;
+        if (!data) {
+            throw new Error(`glTF buffer "${buffer.uri}" not found; load it together with the .gltf file`);
+        }
+        return data;
+    }
+
+    /**
+     * Every mesh reference in the scene with its accumulated world matrix
+     */
+    collectInstances() {
+        const json = this.json;
+        const nodes = json.nodes || [];
+        const instances = [];
+
+        let roots;
+        if (json.scenes && json.scenes.length > 0) {
+            roots = json.scenes[json.scene || 0].nodes || [];
+        } else {
+            // No scene: every node that is nobody's child is a root
+            const children = new Set(nodes.flatMap(node => node.children || []));
+            roots = nodes.map((_, i) => i).filter(i => !children.has(i));
+        }
+
+        const visit = (index, parentMatrix, depth) => {
+            const node = nodes[index];
+            if (!node || depth > 64) return;
+            const matrix = multiply(parentMatrix, localMatrix(node));
+            if (node.mesh !== undefined) instances.push({ mesh: node.mesh, matrix });
+            (node.children || []).forEach(child => visit(child, matrix, depth + 1));
+        };
+        roots.forEach(root => visit(root, IDENTITY, 0));
+
+        // Meshes that no node places are still worth showing
+        if (instances.length === 0 && json.meshes) {
+            json.meshes.forEach((_, mesh) => instances.push({ mesh, matrix: IDENTITY }));
+        }
+
+        this.nodeCount = nodes.length;
+        return instances;
+    }
+
+    /**
+     * Read an accessor as a flat Float32Array (normalized integers scaled to
+     * 0..1 / -1..1) or, for indices, a Uint32Array
+     */
+    readAccessor(index, asIndices = false) {
+        const key = `${index}:${asIndices}`;
+        if (this.accessorCache.has(key)) return this.accessorCache.get(key);
+
+        const accessor = this.json.accessors[index];
+        const size = TYPE_SIZES[accessor.type];
+        const [ArrayType, divisor] = COMPONENT_TYPES[accessor.componentType] || [];
+        if (!size || !ArrayType) {
+            throw new Error(`glTF accessor ${index} has unsupported type ${accessor.type}/${accessor.componentType}`);
+        }
+
+        const out = asIndices ? new Uint32Array(accessor.count * size) : new Float32Array(accessor.count * size);
+        const scale = accessor.normalized && !asIndices ? 1 / divisor : 1;
+
+        if (accessor.bufferView !== undefined) {
+            this.copyElements(accessor.bufferView, accessor.byteOffset || 0, ArrayType, size, accessor.count, out, scale);
+        }
+
+        if (accessor.sparse) {
+            const { count, indices, values } = accessor.sparse;
+            const [IndexType] = COMPONENT_TYPES[indices.componentType];
+            const targets = new Uint32Array(count);
+            this.copyElements(indices.bufferView, indices.byteOffset || 0, IndexType, 1, count, targets, 1);
+            const replacement = new Float32Array(count * size);
+            this.copyElements(values.bufferView, values.byteOffset || 0, ArrayType, size, count, replacement, scale);
+            for (let i = 0; i < count; i++) {
+                for (let k = 0; k < size; k++) out[targets[i] * size + k] = replacement[i * size + k];
+            }
+        }
+
+        this.accessorCache.set(key, out);
+        return out;
+    }
+
+    /**
+     * Copy count elements of size components out of a bufferView, honouring
+     * byteStride for interleaved vertex data
+     */
+    copyElements(viewIndex, byteOffset, ArrayType, size, count, out, scale) {
+        const view = this.json.bufferViews[viewIndex];
+        const buffer = this.buffers[view.buffer];
+        const start = (view.byteOffset || 0) + byteOffset;
+        const elementBytes = ArrayType.BYTES_PER_ELEMENT * size;
+        const stride = view.byteStride || elementBytes;
+
+        if (start + stride * (count - 1) + elementBytes > buffer.byteLength) {
+            throw new Error(`glTF bufferView ${viewIndex} reads past the end of buffer ${view.buffer}`);
+        }
+
+        if (stride === elementBytes && start % ArrayType.BYTES_PER_ELEMENT === 0) {
+            const source = new ArrayType(buffer, start, count * size);
+            for (let i = 0; i < source.length; i++) out[i] = source[i] * scale;
+            return;
+        }
+
+        // Interleaved or unaligned data goes through a DataView
+        const data = new DataView(buffer);
+        const getter = `get${ArrayType.name.replace('Array', '')}`;
+        for (let i = 0; i < count; i++) {
+            for (let k = 0; k < size; k++) {
+                out[i * size + k] = data[getter](start + i * stride + k * ArrayType.BYTES_PER_ELEMENT, true) * scale;
+            }
+        }
+    }
+
+    /**
+     * Expand one primitive into world-space triangle corners
+     */
+    decodePrimitive(primitive, matrix) {
+        const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+        const attributes = primitive.attributes || {};
+        if (attributes.POSITION === undefined ||
+            ![MODE_TRIANGLES, MODE_TRIANGLE_STRIP, MODE_TRIANGLE_FAN].includes(mode)) {
+            return null;
+        }
+
+        const positions = this.readAccessor(attributes.POSITION);
+        const normals = attributes.NORMAL !== undefined ? this.readAccessor(attributes.NORMAL) : null;
+        const vertexColors = attributes.COLOR_0 !== undefined ? this.readAccessor(attributes.COLOR_0) : null;
+        const colorComponents = vertexColors ? TYPE_SIZES[this.json.accessors[attributes.COLOR_0].type] : 0;
+        const vertexCount = positions.length / 3;
+
+        let indices = primitive.indices !== undefined
+            ? this.readAccessor(primitive.indices, true)
+            : Uint32Array.from({ length: vertexCount }, (_, i) => i);
+        indices = toTriangleList(indices, mode);
+
+        const material = primitive.material !== undefined && this.json.materials
+            ? this.json.materials[primitive.material]
+            : null;
+        const pbr = material && material.pbrMetallicRoughness;
+        const baseColor = (pbr && pbr.baseColorFactor) || [1, 1, 1, 1];
+        const hasColor = !!(vertexColors || (pbr && pbr.baseColorFactor));
+
+        const corners = indices.length;
+        const out = {
+            positions: new Float32Array(corners * 3),
+            normals: normals ? new Float32Array(corners * 3) : null,
+            colors: new Float32Array(corners * 4),
+            hasColor: hasColor
+        };
+        const normalMatrix = normalMatrixOf(matrix);
+        // Mirroring transforms flip the winding of every triangle
+        const flip = determinant3(matrix) < 0;
+
+        for (let c = 0; c < corners; c++) {
+            // Swap the last two corners of each triangle when mirrored
+            const corner = flip && c % 3 !== 0 ? c + (c % 3 === 1 ? 1 : -1) : c;
+            const v = indices[c];
+            if (v >= vertexCount) {
+                throw new Error(`glTF primitive index ${v} is out of range (${vertexCount} vertices)`);
+            }
+
+            transformPoint(matrix, positions, v * 3, out.positions, corner * 3);
+            if (normals) transformNormal(normalMatrix, normals, v * 3, out.normals, corner * 3);
+
+            for (let k = 0; k < 4; k++) {
+                const vertexValue = vertexColors && k < colorComponents ? vertexColors[v * colorComponents + k] : 1;
+                out.colors[corner * 4 + k] = baseColor[k] * vertexValue;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Concatenate primitives; colors are dropped when no primitive has any
+     */
+    merge(triangles, meshInstances) {
+        const total = triangles.reduce((sum, t) => sum + t.positions.length, 0);
+        const positions = new Float32Array(total);
+        const allNormals = triangles.every(t => t.normals);
+        const normals = allNormals ? new Float32Array(total) : null;
+        const anyColor = triangles.some(t => t.hasColor);
+        const colors = anyColor ? new Float32Array(total / 3 * 4) : null;
+
+        let offset = 0;
+        for (const t of triangles) {
+            positions.set(t.positions, offset);
+            if (normals) normals.set(t.normals, offset);
+            if (colors) colors.set(t.colors, offset / 3 * 4);
+            offset += t.positions.length;
+        }
+
+        return {
+            positions: positions,
+            normals: normals,
+            colors: colors,
+            triangleCount: total / 9,
+            meshCount: meshInstances,
+            nodeCount: this.nodeCount,
+            materialCount: (this.json.materials || []).length
+        };
+    }
+}
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Column-major local matrix from node.matrix or translation/rotation/scale
+ */
+function localMatrix(node) {
+    if (node.matrix) return node.matrix;
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+        2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+        2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+function multiply(a, b) {
+    const out = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+function determinant3(m) {
+    return m[0] * (m[5] * m[10] - m[9] * m[6]) -
+        m[4] * (m[1] * m[10] - m[9] * m[2]) +
+        m[8] * (m[1] * m[6] - m[5] * m[2]);
+}
+
+/**
+ * Inverse transpose of the upper 3x3, column-major
+ */
+function normalMatrixOf(m) {
+    const det = determinant3(m) || 1;
+    return [
+        (m[5] * m[10] - m[6] * m[9]) / det, (m[6] * m[8] - m[4] * m[10]) / det, (m[4] * m[9] - m[5] * m[8]) / det,
+        (m[2] * m[9] - m[1] * m[10]) / det, (m[0] * m[10] - m[2] * m[8]) / det, (m[1] * m[8] - m[0] * m[9]) / det,
+        (m[1] * m[6] - m[2] * m[5]) / det, (m[2] * m[4] - m[0] * m[6]) / det, (m[0] * m[5] - m[1] * m[4]) / det
+    ];
+}
+
+function transformPoint(m, source, i, target, j) {
+    const x = source[i], y = source[i + 1], z = source[i + 2];
+    target[j] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    target[j + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    target[j + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+}
+
+function transformNormal(n, source, i, target, j) {
+    const x = source[i], y = source[i + 1], z = source[i + 2];
+    const nx = n[0] * x + n[3] * y + n[6] * z;
+    const ny = n[1] * x + n[4] * y + n[7] * z;
+    const nz = n[2] * x + n[5] * y + n[8] * z;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    target[j] = nx / length;
+    target[j + 1] = ny / length;
+    target[j + 2] = nz / length;
+}
+
+/**
+ * Convert strip and fan index sequences into plain triangle lists
+ */
+function toTriangleList(indices, mode) {
+    if (mode === MODE_TRIANGLES) return indices.subarray(0, indices.length - indices.length % 3);
+
+    const triangles = new Uint32Array(Math.max(0, indices.length - 2) * 3);
+    for (let i = 0; i + 2 < indices.length; i++) {
+        if (mode === MODE_TRIANGLE_FAN) {
+            triangles.set([indices[0], indices[i + 1], indices[i + 2]], i * 3);
+        } else if (i % 2 === 0) {
+            triangles.set([indices[i], indices[i + 1], indices[i + 2]], i * 3);
+        } else {
+            triangles.set([indices[i + 1], indices[i], indices[i + 2]], i * 3);
+        }
+    }
+    return triangles;
+}
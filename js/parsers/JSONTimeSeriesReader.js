@@ -0,0 +1,126 @@
+/**
+ * 🧾 JSONTimeSeriesReader
+ *
+ * Normalizes the common JSON layouts for time series into the same typed
+ * column table TabularReader produces, so JSON recordings go through the
+ * same time-column and channel handling as CSV:
+ *   - an array of row objects:        [{"time": 0, "Fz": 1.2}, ...]
+ *   - a column map:                   {"time": [0, 0.004], "Fz": [1.2, 1.3]}
+ *   - a wrapped document:             {"metadata": {...}, "data": <rows or columns>}
+ *   - NDJSON / JSON Lines:            one row object per line
+ */
+
+import { TabularReader } from './TabularReader.js';
+
+const EXPECTED_SHAPES = 'an array of row objects ([{"time": 0, "Fz": 1.2}, ...]), ' +
+    'a column map ({"Fz": [1.2, ...]}), {"metadata": {...}, "data": [rows]}, ' +
+    'or NDJSON (one row object per line)';
+
+// Wrapper keys that hold the records in exported documents
+const DATA_KEYS = ['data', 'records', 'rows', 'samples', 'values'];
+
+// Metadata keys that give the sampling rate in Hz
+const RATE_KEYS = ['sampleRate', 'sample_rate', 'samplingRate', 'sampling_rate', 'SamplingFrequency', 'srate', 'fs'];
+
+export class JSONTimeSeriesReader {
+    /**
+     * Parse JSON or NDJSON text into typed columns
+     * @returns {{columns: Array<{name: string, type: string, values: ArrayLike}>, rowCount: number, shape: string, metadata: Object|null, sampleRate: number|null}}
+     */
+    read(text) {
+        const { document, ndjson } = this.parse(text);
+        const metadata = !ndjson && this.isPlainObject(document) && this.isPlainObject(document.metadata)
+            ? document.metadata
+            : null;
+
+        const { columns, shape } = this.toColumns(ndjson ? document : this.unwrap(document));
+        const names = Object.keys(columns);
+        if (names.length === 0) {
+            throw new Error(`JSON time series has no columns. Expected ${EXPECTED_SHAPES}`);
+        }
+
+        const table = names.map(name => TabularReader.columnFromCells(name, columns[name]));
+        const rate = metadata && RATE_KEYS.map(key => metadata[key]).find(value => typeof value === 'number' && value > 0);
+
+        return {
+            columns: table,
+            rowCount: Math.max(...table.map(column => column.values.length)),
+            shape: ndjson ? 'NDJSON' : shape,
+            metadata: metadata,
+            sampleRate: rate || null
+        };
+    }
+
+    /**
+     * Parse as one JSON document, falling back to one document per line
+     */
+    parse(text) {
+        const body = text.replace(/^\uFEFF/, '');
+        try {
+            return { document: JSON.parse(body), ndjson: false };
+        } catch (error) {
+            const lines = body.split(/\r?\n/).filter(line => line.trim());
+            let rows;
+            try {
+                rows = lines.map(line => JSON.parse(line));
+            } catch {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            if (lines.length < 2 || !rows.every(row => this.isPlainObject(row))) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            return { document: rows, ndjson: true };
+        }
+    }
+
+    /**
+     * Step into {metadata, data} style wrappers
+     */
+    unwrap(document) {
+        if (!this.isPlainObject(document) || this.isColumnMap(document)) return document;
+
+        const key = DATA_KEYS.find(name => Array.isArray(document[name]) || this.isColumnMap(document[name]));
+        return key ? document[key] : document;
+    }
+
+    /**
+     * Turn rows or a column map into arrays of cells by column name
+     */
+    toColumns(records) {
+        if (Array.isArray(records) && records.length > 0 && records.every(row => this.isPlainObject(row))) {
+            // Union of keys in first-seen order; rows may omit keys
+            const names = new Set();
+            records.forEach(row => Object.keys(row).forEach(key => names.add(key)));
+
+            const columns = {};
+            names.forEach(name => {
+                columns[name] = records.map(row => row[name]);
+            });
+            return { columns, shape: 'row objects' };
+        }
+
+        if (this.isColumnMap(records)) {
+            const columns = {};
+            Object.entries(records).forEach(([name, values]) => {
+                if (Array.isArray(values)) columns[name] = values;
+            });
+            return { columns, shape: 'column map' };
+        }
+
+        throw new Error(`Unrecognized JSON time series structure. Expected ${EXPECTED_SHAPES}`);
+    }
+
+    /**
+     * An object whose array values are columns of plain values
+     */
+    isColumnMap(value) {
+        if (!this.isPlainObject(value)) return false;
+        const arrays = Object.values(value).filter(Array.isArray);
+        return arrays.length > 0 &&
+            arrays.every(array => array.every(cell => cell === null || typeof cell !== 'object'));
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * 🛰️ LASParser
+ *
+ * Reads ASPRS LAS 1.2–1.4 lidar files: the public header block (version,
+ * point counts, scale and offset, bounds) and point data record formats
+ * 0–10. Coordinates are scaled and offset to real-world units, then shifted
+ * by the bounding-box center so they survive Float32 storage; the center is
+ * returned as the origin. Intensity, classification, return numbers, GPS
+ * time and RGB are decoded per point.
+ *
+ * LAZ (compressed LAS) is detected and rejected with a clear error.
+ */
+
+// Point record format -> byte offsets of optional blocks (null = absent)
+const POINT_FORMATS = {
+    0: { size: 20, gpsTime: null, rgb: null },
+    1: { size: 28, gpsTime: 20, rgb: null },
+    2: { size: 26, gpsTime: null, rgb: 20 },
+    3: { size: 34, gpsTime: 20, rgb: 28 },
+    4: { size: 57, gpsTime: 20, rgb: null },
+    5: { size: 63, gpsTime: 20, rgb: 28 },
+    6: { size: 30, gpsTime: 22, rgb: null },
+    7: { size: 36, gpsTime: 22, rgb: 30 },
+    8: { size: 38, gpsTime: 22, rgb: 30 },
+    9: { size: 59, gpsTime: 22, rgb: null },
+    10: { size: 67, gpsTime: 22, rgb: 30 }
+};
+
+export class LASParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of points read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the "LASF" file signature
+     */
+    static isLAS(arrayBuffer) {
+        if (arrayBuffer.byteLength < 4) return false;
+        const magic = new Uint8Array(arrayBuffer, 0, 4);
+        return String.fromCharCode(...magic) === 'LASF';
+    }
+
+    /**
+     * Parse a whole LAS file
+     * @returns {{header: Object, positions: Float32Array, origin: number[], intensity: Uint16Array, classification: Uint8Array, returnNumber: Uint8Array, numberOfReturns: Uint8Array, gpsTime: Float64Array|null, rgb: Uint16Array|null}}
+     */
+    parse(arrayBuffer) {
+        if (!LASParser.isLAS(arrayBuffer)) {
+            throw new Error('Not a LAS file (missing LASF signature)');
+        }
+
+        const view = new DataView(arrayBuffer);
+        const header = this.parseHeader(view);
+        const layout = POINT_FORMATS[header.pointFormat];
+        const count = header.pointCount;
+        const stride = header.pointRecordLength;
+
+        if (header.pointDataOffset + count * stride > arrayBuffer.byteLength) {
+            throw new Error(`LAS file holds ${Math.floor((arrayBuffer.byteLength - header.pointDataOffset) / stride)} points, header declares ${count}`);
+        }
+
+        const [cx, cy, cz] = [0, 1, 2].map(k => (header.min[k] + header.max[k]) / 2);
+        const [sx, sy, sz] = header.scale;
+        const [ox, oy, oz] = header.offset;
+        const extended = header.pointFormat >= 6;
+
+        const positions = new Float32Array(count * 3);
+        const intensity = new Uint16Array(count);
+        const classification = new Uint8Array(count);
+        const returnNumber = new Uint8Array(count);
+        const numberOfReturns = new Uint8Array(count);
+        const gpsTime = layout.gpsTime !== null ? new Float64Array(count) : null;
+        const rgb = layout.rgb !== null ? new Uint16Array(count * 3) : null;
+
+        for (let i = 0; i < count; i++) {
+            const at = header.pointDataOffset + i * stride;
+
+            positions[i * 3] = view.getInt32(at, true) * sx + ox - cx;
+            positions[i * 3 + 1] = view.getInt32(at + 4, true) * sy + oy - cy;
+            positions[i * 3 + 2] = view.getInt32(at + 8, true) * sz + oz - cz;
+            intensity[i] = view.getUint16(at + 12, true);
+
+            const returns = view.getUint8(at + 14);
+            if (extended) {
+                returnNumber[i] = returns & 0x0F;
+                numberOfReturns[i] = returns >> 4;
+                classification[i] = view.getUint8(at + 16);
+            } else {
+                returnNumber[i] = returns & 0x07;
+                numberOfReturns[i] = (returns >> 3) & 0x07;
+                // Upper bits are the synthetic/key-point/withheld flags
+                classification[i] = view.getUint8(at + 15) & 0x1F;
+            }
+
+            if (gpsTime) gpsTime[i] = view.getFloat64(at + layout.gpsTime, true);
+            if (rgb) {
+                rgb[i * 3] = view.getUint16(at + layout.rgb, true);
+                rgb[i * 3 + 1] = view.getUint16(at + layout.rgb + 2, true);
+                rgb[i * 3 + 2] = view.getUint16(at + layout.rgb + 4, true);
+            }
+
+            if (i % 65536 === 0) {
+                if (this.checkAborted) this.checkAborted();
+                if (this.onProgress) this.onProgress(i / count);
+            }
+        }
+
+        return {
+            header,
+            positions,
+            origin: [cx, cy, cz],
+            intensity,
+            classification,
+            returnNumber,
+            numberOfReturns,
+            gpsTime,
+            rgb
+        };
+    }
+
+    /**
+     * Decode the public header block
+     */
+    parseHeader(view) {
+        const versionMajor = view.getUint8(24);
+        const versionMinor = view.getUint8(25);
+        const rawFormat = view.getUint8(104);
+
+        // LAZ writers set the top bits of the point format
+        if (rawFormat & 0xC0) {
+            throw new Error('Compressed LAZ files are not supported; decompress to LAS first (e.g. with laszip)');
+        }
+        if (versionMajor !== 1 || versionMinor < 0 || versionMinor > 4) {
+            throw new Error(`Unsupported LAS version ${versionMajor}.${versionMinor}`);
+        }
+
+        const pointFormat = rawFormat & 0x3F;
+        if (!POINT_FORMATS[pointFormat]) {
+            throw new Error(`Unsupported LAS point data record format ${pointFormat}`);
+        }
+
+        const header = {
+            version: `${versionMajor}.${versionMinor}`,
+            systemIdentifier: this.readString(view, 26, 32),
+            generatingSoftware: this.readString(view, 58, 32),
+            headerSize: view.getUint16(94, true),
+            pointDataOffset: view.getUint32(96, true),
+            pointFormat: pointFormat,
+            pointRecordLength: view.getUint16(105, true),
+            pointCount: view.getUint32(107, true),
+            scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+            offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+            max: [view.getFloat64(179, true), view.getFloat64(195, true), view.getFloat64(211, true)],
+            min: [view.getFloat64(187, true), view.getFloat64(203, true), view.getFloat64(219, true)]
+        };
+
+        // LAS 1.4 moves the point count to a 64-bit field; the legacy one is 0 for formats 6-10
+        if (versionMinor >= 4 && header.headerSize >= 255) {
+            const extendedCount = Number(view.getBigUint64(247, true));
+            if (extendedCount > 0) header.pointCount = extendedCount;
+        }
+
+        // Records may carry extra bytes after the standard fields
+        if (header.pointRecordLength < POINT_FORMATS[pointFormat].size) {
+            throw new Error(`LAS point record length ${header.pointRecordLength} is too short for format ${pointFormat}`);
+        }
+
+        return header;
+    }
+
+    readString(view, offset, length) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+        return new TextDecoder('latin1').decode(bytes).replace(/\0.*$/s, '').trim();
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * 🧮 MATParser
+ *
+ * Reads MATLAB Level 5 MAT-files (as written by save -v6/-v7, and EEGLAB's
+ * .set files): numeric and logical matrices of every class, char arrays,
+ * cell arrays and structs, including zlib-compressed (miCOMPRESSED)
+ * variables. Values decode to plain JavaScript structures:
+ *
+ *   numeric → { class, dims, data, imag?, logical? } (column-major data)
+ *   char    → string (one row) or string[] (one per row)
+ *   cell    → { class: 'cell', dims, cells }
+ *   struct  → { class: 'struct', dims, fieldNames, elements: [{field: value}] }
+ *
+ * Sparse matrices, function handles and MATLAB objects are returned as
+ * { class, unsupported: true }. v7.3 files are HDF5 and are rejected.
+ */
+
+import { Compression } from '../utils/Compression.js';
+
+// Data element types: [byte size, DataView getter, typed array]
+const MI_TYPES = {
+    1: [1, 'getInt8', Int8Array],          // miINT8
+    2: [1, 'getUint8', Uint8Array],        // miUINT8
+    3: [2, 'getInt16', Int16Array],        // miINT16
+    4: [2, 'getUint16', Uint16Array],      // miUINT16
+    5: [4, 'getInt32', Int32Array],        // miINT32
+    6: [4, 'getUint32', Uint32Array],      // miUINT32
+    7: [4, 'getFloat32', Float32Array],    // miSINGLE
+    9: [8, 'getFloat64', Float64Array],    // miDOUBLE
+    12: [8, 'getBigInt64', Float64Array],  // miINT64
+    13: [8, 'getBigUint64', Float64Array], // miUINT64
+    16: [1, 'getUint8', Uint8Array],       // miUTF8
+    17: [2, 'getUint16', Uint16Array],     // miUTF16
+    18: [4, 'getUint32', Uint32Array]      // miUTF32
+};
+
+const MI_MATRIX = 14;
+const MI_COMPRESSED = 15;
+
+// Array classes (mxCLASS) by their code in the array flags
+const MX_CLASSES = {
+    1: 'cell', 2: 'struct', 3: 'object', 4: 'char', 5: 'sparse',
+    6: 'double', 7: 'single', 8: 'int8', 9: 'uint8', 10: 'int16',
+    11: 'uint16', 12: 'int32', 13: 'uint32', 14: 'int64', 15: 'uint64',
+    16: 'function', 17: 'opaque'
+};
+
+export class MATParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of the file read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the Level 5 header text
+     */
+    static isMAT(arrayBuffer) {
+        if (arrayBuffer.byteLength < 128) return false;
+        const text = String.fromCharCode(...new Uint8Array(arrayBuffer, 0, 10));
+        return text === 'MATLAB 5.0';
+    }
+
+    /**
+     * Parse a whole MAT-file
+     * @returns {Promise<{description: string, variables: Object}>}
+     */
+    async parse(arrayBuffer) {
+        if (arrayBuffer.byteLength < 128) {
+            throw new Error('MAT-file is shorter than its 128-byte header');
+        }
+        const description = new TextDecoder('latin1').decode(new Uint8Array(arrayBuffer, 0, 116)).replace(/[\s\0]+$/, '');
+        if (/MATLAB 7\.3/.test(description)) {
+            throw new Error('MATLAB v7.3 MAT-files are HDF5 and are not supported; save with -v7 instead');
+        }
+        if (!MATParser.isMAT(arrayBuffer)) {
+            throw new Error('Not a MATLAB Level 5 MAT-file (v4 files are not supported)');
+        }
+
+        const endian = String.fromCharCode(...new Uint8Array(arrayBuffer, 126, 2));
+        if (endian !== 'IM' && endian !== 'MI') {
+            throw new Error(`Invalid MAT-file endian indicator "${endian}"`);
+        }
+        this.littleEndian = endian === 'IM';
+
+        const variables = {};
+        const view = new DataView(arrayBuffer);
+        let offset = 128;
+        while (offset + 8 <= arrayBuffer.byteLength) {
+            if (this.checkAborted) this.checkAborted();
+            if (this.onProgress) this.onProgress(offset / arrayBuffer.byteLength);
+
+            const tag = this.readTag(view, offset);
+            const end = tag.dataOffset + tag.size;
+            if (end > arrayBuffer.byteLength) {
+                throw new Error('MAT-file is truncated');
+            }
+
+            let element = { type: tag.type, view: new DataView(arrayBuffer, tag.dataOffset, tag.size) };
+            if (tag.type === MI_COMPRESSED) {
+                // Each compressed element inflates to one complete element
+                const inflated = await Compression.decompress(new Uint8Array(arrayBuffer, tag.dataOffset, tag.size), 'deflate');
+                const inner = new DataView(inflated);
+                const innerTag = this.readTag(inner, 0);
+                element = { type: innerTag.type, view: new DataView(inflated, innerTag.dataOffset, innerTag.size) };
+            }
+
+            if (element.type === MI_MATRIX) {
+                const { name, value } = this.readMatrix(element.view);
+                variables[name] = value;
+            }
+
+            // Compressed elements are not padded; everything else is to 8 bytes
+            offset = tag.type === MI_COMPRESSED ? end : tag.dataOffset + align8(tag.size);
+        }
+
+        return { description, variables };
+    }
+
+    /**
+     * Read an element tag, either full (8 bytes) or small (data packed into its last 4 bytes)
+     */
+    readTag(view, offset) {
+        const first = view.getUint32(offset, this.littleEndian);
+        if (first >>> 16 !== 0) {
+            return { type: first & 0xFFFF, size: first >>> 16, dataOffset: offset + 4, small: true };
+        }
+        return { type: first, size: view.getUint32(offset + 4, this.littleEndian), dataOffset: offset + 8, small: false };
+    }
+
+    /**
+     * Walk the sub-elements of a matrix body
+     */
+    subElements(view) {
+        const elements = [];
+        let offset = 0;
+        while (offset + 4 <= view.byteLength) {
+            const tag = this.readTag(view, offset);
+            if (tag.dataOffset + tag.size > view.byteLength) {
+                throw new Error('MAT-file matrix element is truncated');
+            }
+            elements.push({ type: tag.type, view: new DataView(view.buffer, view.byteOffset + tag.dataOffset, tag.size) });
+            offset = tag.small ? offset + 8 : tag.dataOffset + align8(tag.size);
+        }
+        return elements;
+    }
+
+    /**
+     * Decode a miMATRIX body: array flags, dimensions, name, then class data
+     */
+    readMatrix(view) {
+        if (view.byteLength === 0) return { name: '', value: null };
+
+        const parts = this.subElements(view);
+        const flags = this.readNumbers(parts[0]);
+        const classCode = flags[0] & 0xFF;
+        const className = MX_CLASSES[classCode] || `class ${classCode}`;
+        const isComplex = (flags[0] & 0x0800) !== 0;
+        const isLogical = (flags[0] & 0x0200) !== 0;
+        const dims = Array.from(this.readNumbers(parts[1]));
+        const name = this.readText(parts[2]);
+        const count = dims.reduce((product, size) => product * size, 1);
+        let rest = parts.slice(3);
+
+        switch (className) {
+            case 'cell':
+                return { name, value: { class: 'cell', dims, cells: rest.slice(0, count).map(part => this.readMatrix(part.view).value) } };
+
+            case 'object':
+                // Class name, then the same layout as a struct
+                rest = rest.slice(1);
+                // falls through
+            case 'struct': {
+                const fieldLength = this.readNumbers(rest[0])[0];
+                const packed = this.readText(rest[1], false);
+                const fieldNames = [];
+                for (let i = 0; fieldLength > 0 && i + fieldLength <= packed.length; i += fieldLength) {
+                    fieldNames.push(packed.slice(i, i + fieldLength).replace(/\0.*$/s, ''));
+                }
+                const values = rest.slice(2);
+                const elements = [];
+                for (let e = 0; e < count; e++) {
+                    const element = {};
+                    fieldNames.forEach((field, f) => {
+                        const part = values[e * fieldNames.length + f];
+                        element[field] = part ? this.readMatrix(part.view).value : null;
+                    });
+                    elements.push(element);
+                }
+                if (className === 'object') {
+                    return { name, value: { class: 'object', unsupported: true, dims, fieldNames, elements } };
+                }
+                return { name, value: { class: 'struct', dims, fieldNames, elements } };
+            }
+
+            case 'char': {
+                const codes = rest[0] ? this.readNumbers(rest[0]) : [];
+                // Column-major: row r is every rows-th code starting at r
+                const rows = dims[0] || 0;
+                const cols = rows ? codes.length / rows : 0;
+                const lines = [];
+                for (let r = 0; r < rows; r++) {
+                    let line = '';
+                    for (let c = 0; c < cols; c++) line += String.fromCodePoint(codes[r + c * rows]);
+                    lines.push(line);
+                }
+                return { name, value: rows === 1 ? lines[0] : (rows === 0 ? '' : lines) };
+            }
+
+            case 'sparse':
+            case 'function':
+            case 'opaque':
+                return { name, value: { class: className, unsupported: true, dims } };
+
+            default: {
+                // Numeric classes; the stored type may be narrower than the class
+                const value = { class: className, dims, data: rest[0] ? this.readNumbers(rest[0]) : new Float64Array(0) };
+                if (isComplex && rest[1]) value.imag = this.readNumbers(rest[1]);
+                if (isLogical) value.logical = true;
+                return { name, value };
+            }
+        }
+    }
+
+    /**
+     * Numbers of a sub-element as a typed array (64-bit integers as Float64)
+     */
+    readNumbers(element) {
+        const info = MI_TYPES[element.type];
+        if (!info) {
+            throw new Error(`Unsupported MAT data type ${element.type}`);
+        }
+        const [size, getter, TypedArray] = info;
+        const count = Math.floor(element.view.byteLength / size);
+
+        // Aligned little-endian data (any bytes) can be copied as is; 64-bit integers need converting
+        const direct = (this.littleEndian || size === 1) && !getter.startsWith('getBig');
+        if (direct && element.view.byteOffset % size === 0) {
+            return new TypedArray(element.view.buffer.slice(element.view.byteOffset, element.view.byteOffset + count * size));
+        }
+
+        const values = new TypedArray(count);
+        for (let i = 0; i < count; i++) {
+            const value = element.view[getter](i * size, this.littleEndian);
+            values[i] = size === 8 && getter !== 'getFloat64' ? Number(value) : value;
+        }
+        return values;
+    }
+
+    /**
+     * Text of a miINT8/miUINT8/miUTF8 (or UTF-16) sub-element
+     */
+    readText(element, trim = true) {
+        if (!element) return '';
+        const bytes = new Uint8Array(element.view.buffer, element.view.byteOffset, element.view.byteLength);
+        const text = element.type === 17
+            ? String.fromCharCode(...this.readNumbers(element))
+            : new TextDecoder('utf-8').decode(bytes);
+        return trim ? text.replace(/\0.*$/s, '') : text;
+    }
+}
+
+function align8(size) {
+    return Math.ceil(size / 8) * 8;
+}
@@ -0,0 +1,266 @@
+/**
+ * 🔢 NumPyParser
+ *
+ * Reads NumPy .npy arrays (format versions 1.0–3.0): the header dict gives
+ * the dtype (with byte order), the shape and whether the data is stored in
+ * Fortran order. Values are returned as a Float32Array in C (row-major)
+ * order whatever the storage order was. Boolean, integer and float dtypes
+ * are supported; structured, complex and object arrays are rejected.
+ *
+ * .npz archives are ZIP files of .npy members; readZipEntries() lists them
+ * and the caller inflates deflated members.
+ */
+
+// dtype kind + item size -> [DataView getter, typed array for aligned little-endian data]
+const DTYPES = {
+    b1: ['getUint8', Uint8Array],
+    i1: ['getInt8', Int8Array],
+    u1: ['getUint8', Uint8Array],
+    i2: ['getInt16', Int16Array],
+    u2: ['getUint16', Uint16Array],
+    i4: ['getInt32', Int32Array],
+    u4: ['getUint32', Uint32Array],
+    i8: ['getBigInt64', BigInt64Array],
+    u8: ['getBigUint64', BigUint64Array],
+    f2: ['getUint16', null],
+    f4: ['getFloat32', Float32Array],
+    f8: ['getFloat64', Float64Array]
+};
+
+export class NumPyParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of values read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the "\x93NUMPY" magic string
+     */
+    static isNPY(arrayBuffer) {
+        if (arrayBuffer.byteLength < 10) return false;
+        const magic = new Uint8Array(arrayBuffer, 0, 6);
+        return magic[0] === 0x93 && String.fromCharCode(...magic.subarray(1)) === 'NUMPY';
+    }
+
+    /**
+     * Parse a whole .npy file
+     * @returns {{dtype: string, shape: number[], fortranOrder: boolean, values: Float32Array}}
+     */
+    parse(arrayBuffer) {
+        if (!NumPyParser.isNPY(arrayBuffer)) {
+            throw new Error('Not a NumPy .npy file (missing \\x93NUMPY magic)');
+        }
+
+        const header = this.parseHeader(arrayBuffer);
+        const count = header.shape.reduce((product, size) => product * size, 1);
+        const itemSize = parseInt(header.dtype.slice(2));
+        if (header.dataOffset + count * itemSize > arrayBuffer.byteLength) {
+            throw new Error(`NumPy data holds ${Math.floor((arrayBuffer.byteLength - header.dataOffset) / itemSize)} values, shape ${header.shape.join('×')} needs ${count}`);
+        }
+
+        let values = this.readValues(arrayBuffer, header, count);
+        // Fortran order has the first axis varying fastest
+        if (header.fortranOrder && header.shape.length > 1) {
+            values = NumPyParser.toCOrder(values, header.shape);
+        }
+
+        return {
+            dtype: header.dtype,
+            shape: header.shape,
+            fortranOrder: header.fortranOrder,
+            values: values
+        };
+    }
+
+    /**
+     * Read the version, header length and the header dict literal, e.g.
+     * {'descr': '<f4', 'fortran_order': False, 'shape': (3, 4), }
+     */
+    parseHeader(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const major = view.getUint8(6);
+        if (major < 1 || major > 3) {
+            throw new Error(`Unsupported NumPy format version ${major}.${view.getUint8(7)}`);
+        }
+
+        // Version 1.0 has a 2-byte header length, later versions 4 bytes
+        const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+        const headerStart = major === 1 ? 10 : 12;
+        const bytes = new Uint8Array(arrayBuffer, headerStart, Math.min(headerLength, arrayBuffer.byteLength - headerStart));
+        const text = new TextDecoder(major === 3 ? 'utf-8' : 'latin1').decode(bytes);
+
+        const descr = /['"]descr['"]\s*:\s*(['"])([^'"]*)\1/.exec(text);
+        if (!descr) {
+            if (/['"]descr['"]\s*:\s*\[/.test(text)) {
+                throw new Error('Structured NumPy dtypes are not supported');
+            }
+            throw new Error('NumPy header has no descr entry');
+        }
+        const fortran = /['"]fortran_order['"]\s*:\s*(True|False)/.exec(text);
+        const shape = /['"]shape['"]\s*:\s*\(([^)]*)\)/.exec(text);
+        if (!shape) {
+            throw new Error('NumPy header has no shape entry');
+        }
+
+        return {
+            version: `${major}.${view.getUint8(7)}`,
+            dtype: this.normalizeDtype(descr[2]),
+            fortranOrder: !!fortran && fortran[1] === 'True',
+            shape: shape[1].split(',').map(size => size.trim()).filter(size => size).map(size => parseInt(size)),
+            dataOffset: headerStart + headerLength
+        };
+    }
+
+    /**
+     * '<f4' / '>i2' / '|u1' / '?' -> byte order + kind + size ('<f4', '>i2', '|u1', '|b1')
+     */
+    normalizeDtype(descr) {
+        const dtype = descr === '?' ? '|b1' : descr;
+        const match = /^([<>|=])([biuf])(\d+)$/.exec(dtype);
+        if (!match || !DTYPES[match[2] + match[3]]) {
+            throw new Error(`Unsupported NumPy dtype ${descr}`);
+        }
+        // '=' is native order, which is little-endian on every platform numpy writes from in practice
+        const order = match[1] === '>' ? '>' : (match[3] === '1' ? '|' : '<');
+        return order + match[2] + match[3];
+    }
+
+    readValues(arrayBuffer, header, count) {
+        const key = header.dtype.slice(1);
+        const [getter, TypedArray] = DTYPES[key];
+        const itemSize = parseInt(key.slice(1));
+        const littleEndian = header.dtype[0] !== '>';
+        const values = new Float32Array(count);
+
+        // Aligned little-endian numbers can be viewed directly
+        if (littleEndian && TypedArray && header.dataOffset % itemSize === 0) {
+            const source = new TypedArray(arrayBuffer, header.dataOffset, count);
+            if (key === 'i8' || key === 'u8') {
+                for (let i = 0; i < count; i++) values[i] = Number(source[i]);
+            } else {
+                values.set(source);
+            }
+            return values;
+        }
+
+        const view = new DataView(arrayBuffer, header.dataOffset);
+        for (let i = 0; i < count; i++) {
+            const raw = view[getter](i * itemSize, littleEndian);
+            values[i] = key === 'f2' ? halfToFloat(raw) : Number(raw);
+            if (i % 1048576 === 0) {
+                if (this.checkAborted) this.checkAborted();
+                if (this.onProgress) this.onProgress(i / count);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Reorder Fortran-ordered (column-major) values to C order
+     */
+    static toCOrder(values, shape) {
+        const n = shape.length;
+        // Fortran strides: the first axis is contiguous
+        const strides = new Array(n);
+        strides[0] = 1;
+        for (let d = 1; d < n; d++) strides[d] = strides[d - 1] * shape[d - 1];
+
+        const out = new Float32Array(values.length);
+        const index = new Array(n).fill(0);
+        let source = 0;
+        for (let i = 0; i < values.length; i++) {
+            out[i] = values[source];
+            // Advance the C-order index, last axis fastest
+            for (let d = n - 1; d >= 0; d--) {
+                index[d]++;
+                source += strides[d];
+                if (index[d] < shape[d]) break;
+                source -= strides[d] * shape[d];
+                index[d] = 0;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * List the members of a ZIP archive (.npz) from its central directory
+     * @returns {Array<{name: string, method: number, size: number, data: Uint8Array}>} data is still compressed for method 8
+     */
+    static readZipEntries(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const length = arrayBuffer.byteLength;
+
+        // End of central directory record: signature + up to 64 KB comment
+        let end = -1;
+        for (let i = length - 22; i >= Math.max(0, length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a ZIP archive (no end of central directory record)');
+        }
+
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (offset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+        for (let e = 0; e < entryCount; e++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(arrayBuffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+            if (flags & 1) {
+                throw new Error(`ZIP member ${name} is encrypted`);
+            }
+            if (method !== 0 && method !== 8) {
+                throw new Error(`ZIP member ${name} uses unsupported compression method ${method}`);
+            }
+            if (compressedSize === 0xFFFFFFFF || size === 0xFFFFFFFF) {
+                throw new Error('ZIP64 archives are not supported');
+            }
+
+            // Data follows the local header, whose extra field may differ from the central one
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            if (dataStart + compressedSize > length) {
+                throw new Error(`ZIP member ${name} is truncated`);
+            }
+            entries.push({ name, method, size, data: new Uint8Array(arrayBuffer, dataStart, compressedSize) });
+        }
+
+        return entries;
+    }
+}
+
+/**
+ * IEEE 754 half precision bits to a number
+ */
+function halfToFloat(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
+    if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+    if (exponent === 31) return fraction ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
@@ -0,0 +1,250 @@
+/**
+ * ☁️ PCDParser
+ *
+ * Reads Point Cloud Library PCD v0.7 files (as written by PCL and ROS
+ * tooling) in all three DATA encodings: ascii, binary (point-major records)
+ * and binary_compressed (LZF-compressed, field-major). The record layout is
+ * driven by the FIELDS/SIZE/TYPE/COUNT header lines; each field becomes a
+ * typed column of points × count values. Packed rgb/rgba fields are kept as
+ * their raw 32-bit patterns so the caller can unpack the channels.
+ */
+
+// TYPE + SIZE -> [DataView getter, typed array]
+const FIELD_TYPES = {
+    I1: ['getInt8', Int8Array],
+    I2: ['getInt16', Int16Array],
+    I4: ['getInt32', Int32Array],
+    I8: ['getBigInt64', Float64Array],
+    U1: ['getUint8', Uint8Array],
+    U2: ['getUint16', Uint16Array],
+    U4: ['getUint32', Uint32Array],
+    U8: ['getBigUint64', Float64Array],
+    F4: ['getFloat32', Float32Array],
+    F8: ['getFloat64', Float64Array]
+};
+
+const PACKED_COLOR_FIELDS = ['rgb', 'rgba'];
+
+export class PCDParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of points read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Parse a whole PCD file
+     * @returns {{version: string, fields: Array<{name: string, size: number, type: string, count: number}>, width: number, height: number, viewpoint: number[], points: number, data: string, columns: Object}}
+     */
+    parse(arrayBuffer) {
+        const header = this.parseHeader(arrayBuffer);
+        const columns = {};
+        header.fields.forEach(field => {
+            // Packed colors keep their bit pattern
+            const ArrayType = PACKED_COLOR_FIELDS.includes(field.name) && field.size === 4
+                ? Uint32Array
+                : FIELD_TYPES[field.type + field.size][1];
+            columns[field.name] = new ArrayType(header.points * field.count);
+        });
+
+        if (header.data === 'ascii') {
+            this.readASCII(arrayBuffer, header, columns);
+        } else if (header.data === 'binary') {
+            this.readBinary(new DataView(arrayBuffer, header.bodyOffset), header, columns, false);
+        } else {
+            const view = new DataView(arrayBuffer, header.bodyOffset);
+            if (view.byteLength < 8) {
+                throw new Error('PCD binary_compressed body is missing its size header');
+            }
+            const compressedSize = view.getUint32(0, true);
+            const uncompressedSize = view.getUint32(4, true);
+            if (8 + compressedSize > view.byteLength) {
+                throw new Error('PCD binary_compressed body is shorter than its size header declares');
+            }
+            const compressed = new Uint8Array(arrayBuffer, header.bodyOffset + 8, compressedSize);
+            const raw = lzfDecompress(compressed, uncompressedSize);
+            this.readBinary(new DataView(raw.buffer), header, columns, true);
+        }
+
+        return { ...header, columns };
+    }
+
+    /**
+     * Read the header lines up to DATA; the body starts after that line
+     */
+    parseHeader(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 65536));
+        const head = new TextDecoder('latin1').decode(bytes);
+        const header = { version: null, fields: [], width: 0, height: 1, viewpoint: [0, 0, 0, 1, 0, 0, 0], points: null, data: null };
+        let names = [], sizes = [], types = [], counts = [];
+
+        let position = 0;
+        while (position < head.length && header.data === null) {
+            let end = head.indexOf('\n', position);
+            if (end < 0) end = head.length;
+            const line = head.slice(position, end).trim();
+            position = end + 1;
+
+            if (!line || line.startsWith('#')) continue;
+            const [keyword, ...values] = line.split(/\s+/);
+
+            switch (keyword.toUpperCase()) {
+                case 'VERSION': header.version = values[0]; break;
+                case 'FIELDS':
+                case 'COLUMNS': names = values; break;
+                case 'SIZE': sizes = values.map(Number); break;
+                case 'TYPE': types = values.map(type => type.toUpperCase()); break;
+                case 'COUNT': counts = values.map(Number); break;
+                case 'WIDTH': header.width = parseInt(values[0]); break;
+                case 'HEIGHT': header.height = parseInt(values[0]); break;
+                case 'VIEWPOINT': header.viewpoint = values.map(Number); break;
+                case 'POINTS': header.points = parseInt(values[0]); break;
+                case 'DATA': header.data = values[0].toLowerCase(); break;
+            }
+        }
+
+        if (header.data === null) {
+            throw new Error('PCD header has no DATA line');
+        }
+        if (!['ascii', 'binary', 'binary_compressed'].includes(header.data)) {
+            throw new Error(`Unsupported PCD DATA encoding: ${header.data}`);
+        }
+        if (names.length === 0) {
+            throw new Error('PCD header has no FIELDS line');
+        }
+
+        header.fields = names.map((name, i) => {
+            // SIZE/TYPE may be omitted by old writers: 4-byte floats
+            const field = { name, size: sizes[i] || 4, type: types[i] || 'F', count: counts[i] || 1 };
+            if (!FIELD_TYPES[field.type + field.size]) {
+                throw new Error(`Unsupported PCD field type ${field.type}${field.size} for ${name}`);
+            }
+            return field;
+        });
+        if (header.points === null) header.points = header.width * header.height;
+        header.bodyOffset = position;
+
+        return header;
+    }
+
+    /**
+     * Point-major records (binary), or field-major blocks (decompressed binary_compressed)
+     */
+    readBinary(view, header, columns, fieldMajor) {
+        const { fields, points } = header;
+        const recordSize = fields.reduce((sum, field) => sum + field.size * field.count, 0);
+        if (recordSize * points > view.byteLength) {
+            throw new Error(`PCD body holds ${Math.floor(view.byteLength / recordSize)} points, header declares ${points}`);
+        }
+
+        let fieldOffset = 0;
+        fields.forEach((field, f) => {
+            const column = columns[field.name];
+            const getter = column instanceof Uint32Array && field.size === 4 ? 'getUint32' : FIELD_TYPES[field.type + field.size][0];
+            const wide = field.size === 8 && field.type !== 'F';
+            // In field-major data each field's block follows the previous one
+            const start = fieldMajor ? fieldOffset * points : fieldOffset;
+            const stride = fieldMajor ? field.size * field.count : recordSize;
+
+            for (let p = 0; p < points; p++) {
+                const base = start + p * stride;
+                for (let k = 0; k < field.count; k++) {
+                    const value = view[getter](base + k * field.size, true);
+                    column[p * field.count + k] = wide ? Number(value) : value;
+                }
+                if (f === 0) this.advance(p, points);
+            }
+            fieldOffset += field.size * field.count;
+        });
+    }
+
+    readASCII(arrayBuffer, header, columns) {
+        const text = new TextDecoder('latin1').decode(new Uint8Array(arrayBuffer, header.bodyOffset));
+        const lines = text.split('\n');
+        // Packed colors written as float text are reinterpreted through these views
+        const floatBits = new Float32Array(1);
+        const uintBits = new Uint32Array(floatBits.buffer);
+        let p = 0;
+
+        for (const line of lines) {
+            if (p >= header.points) break;
+            const tokens = line.trim().split(/\s+/);
+            if (tokens.length === 0 || tokens[0] === '') continue;
+
+            let t = 0;
+            for (const field of header.fields) {
+                const column = columns[field.name];
+                for (let k = 0; k < field.count; k++) {
+                    const token = tokens[t++];
+                    let value = token === undefined ? NaN : Number(token);
+                    if (column instanceof Uint32Array && field.type === 'F') {
+                        floatBits[0] = value;
+                        value = uintBits[0];
+                    }
+                    column[p * field.count + k] = value;
+                }
+            }
+            this.advance(p, header.points);
+            p++;
+        }
+
+        if (p < header.points) {
+            throw new Error(`PCD body holds ${p} points, header declares ${header.points}`);
+        }
+    }
+
+    /**
+     * Report progress and honour cancellation every few thousand points
+     */
+    advance(point, total) {
+        if (point % 16384 !== 0) return;
+        if (this.checkAborted) this.checkAborted();
+        if (this.onProgress) this.onProgress(point / Math.max(total, 1));
+    }
+}
+
+/**
+ * LZF decompression (liblzf format used by PCL's binary_compressed)
+ */
+function lzfDecompress(input, outputLength) {
+    const output = new Uint8Array(outputLength);
+    let ip = 0;
+    let op = 0;
+
+    while (ip < input.length) {
+        let control = input[ip++];
+
+        if (control < 32) {
+            // Literal run of control + 1 bytes
+            control++;
+            if (op + control > outputLength || ip + control > input.length) {
+                throw new Error('Corrupt LZF data in PCD binary_compressed body');
+            }
+            output.set(input.subarray(ip, ip + control), op);
+            ip += control;
+            op += control;
+        } else {
+            // Back reference: length in the top 3 bits, offset in the rest
+            let length = control >> 5;
+            let reference = op - ((control & 0x1f) << 8) - 1;
+            if (length === 7) length += input[ip++];
+            reference -= input[ip++];
+            length += 2;
+
+            if (reference < 0 || op + length > outputLength) {
+                throw new Error('Corrupt LZF data in PCD binary_compressed body');
+            }
+            // Byte by byte: the reference may overlap the output
+            for (let i = 0; i < length; i++) output[op++] = output[reference++];
+        }
+    }
+
+    if (op !== outputLength) {
+        throw new Error(`PCD binary_compressed body decompressed to ${op} bytes, expected ${outputLength}`);
+    }
+    return output;
+}
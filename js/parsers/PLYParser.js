@@ -0,0 +1,248 @@
+/**
+ * 🧊 PLYParser
+ *
+ * Header-driven reader for Stanford PLY files in ascii, binary_little_endian
+ * and binary_big_endian encodings. Every element declared in the header is
+ * read with its declared property types: scalar properties become typed
+ * columns, list properties (e.g. face vertex_indices) become offset/value
+ * pairs. Interpreting the elements (positions, normals, colors) is left to
+ * the caller.
+ */
+
+// PLY type name -> [byte size, DataView getter, typed array]
+const TYPES = {
+    char: [1, 'getInt8', Int8Array],
+    uchar: [1, 'getUint8', Uint8Array],
+    short: [2, 'getInt16', Int16Array],
+    ushort: [2, 'getUint16', Uint16Array],
+    int: [4, 'getInt32', Int32Array],
+    uint: [4, 'getUint32', Uint32Array],
+    float: [4, 'getFloat32', Float32Array],
+    double: [8, 'getFloat64', Float64Array]
+};
+
+// Sized aliases used by newer exporters
+const ALIASES = {
+    int8: 'char', uint8: 'uchar', int16: 'short', uint16: 'ushort',
+    int32: 'int', uint32: 'uint', float32: 'float', float64: 'double'
+};
+
+const FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
+export class PLYParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of the body read
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the "ply" magic line
+     */
+    static isPLY(arrayBuffer) {
+        if (arrayBuffer.byteLength < 4) return false;
+        const magic = new Uint8Array(arrayBuffer, 0, 4);
+        return magic[0] === 0x70 && magic[1] === 0x6C && magic[2] === 0x79 && (magic[3] === 0x0A || magic[3] === 0x0D);
+    }
+
+    /**
+     * Parse a whole PLY file
+     * @returns {{format: string, comments: string[], elements: Array<{name: string, count: number, properties: Object[], columns: Object, lists: Object}>}}
+     */
+    parse(arrayBuffer) {
+        if (!PLYParser.isPLY(arrayBuffer)) {
+            throw new Error('Not a PLY file (missing "ply" magic line)');
+        }
+
+        const header = this.parseHeader(arrayBuffer);
+        const elements = header.elements.map(element => this.allocate(element));
+        this.total = elements.reduce((sum, element) => sum + element.count, 0);
+        this.done = 0;
+
+        if (header.format === 'ascii') {
+            this.readASCII(arrayBuffer, header.bodyOffset, elements);
+        } else {
+            try {
+                this.readBinary(arrayBuffer, header.bodyOffset, elements, header.format === 'binary_little_endian');
+            } catch (error) {
+                // DataView reads past the end throw RangeError
+                if (error instanceof RangeError) {
+                    throw new Error('PLY body is shorter than its header declares');
+                }
+                throw error;
+            }
+        }
+
+        elements.forEach(element => this.finishLists(element));
+
+        return {
+            format: header.format,
+            comments: header.comments,
+            elements: elements
+        };
+    }
+
+    /**
+     * Read the header up to end_header; the body starts after its line break
+     */
+    parseHeader(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const marker = 'end_header';
+        const limit = Math.min(bytes.length, 65536);
+        const head = new TextDecoder('latin1').decode(bytes.subarray(0, limit));
+        const markerAt = head.indexOf(marker);
+        if (markerAt < 0) {
+            throw new Error('PLY header is missing end_header');
+        }
+
+        let bodyOffset = markerAt + marker.length;
+        if (head[bodyOffset] === '\r') bodyOffset++;
+        if (head[bodyOffset] === '\n') bodyOffset++;
+
+        const header = { format: null, comments: [], elements: [], bodyOffset: bodyOffset };
+        let element = null;
+
+        head.slice(0, markerAt).split(/\r?\n|\r/).forEach((line, i) => {
+            const parts = line.trim().split(/\s+/);
+            const keyword = parts[0];
+
+            if (i === 0 || !keyword) return;
+            if (keyword === 'format') {
+                if (!FORMATS.includes(parts[1])) {
+                    throw new Error(`Unsupported PLY format: ${parts[1]}`);
+                }
+                header.format = parts[1];
+            } else if (keyword === 'comment' || keyword === 'obj_info') {
+                header.comments.push(line.trim().slice(keyword.length + 1));
+            } else if (keyword === 'element') {
+                element = { name: parts[1], count: parseInt(parts[2]), properties: [] };
+                if (!(element.count >= 0)) {
+                    throw new Error(`Invalid PLY element count: ${line.trim()}`);
+                }
+                header.elements.push(element);
+            } else if (keyword === 'property') {
+                if (!element) {
+                    throw new Error(`PLY property outside an element: ${line.trim()}`);
+                }
+                element.properties.push(parts[1] === 'list'
+                    ? { name: parts[4], type: this.resolveType(parts[3]), countType: this.resolveType(parts[2]) }
+                    : { name: parts[2], type: this.resolveType(parts[1]) });
+            }
+        });
+
+        if (!header.format) {
+            throw new Error('PLY header has no format line');
+        }
+        return header;
+    }
+
+    resolveType(name) {
+        const type = ALIASES[name] || name;
+        if (!TYPES[type]) {
+            throw new Error(`Unknown PLY property type: ${name}`);
+        }
+        return type;
+    }
+
+    /**
+     * Typed storage for scalar properties; lists grow as they are read
+     */
+    allocate(element) {
+        const columns = {};
+        const lists = {};
+
+        element.properties.forEach(property => {
+            if (property.countType) {
+                lists[property.name] = { offsets: new Uint32Array(element.count + 1), values: [] };
+            } else {
+                columns[property.name] = new TYPES[property.type][2](element.count);
+            }
+        });
+
+        return { ...element, columns, lists };
+    }
+
+    readBinary(arrayBuffer, offset, elements, littleEndian) {
+        const view = new DataView(arrayBuffer);
+
+        for (const element of elements) {
+            const readers = element.properties.map(property => ({
+                property: property,
+                size: TYPES[property.type][0],
+                get: TYPES[property.type][1],
+                countSize: property.countType ? TYPES[property.countType][0] : 0,
+                countGet: property.countType ? TYPES[property.countType][1] : null,
+                target: property.countType ? element.lists[property.name] : element.columns[property.name]
+            }));
+
+            for (let row = 0; row < element.count; row++) {
+                for (const reader of readers) {
+                    if (reader.countGet) {
+                        const count = view[reader.countGet](offset, littleEndian);
+                        offset += reader.countSize;
+                        const values = reader.target.values;
+                        for (let k = 0; k < count; k++) {
+                            values.push(view[reader.get](offset, littleEndian));
+                            offset += reader.size;
+                        }
+                        reader.target.offsets[row + 1] = values.length;
+                    } else {
+                        reader.target[row] = view[reader.get](offset, littleEndian);
+                        offset += reader.size;
+                    }
+                }
+                this.advance(row);
+            }
+        }
+    }
+
+    readASCII(arrayBuffer, offset, elements) {
+        const text = new TextDecoder('latin1').decode(new Uint8Array(arrayBuffer, offset));
+        const tokens = /\S+/g;
+        const next = () => {
+            const match = tokens.exec(text);
+            if (!match) {
+                throw new Error('PLY body is shorter than its header declares');
+            }
+            return parseFloat(match[0]);
+        };
+
+        for (const element of elements) {
+            for (let row = 0; row < element.count; row++) {
+                for (const property of element.properties) {
+                    if (property.countType) {
+                        const list = element.lists[property.name];
+                        const count = next();
+                        for (let k = 0; k < count; k++) list.values.push(next());
+                        list.offsets[row + 1] = list.values.length;
+                    } else {
+                        element.columns[property.name][row] = next();
+                    }
+                }
+                this.advance(row);
+            }
+        }
+    }
+
+    /**
+     * Report progress and honour cancellation every few thousand rows
+     */
+    advance(row) {
+        this.done++;
+        if (row % 4096 !== 0) return;
+        if (this.checkAborted) this.checkAborted();
+        if (this.onProgress) this.onProgress(this.done / Math.max(this.total, 1));
+    }
+
+    finishLists(element) {
+        element.properties.forEach(property => {
+            if (!property.countType) return;
+            const list = element.lists[property.name];
+            list.values = TYPES[property.type][2].from(list.values);
+        });
+    }
+}
@@ -0,0 +1,430 @@
+/**
+ * 🖼️ TIFFParser
+ *
+ * Decodes baseline and common extended TIFF files without the browser's
+ * image decoders, keeping full sample precision: 8/16/32-bit unsigned and
+ * signed integers and 32/64-bit floats, in strips or tiles, chunky or
+ * planar, uncompressed or compressed with LZW, Deflate or PackBits
+ * (including the horizontal and floating-point predictors). Every page
+ * (IFD) is decoded; reduced-resolution thumbnails are skipped.
+ *
+ * Pages are returned with their samples interleaved (chunky) in a typed
+ * array matching the sample format. BigTIFF, JPEG-compressed and sub-byte
+ * (bilevel, 4-bit) images are rejected.
+ */
+
+import { Compression } from '../utils/Compression.js';
+
+const TAGS = {
+    NewSubfileType: 254,
+    ImageWidth: 256,
+    ImageLength: 257,
+    BitsPerSample: 258,
+    Compression: 259,
+    PhotometricInterpretation: 262,
+    ImageDescription: 270,
+    StripOffsets: 273,
+    SamplesPerPixel: 277,
+    RowsPerStrip: 278,
+    StripByteCounts: 279,
+    XResolution: 282,
+    YResolution: 283,
+    PlanarConfiguration: 284,
+    ResolutionUnit: 296,
+    Predictor: 317,
+    ColorMap: 320,
+    TileWidth: 322,
+    TileLength: 323,
+    TileOffsets: 324,
+    TileByteCounts: 325,
+    SampleFormat: 339
+};
+
+// Field types -> [byte size, DataView getter]
+const FIELD_TYPES = {
+    1: [1, 'getUint8'], 2: [1, 'getUint8'], 3: [2, 'getUint16'], 4: [4, 'getUint32'],
+    5: [8, null], 6: [1, 'getInt8'], 7: [1, 'getUint8'], 8: [2, 'getInt16'],
+    9: [4, 'getInt32'], 10: [8, null], 11: [4, 'getFloat32'], 12: [8, 'getFloat64']
+};
+
+const COMPRESSION = { 1: 'none', 5: 'LZW', 8: 'Deflate', 32946: 'Deflate', 32773: 'PackBits' };
+
+// SampleFormat (1 uint, 2 int, 3 float) + bits -> typed array
+const SAMPLE_TYPES = {
+    '1-8': Uint8Array, '1-16': Uint16Array, '1-32': Uint32Array,
+    '2-8': Int8Array, '2-16': Int16Array, '2-32': Int32Array,
+    '3-32': Float32Array, '3-64': Float64Array
+};
+
+export class TIFFParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of pages decoded
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Check for the "II*\0" / "MM\0*" byte order mark and magic number
+     */
+    static isTIFF(arrayBuffer) {
+        if (arrayBuffer.byteLength < 8) return false;
+        const view = new DataView(arrayBuffer);
+        const order = view.getUint16(0);
+        return (order === 0x4949 && view.getUint16(2, true) === 42) || (order === 0x4D4D && view.getUint16(2) === 42);
+    }
+
+    /**
+     * Decode every full-resolution page
+     * @returns {Promise<Array<{width: number, height: number, samplesPerPixel: number, bitsPerSample: number, sampleFormat: number, photometric: number, data: ArrayLike<number>, colorMap: Uint16Array|null, description: string, resolution: number[]|null, resolutionUnit: number}>>}
+     */
+    async parse(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const order = arrayBuffer.byteLength >= 4 ? view.getUint16(0) : 0;
+        this.littleEndian = order === 0x4949;
+        if ((order === 0x4949 || order === 0x4D4D) && view.getUint16(2, this.littleEndian) === 43) {
+            throw new Error('BigTIFF files are not supported');
+        }
+        if (!TIFFParser.isTIFF(arrayBuffer)) {
+            throw new Error('Not a TIFF file (missing byte order mark and magic number 42)');
+        }
+
+        const ifds = [];
+        const visited = new Set();
+        let offset = view.getUint32(4, this.littleEndian);
+        while (offset !== 0) {
+            if (visited.has(offset) || offset + 2 > arrayBuffer.byteLength) {
+                throw new Error(`Corrupt TIFF: invalid image directory offset ${offset}`);
+            }
+            visited.add(offset);
+            const { tags, next } = this.readIFD(view, offset);
+            ifds.push(tags);
+            offset = next;
+        }
+
+        // Bit 0 of NewSubfileType marks reduced-resolution (thumbnail) images
+        const full = ifds.filter(tags => !((this.first(tags, TAGS.NewSubfileType) || 0) & 1));
+        const pages = [];
+        for (let i = 0; i < full.length; i++) {
+            if (this.checkAborted) this.checkAborted();
+            pages.push(await this.readPage(arrayBuffer, full[i]));
+            if (this.onProgress) this.onProgress((i + 1) / full.length);
+        }
+
+        if (pages.length === 0) {
+            throw new Error('TIFF file has no images');
+        }
+        return pages;
+    }
+
+    /**
+     * Read an image file directory: entry count, 12-byte entries, next offset
+     */
+    readIFD(view, offset) {
+        const count = view.getUint16(offset, this.littleEndian);
+        const end = offset + 2 + count * 12;
+        if (end + 4 > view.byteLength) {
+            throw new Error('Corrupt TIFF: image directory runs past the end of the file');
+        }
+
+        const tags = {};
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, this.littleEndian);
+            const type = view.getUint16(entry + 2, this.littleEndian);
+            const valueCount = view.getUint32(entry + 4, this.littleEndian);
+            if (!FIELD_TYPES[type]) continue;
+
+            // Values that fit in 4 bytes are stored in the entry itself
+            const size = FIELD_TYPES[type][0] * valueCount;
+            const at = size <= 4 ? entry + 8 : view.getUint32(entry + 8, this.littleEndian);
+            if (at + size > view.byteLength) continue;
+            tags[tag] = this.readValues(view, type, valueCount, at);
+        }
+
+        return { tags, next: view.getUint32(end, this.littleEndian) };
+    }
+
+    readValues(view, type, count, at) {
+        if (type === 2) {
+            const bytes = new Uint8Array(view.buffer, at, count);
+            return new TextDecoder('latin1').decode(bytes).replace(/\0+$/, '');
+        }
+        const values = new Array(count);
+        if (type === 5 || type === 10) {
+            const getter = type === 5 ? 'getUint32' : 'getInt32';
+            for (let i = 0; i < count; i++) {
+                values[i] = view[getter](at + i * 8, this.littleEndian) / view[getter](at + i * 8 + 4, this.littleEndian);
+            }
+            return values;
+        }
+        const [size, getter] = FIELD_TYPES[type];
+        for (let i = 0; i < count; i++) values[i] = view[getter](at + i * size, this.littleEndian);
+        return values;
+    }
+
+    first(tags, tag) {
+        const value = tags[tag];
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    /**
+     * Decode one page from its strips or tiles
+     */
+    async readPage(arrayBuffer, tags) {
+        const width = this.first(tags, TAGS.ImageWidth);
+        const height = this.first(tags, TAGS.ImageLength);
+        const samplesPerPixel = this.first(tags, TAGS.SamplesPerPixel) || 1;
+        const bitsPerSample = this.first(tags, TAGS.BitsPerSample) || 1;
+        const sampleFormat = this.first(tags, TAGS.SampleFormat) || 1;
+        const compression = this.first(tags, TAGS.Compression) || 1;
+        const photometric = this.first(tags, TAGS.PhotometricInterpretation) ?? 1;
+        const planar = this.first(tags, TAGS.PlanarConfiguration) === 2;
+        const predictor = this.first(tags, TAGS.Predictor) || 1;
+
+        if (!width || !height) {
+            throw new Error('TIFF image has no width or height');
+        }
+        if (!COMPRESSION[compression]) {
+            throw new Error(compression === 6 || compression === 7
+                ? 'JPEG-compressed TIFF images are not supported'
+                : `Unsupported TIFF compression ${compression}`);
+        }
+        if ((tags[TAGS.BitsPerSample] || [bitsPerSample]).some(bits => bits !== bitsPerSample)) {
+            throw new Error('TIFF images with different bit depths per sample are not supported');
+        }
+        const SampleArray = SAMPLE_TYPES[`${sampleFormat}-${bitsPerSample}`];
+        if (!SampleArray) {
+            throw new Error(`Unsupported TIFF sample type: ${bitsPerSample}-bit ${{ 1: 'unsigned', 2: 'signed', 3: 'float' }[sampleFormat] || `format ${sampleFormat}`}`);
+        }
+        if (predictor !== 1 && predictor !== 2 && predictor !== 3) {
+            throw new Error(`Unsupported TIFF predictor ${predictor}`);
+        }
+
+        const tiled = tags[TAGS.TileOffsets] !== undefined;
+        const offsets = tags[tiled ? TAGS.TileOffsets : TAGS.StripOffsets];
+        const byteCounts = tags[tiled ? TAGS.TileByteCounts : TAGS.StripByteCounts];
+        if (!offsets || !byteCounts) {
+            throw new Error('TIFF image has no strip or tile offsets');
+        }
+
+        // Blocks are strips (full width) or tiles; planar images repeat them per sample
+        const blockWidth = tiled ? this.first(tags, TAGS.TileWidth) : width;
+        const blockHeight = tiled ? this.first(tags, TAGS.TileLength) : Math.min(this.first(tags, TAGS.RowsPerStrip) || height, height);
+        const across = Math.ceil(width / blockWidth);
+        const down = Math.ceil(height / blockHeight);
+        const blockSamples = planar ? 1 : samplesPerPixel;
+        const bytesPerSample = bitsPerSample / 8;
+
+        const data = new SampleArray(width * height * samplesPerPixel);
+        for (let b = 0; b < offsets.length; b++) {
+            const plane = planar ? Math.floor(b / (across * down)) : 0;
+            const index = b % (across * down);
+            const left = (index % across) * blockWidth;
+            const top = Math.floor(index / across) * blockHeight;
+            if (plane >= samplesPerPixel || top >= height) continue;
+
+            // Strips at the bottom may hold fewer rows; tiles are always full size
+            const rows = tiled ? blockHeight : Math.min(blockHeight, height - top);
+            const expected = blockWidth * rows * blockSamples * bytesPerSample;
+            if (offsets[b] + byteCounts[b] > arrayBuffer.byteLength) {
+                throw new Error('TIFF image data runs past the end of the file');
+            }
+            const raw = new Uint8Array(arrayBuffer, offsets[b], byteCounts[b]);
+            const bytes = await this.decompress(raw, compression, expected);
+            const block = this.toSamples(bytes, expected, SampleArray, bytesPerSample, blockWidth * blockSamples, rows, predictor, blockSamples);
+
+            // Copy the part of the block inside the image
+            const columns = Math.min(blockWidth, width - left);
+            for (let r = 0; r < rows && top + r < height; r++) {
+                for (let c = 0; c < columns; c++) {
+                    const source = (r * blockWidth + c) * blockSamples;
+                    const target = ((top + r) * width + left + c) * samplesPerPixel + plane;
+                    for (let s = 0; s < blockSamples; s++) data[target + s] = block[source + s];
+                }
+            }
+        }
+
+        const colorMap = tags[TAGS.ColorMap] ? Uint16Array.from(tags[TAGS.ColorMap]) : null;
+        const xResolution = this.first(tags, TAGS.XResolution);
+        const yResolution = this.first(tags, TAGS.YResolution);
+
+        return {
+            width,
+            height,
+            samplesPerPixel,
+            bitsPerSample,
+            sampleFormat,
+            photometric,
+            data,
+            colorMap,
+            description: tags[TAGS.ImageDescription] || '',
+            resolution: xResolution > 0 && yResolution > 0 ? [xResolution, yResolution] : null,
+            resolutionUnit: this.first(tags, TAGS.ResolutionUnit) || 2
+        };
+    }
+
+    async decompress(raw, compression, expected) {
+        switch (COMPRESSION[compression]) {
+            case 'LZW': return lzwDecode(raw, expected);
+            case 'Deflate': return new Uint8Array(await Compression.decompress(raw, 'deflate'));
+            case 'PackBits': return packBitsDecode(raw, expected);
+            default: return raw;
+        }
+    }
+
+    /**
+     * Block bytes -> samples in the file's byte order, with the predictor undone
+     * row by row (rowLength samples per row)
+     */
+    toSamples(bytes, expected, SampleArray, bytesPerSample, rowLength, rows, predictor, samplesPerPixel) {
+        let source = bytes.length >= expected ? bytes.subarray(0, expected) : padded(bytes, expected);
+
+        // Floating-point predictor: bytes are split into planes (most significant first) and differenced
+        if (predictor === 3) {
+            const rowBytes = rowLength * bytesPerSample;
+            const native = new Uint8Array(expected);
+            for (let r = 0; r < rows; r++) {
+                const row = source.slice(r * rowBytes, (r + 1) * rowBytes);
+                for (let i = samplesPerPixel; i < rowBytes; i++) row[i] = (row[i] + row[i - samplesPerPixel]) & 0xFF;
+                for (let k = 0; k < rowLength; k++) {
+                    for (let b = 0; b < bytesPerSample; b++) {
+                        native[r * rowBytes + k * bytesPerSample + (bytesPerSample - 1 - b)] = row[b * rowLength + k];
+                    }
+                }
+            }
+            return new SampleArray(native.buffer);
+        }
+
+        // Swap big-endian samples to the platform's (little-endian) order
+        if (bytesPerSample > 1 && !this.littleEndian) {
+            source = source.slice();
+            for (let i = 0; i < source.length; i += bytesPerSample) {
+                source.subarray(i, i + bytesPerSample).reverse();
+            }
+        } else if (source.byteOffset % bytesPerSample !== 0) {
+            source = source.slice();
+        }
+        const samples = new SampleArray(source.buffer, source.byteOffset, expected / bytesPerSample);
+
+        // Horizontal differencing: each sample is stored as the difference from the one to its left
+        if (predictor === 2) {
+            const values = samples.buffer === bytes.buffer ? samples.slice() : samples;
+            for (let r = 0; r < rows; r++) {
+                const start = r * rowLength;
+                for (let i = start + samplesPerPixel; i < start + rowLength; i++) {
+                    values[i] += values[i - samplesPerPixel];
+                }
+            }
+            return values;
+        }
+        return samples;
+    }
+}
+
+function padded(bytes, length) {
+    const out = new Uint8Array(length);
+    out.set(bytes);
+    return out;
+}
+
+/**
+ * TIFF LZW: MSB-first codes of 9 to 12 bits, clear code 256, end code 257,
+ * code width growing one entry early
+ */
+function lzwDecode(input, expected) {
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const first = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+        prefix[i] = -1;
+        suffix[i] = i;
+        first[i] = i;
+        lengths[i] = 1;
+    }
+
+    let output = new Uint8Array(Math.max(expected, 1024));
+    let out = 0;
+    let next = 258;
+    let width = 9;
+    let previous = -1;
+    let bitPosition = 0;
+    const totalBits = input.length * 8;
+
+    const write = (code) => {
+        const length = lengths[code];
+        if (out + length > output.length) {
+            const grown = new Uint8Array(Math.max(output.length * 2, out + length));
+            grown.set(output);
+            output = grown;
+        }
+        for (let i = length - 1, c = code; i >= 0; i--, c = prefix[c]) output[out + i] = suffix[c];
+        out += length;
+    };
+
+    while (bitPosition + width <= totalBits) {
+        // Read width bits, most significant first
+        let code = 0;
+        for (let i = 0; i < width; i++, bitPosition++) {
+            code = (code << 1) | ((input[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+        }
+
+        if (code === 257) break;
+        if (code === 256) {
+            next = 258;
+            width = 9;
+            previous = -1;
+            continue;
+        }
+        if (previous === -1) {
+            if (code > 255) throw new Error('Corrupt LZW data in TIFF image');
+            write(code);
+            previous = code;
+            continue;
+        }
+        if (code > next) {
+            throw new Error('Corrupt LZW data in TIFF image');
+        }
+
+        if (next < 4096) {
+            // New entry: the previous string plus the first byte of this one (or of itself when code is new)
+            prefix[next] = previous;
+            suffix[next] = code < next ? first[code] : first[previous];
+            first[next] = first[previous];
+            lengths[next] = lengths[previous] + 1;
+            next++;
+        }
+        write(code);
+        previous = code;
+        if (next >= (1 << width) - 1 && width < 12) width++;
+    }
+
+    return output.subarray(0, out);
+}
+
+/**
+ * PackBits run-length decoding
+ */
+function packBitsDecode(input, expected) {
+    const output = new Uint8Array(expected);
+    let ip = 0;
+    let op = 0;
+    while (ip < input.length && op < expected) {
+        const n = (input[ip++] << 24) >> 24;
+        if (n >= 0) {
+            // Literal run of n + 1 bytes
+            const end = Math.min(ip + n + 1, input.length);
+            while (ip < end && op < expected) output[op++] = input[ip++];
+            ip = end;
+        } else if (n !== -128) {
+            // Next byte repeated 1 - n times
+            const value = input[ip++];
+            for (let i = 0; i < 1 - n && op < expected; i++) output[op++] = value;
+        }
+    }
+    return output;
+}
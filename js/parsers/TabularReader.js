@@ -0,0 +1,480 @@
+/**
+ * 📋 TabularReader
+ *
+ * Streaming CSV/TSV reader built on File.stream(). The dialect (delimiter,
+ * quoting, line endings, decimal separator, comment lines, header row) is
+ * detected from the first 64 KB, column types (numeric, timestamp,
+ * categorical) are inferred from the first rows, and the rest of the file is
+ * tokenized chunk by chunk straight into typed column storage, so the text of
+ * a multi-gigabyte export is never held in memory at once.
+ */
+
+const HEAD_SIZE = 65536;
+const SAMPLE_ROWS = 1000;
+const DELIMITERS = ['\t', ';', ',', '|', ' '];
+const COMMENT_PREFIXES = ['#', '%', '//'];
+const MISSING = new Set(['', 'na', 'nan', 'n/a', 'null', 'none', '-', '?']);
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{1,2}:\d{2}(:\d{2}([.,]\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/;
+// d/m/y, m/d/y or d.m.y with an optional clock time; which field is the day is settled per column
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})([/.])(\d{1,2})\2(\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}(?:[.,]\d+)?))?)?$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:[.,]\d+)?))?$/;
+
+export class TabularReader {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with the fraction of bytes consumed
+     * @param {Function} options.checkAborted - Throws to stop reading
+     */
+    constructor({ onProgress = null, checkAborted = null } = {}) {
+        this.onProgress = onProgress;
+        this.checkAborted = checkAborted;
+    }
+
+    /**
+     * Read a whole delimited file into typed columns
+     * @returns {Promise<{dialect: Object, columns: Array<{name: string, type: string, values: ArrayLike, categories?: string[]}>, rowCount: number}>}
+     */
+    async read(file) {
+        const head = await file.slice(0, HEAD_SIZE).text();
+        const dialect = TabularReader.detectDialect(head, file.size <= HEAD_SIZE);
+
+        let header = null;
+        let sample = [];
+        let builders = null;
+        let rowCount = 0;
+
+        const startColumns = () => {
+            const width = Math.max(header ? header.length : 0, ...sample.map(row => row.length));
+            const names = Array.from({ length: width }, (_, i) =>
+                (header && header[i] && header[i].trim()) || `Column ${i + 1}`
+            );
+            builders = names.map((name, i) => new ColumnBuilder(name, TabularReader.inferType(sample.map(row => row[i]), dialect)));
+            sample.forEach(addRow);
+            sample = null;
+        };
+
+        const addRow = (row) => {
+            for (let i = 0; i < builders.length; i++) {
+                builders[i].push(row[i], dialect);
+            }
+            rowCount++;
+        };
+
+        for await (const batch of this.records(file, dialect)) {
+            for (const row of batch) {
+                if (dialect.hasHeader && !header) {
+                    header = row;
+                } else if (builders) {
+                    addRow(row);
+                } else {
+                    sample.push(row);
+                    if (sample.length >= SAMPLE_ROWS) startColumns();
+                }
+            }
+        }
+        if (!builders) startColumns();
+
+        return {
+            dialect: dialect,
+            columns: builders.map(builder => builder.finish()),
+            rowCount: rowCount
+        };
+    }
+
+    /**
+     * Stream the file as batches of records (arrays of cell strings),
+     * skipping blank and comment lines
+     */
+    async *records(file, dialect) {
+        const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+        const tokenizer = new RecordTokenizer(dialect);
+        let consumed = 0;
+
+        try {
+            while (true) {
+                if (this.checkAborted) this.checkAborted();
+                const { done, value } = await reader.read();
+
+                const batch = done ? tokenizer.finish() : tokenizer.push(value);
+                if (batch.length > 0) yield batch;
+                if (done) break;
+
+                // Characters approximate bytes closely enough for progress
+                consumed += value.length;
+                if (this.onProgress) this.onProgress(Math.min(consumed / Math.max(file.size, 1), 1));
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * Detect delimiter, quoting, line endings, decimal separator, comment
+     * prefix and header row from the start of a file
+     * @param {string} text - Head of the file
+     * @param {boolean} complete - Whether text is the whole file
+     */
+    static detectDialect(text, complete = false) {
+        text = text.replace(/^\uFEFF/, '');
+
+        const newline = text.includes('\n') ? '\n' : (text.includes('\r') ? '\r' : '\n');
+        let lines = text.split(newline).map(line => line.replace(/\r$/, ''));
+        // The last line of a partial head may be cut off
+        if (!complete && lines.length > 1) lines.pop();
+        lines = lines.filter(line => line.trim() !== '');
+
+        // A prefix that starts some lines but not the first data line marks comments
+        const comment = COMMENT_PREFIXES.find(prefix => lines.some(line => line.startsWith(prefix)) &&
+            !lines.every(line => line.startsWith(prefix))) || null;
+        const content = lines.filter(line => !comment || !line.startsWith(comment)).slice(0, 200).join('\n');
+
+        // Pick the delimiter giving the most consistent field count above one,
+        // preferring tab and semicolon (semicolon files often use decimal commas).
+        // Records are split quote-aware, so quoted line breaks do not skew counts.
+        const recordsFor = (delimiter) =>
+            TabularReader.parseText(content, { delimiter, quote: '"', comment: null, newline: '\n' }).slice(0, 100);
+        let delimiter = ',';
+        let best = 0;
+        for (const candidate of DELIMITERS) {
+            const counts = recordsFor(candidate).map(record => record.length);
+            if (counts.length === 0 || counts[0] < 2) continue;
+            const consistency = counts.filter(count => count === counts[0]).length / counts.length;
+            if (consistency > best + 0.05) {
+                delimiter = candidate;
+                best = consistency;
+            }
+        }
+
+        const rows = recordsFor(delimiter);
+        const cells = rows.slice(1).flat();
+
+        // Decimal commas: only possible when comma is not the delimiter
+        const decimalCommas = cells.filter(cell => /^[-+]?\d+,\d+([eE][-+]?\d+)?$/.test(cell.trim())).length;
+        const decimalPoints = cells.filter(cell => /^[-+]?\d*\.\d+([eE][-+]?\d+)?$/.test(cell.trim())).length;
+        const decimal = delimiter !== ',' && decimalCommas > decimalPoints ? ',' : '.';
+
+        const dialect = { delimiter, quote: '"', decimal, comment, newline, hasHeader: false };
+        dialect.hasHeader = TabularReader.detectHeader(rows, dialect);
+        return dialect;
+    }
+
+    /**
+     * A first row is a header when it has no numbers, or when it has text
+     * where the rows below hold numbers
+     */
+    static detectHeader(rows, dialect) {
+        if (rows.length === 0) return false;
+        const [first, ...rest] = rows;
+        const isValue = (cell) => cell !== undefined && !isNaN(parseNumber(cell, dialect.decimal));
+
+        if (!first.some(isValue)) return true;
+        if (rest.length === 0) return false;
+
+        return first.some((cell, i) => !isValue(cell) && !isMissing(cell) &&
+            rest.filter(row => isValue(row[i])).length / rest.length > 0.8);
+    }
+
+    /**
+     * Type a column from sample cells: numeric, timestamp or categorical
+     */
+    static inferType(cells, dialect) {
+        const present = cells.filter(cell => cell !== undefined && !isMissing(cell));
+        if (present.length === 0) return 'numeric';
+
+        const numeric = present.filter(cell => !isNaN(parseNumber(cell, dialect.decimal))).length;
+        if (numeric / present.length >= 0.9) return 'numeric';
+
+        const timestamps = present.filter(cell => !isNaN(parseTimestamp(cell, true)) || !isNaN(parseTimestamp(cell, false))).length;
+        if (timestamps / present.length >= 0.9) return 'timestamp';
+
+        return 'categorical';
+    }
+
+    /**
+     * Build a typed column from already separated cells (e.g. JSON values);
+     * numbers and strings are typed the same way as delimited text
+     */
+    static columnFromCells(name, cells) {
+        const dialect = { decimal: '.' };
+        const text = Array.from(cells, cell =>
+            cell === null || cell === undefined || typeof cell === 'object' ? undefined : String(cell)
+        );
+        const builder = new ColumnBuilder(name, TabularReader.inferType(text.slice(0, SAMPLE_ROWS), dialect));
+        text.forEach(cell => builder.push(cell, dialect));
+        return builder.finish();
+    }
+
+    /**
+     * Parse a complete text into records; used for sniffing file heads
+     */
+    static parseText(text, dialect) {
+        const tokenizer = new RecordTokenizer(dialect);
+        return [...tokenizer.push(text), ...tokenizer.finish()];
+    }
+}
+
+/**
+ * Incremental tokenizer: push() text chunks, get back complete records.
+ * Unquoted lines take a split() fast path; quoted fields may contain
+ * delimiters, doubled quotes and line breaks.
+ */
+class RecordTokenizer {
+    constructor(dialect) {
+        this.delimiter = dialect.delimiter;
+        this.quote = dialect.quote || '"';
+        this.comment = dialect.comment;
+        this.newline = dialect.newline || '\n';
+        this.whitespace = dialect.delimiter === ' ';
+        this.pending = '';
+        this.started = false;
+    }
+
+    push(chunk) {
+        let text = this.pending + chunk;
+        if (!this.started) {
+            text = text.replace(/^\uFEFF/, '');
+            this.started = true;
+        }
+        const records = [];
+        this.pending = text.slice(this.consume(text, records, false));
+        return records;
+    }
+
+    finish() {
+        const records = [];
+        if (this.pending) this.consume(this.pending, records, true);
+        this.pending = '';
+        return records;
+    }
+
+    /**
+     * Tokenize complete records from text; returns where the unconsumed rest starts
+     */
+    consume(text, records, final) {
+        let pos = 0;
+
+        while (pos < text.length) {
+            let end = text.indexOf(this.newline, pos);
+            if (end === -1) {
+                if (!final) break;
+                end = text.length;
+            }
+
+            const quoteAt = text.indexOf(this.quote, pos);
+            if (quoteAt === -1 || quoteAt >= end) {
+                let line = text.slice(pos, end);
+                if (line.charCodeAt(line.length - 1) === 13) line = line.slice(0, -1);
+                this.emit(line, this.splitPlain(line), records);
+                pos = end + 1;
+            } else {
+                const result = this.parseQuoted(text, pos, final);
+                if (!result) break;
+                this.emit(text.slice(pos, pos + 2), result.fields, records);
+                pos = result.next;
+            }
+        }
+
+        return Math.min(pos, text.length);
+    }
+
+    splitPlain(line) {
+        return this.whitespace ? line.trim().split(/[ \t]+/) : line.split(this.delimiter);
+    }
+
+    emit(start, fields, records) {
+        if (fields.length === 1 && fields[0].trim() === '') return;
+        if (this.comment && start.startsWith(this.comment)) return;
+        records.push(fields);
+    }
+
+    // Trailing blanks in whitespace-separated files do not make an extra field
+    pushLast(fields, field, quoted) {
+        if (!this.whitespace || quoted || field.trim() !== '' || fields.length === 0) fields.push(field);
+    }
+
+    /**
+     * Character-level parse of one record containing quotes; null if the
+     * record runs past the end of a non-final chunk
+     */
+    parseQuoted(text, pos, final) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        let inQuotes = false;
+
+        for (let i = pos; i < text.length; i++) {
+            const c = text[i];
+
+            if (inQuotes) {
+                if (c === this.quote) {
+                    if (i + 1 === text.length && !final) return null;
+                    if (text[i + 1] === this.quote) {
+                        field += c;
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += c;
+                }
+            } else if (c === this.quote) {
+                inQuotes = true;
+                quoted = true;
+            } else if (c === this.delimiter || (this.whitespace && c === '\t')) {
+                if (!this.whitespace || quoted || field !== '') fields.push(field);
+                field = '';
+                quoted = false;
+            } else if (c === this.newline) {
+                if (field.endsWith('\r') && !quoted) field = field.slice(0, -1);
+                this.pushLast(fields, field, quoted);
+                return { fields, next: i + 1 };
+            } else if (c === '\r' && quoted) {
+                // CR of a CRLF after a closing quote
+            } else {
+                field += c;
+            }
+        }
+
+        if (!final) return null;
+        this.pushLast(fields, field.replace(/\r$/, ''), quoted);
+        return { fields, next: text.length };
+    }
+}
+
+/**
+ * Growable typed storage for one column
+ */
+class ColumnBuilder {
+    constructor(name, type) {
+        this.name = name;
+        this.type = type;
+        this.length = 0;
+        this.categories = type === 'categorical' ? new Map() : null;
+        this.wide = type === 'timestamp';
+        this.values = this.allocate(1024);
+        this.monthFirst = null;
+        this.dayFirstOnly = 0;
+        this.monthFirstOnly = 0;
+    }
+
+    allocate(capacity) {
+        if (this.type === 'categorical') return new Int32Array(capacity);
+        return this.wide ? new Float64Array(capacity) : new Float32Array(capacity);
+    }
+
+    push(cell, dialect) {
+        if (this.length === this.values.length) this.grow(this.values.length * 2);
+
+        let value;
+        if (this.type === 'categorical') {
+            // Category codes; -1 marks a missing cell
+            if (cell === undefined || isMissing(cell)) {
+                value = -1;
+            } else {
+                const label = cell.trim();
+                if (!this.categories.has(label)) this.categories.set(label, this.categories.size);
+                value = this.categories.get(label);
+            }
+        } else if (cell === undefined || isMissing(cell)) {
+            value = NaN;
+        } else if (this.type === 'timestamp') {
+            value = parseTimestamp(cell, true);
+        } else {
+            value = parseNumber(cell, dialect.decimal);
+            // Large magnitudes (epoch times, sample counters) need double precision
+            if (!this.wide && Math.abs(value) >= 1e6) {
+                this.wide = true;
+                this.grow(this.values.length);
+            }
+        }
+
+        if (this.type === 'timestamp') this.recordMonthFirst(cell, value);
+        this.values[this.length++] = value;
+    }
+
+    /**
+     * Keep the month-first reading of numeric dates until finish() knows the column's order
+     */
+    recordMonthFirst(cell, dayFirst) {
+        const numeric = cell !== undefined && NUMERIC_DATE_PATTERN.test(cell.trim());
+        if (!numeric && !this.monthFirst) return;
+        // Earlier rows held no numeric dates, so they read the same either way
+        if (!this.monthFirst) this.monthFirst = this.values.slice();
+
+        const monthFirst = numeric ? parseTimestamp(cell, false) : dayFirst;
+        if (numeric && isNaN(monthFirst) && !isNaN(dayFirst)) this.dayFirstOnly++;
+        if (numeric && isNaN(dayFirst) && !isNaN(monthFirst)) this.monthFirstOnly++;
+        this.monthFirst[this.length] = monthFirst;
+    }
+
+    grow(capacity) {
+        const values = this.allocate(capacity);
+        values.set(this.values.subarray(0, this.length));
+        this.values = values;
+        if (this.monthFirst) {
+            const monthFirst = this.allocate(capacity);
+            monthFirst.set(this.monthFirst.subarray(0, this.length));
+            this.monthFirst = monthFirst;
+        }
+    }
+
+    finish() {
+        // Dates that only make sense month-first (03/25/2024) outvote those
+        // that only make sense day-first; an undecided column reads day-first
+        const values = this.monthFirst && this.monthFirstOnly > this.dayFirstOnly ? this.monthFirst : this.values;
+        const column = {
+            name: this.name,
+            type: this.type,
+            values: values.slice(0, this.length)
+        };
+        if (this.categories) column.categories = [...this.categories.keys()];
+        return column;
+    }
+}
+
+function isMissing(cell) {
+    return MISSING.has(cell.trim().toLowerCase());
+}
+
+function parseNumber(cell, decimal) {
+    let text = cell.trim();
+    if (text === '') return NaN;
+    if (decimal === ',') text = text.replace(',', '.');
+    return Number(text);
+}
+
+/**
+ * Dates and date-times (ISO 8601, or d/m/y, m/d/y and d.m.y as dayFirst
+ * says) as epoch milliseconds; bare clock times as milliseconds since midnight
+ */
+function parseTimestamp(cell, dayFirst) {
+    const text = cell.trim();
+
+    const time = TIME_PATTERN.exec(text);
+    if (time) {
+        const seconds = time[3] ? parseFloat(time[3].replace(',', '.')) : 0;
+        return ((parseInt(time[1]) * 60 + parseInt(time[2])) * 60 + seconds) * 1000;
+    }
+
+    if (ISO_DATE_PATTERN.test(text)) {
+        return Date.parse(text.replace(/(\d),(\d)/, '$1.$2'));
+    }
+
+    const date = NUMERIC_DATE_PATTERN.exec(text);
+    if (!date) return NaN;
+    // Dotted dates are always day-first
+    const [day, month] = dayFirst || date[2] === '.' ? [+date[1], +date[3]] : [+date[3], +date[1]];
+    let year = +date[4];
+    if (date[4].length === 2) year += year < 70 ? 2000 : 1900;
+    const seconds = date[7] ? parseFloat(date[7].replace(',', '.')) : 0;
+    const hours = date[5] ? +date[5] : 0;
+    const minutes = date[6] ? +date[6] : 0;
+
+    // Local time, as Date.parse reads ISO date-times without an offset
+    const parsed = new Date(year, month - 1, day, hours, minutes, 0, 0);
+    if (parsed.getMonth() !== month - 1 || parsed.getDate() !== day || hours > 23 || minutes > 59 || seconds >= 60) {
+        return NaN;
+    }
+    return parsed.getTime() + seconds * 1000;
+}
@@ -0,0 +1,204 @@
+/**
+ * 🗂️ BIDSDataset
+ * 
+ * Indexes a folder laid out per the Brain Imaging Data Structure
+ * (sub-<label>/ses-<label>/<modality>/...) and resolves the JSON sidecars,
+ * channels.tsv and events.tsv that belong to each data file,
+ * following the BIDS inheritance principle.
+ */
+
+const MODALITIES = ['anat', 'func', 'dwi', 'fmap', 'perf', 'pet', 'eeg', 'meg', 'ieeg', 'nirs', 'beh', 'motion'];
+
+// Suffixes that describe other files rather than holding data
+const METADATA_SUFFIXES = ['events', 'channels', 'electrodes', 'coordsystem', 'scans', 'optodes', 'physio', 'stim'];
+
+export class BIDSDataset {
+    /**
+     * @param {File[]} files - Files from a folder drop (with relative paths)
+     * @param {Object} options
+     * @param {Function} options.getPath - Resolve a file's relative path
+     * @param {string[]} options.companionExtensions - Extensions that are read with another file
+     */
+    constructor(files, { getPath = (f) => f.name, companionExtensions = [] } = {}) {
+        this.getPath = getPath;
+        this.companionExtensions = companionExtensions;
+        this.entries = files.map(file => this.describe(file));
+        this.tree = this.buildTree();
+    }
+
+    /**
+     * A folder is treated as BIDS when it has dataset_description.json or sub-* folders
+     */
+    static isBIDS(files, getPath = (f) => f.name) {
+        return files.some(file => {
+            const path = getPath(file);
+            return /(^|\/)dataset_description\.json$/.test(path) || /(^|\/)sub-[^/]+\//.test(path);
+        });
+    }
+
+    /**
+     * Split a path into BIDS entities, suffix and extension
+     * e.g. sub-01_ses-02_task-rest_eeg.edf -> {sub: '01', ses: '02', task: 'rest'}, 'eeg', '.edf'
+     */
+    describe(file) {
+        const path = this.getPath(file);
+        const segments = path.split('/');
+        const name = segments[segments.length - 1];
+        const match = name.match(/^(.*?)(\.[^.]+(?:\.gz)?)$/);
+        const stem = match ? match[1] : name;
+        const extension = match ? match[2].toLowerCase() : '';
+        
+        const parts = stem.split('_');
+        const suffix = parts.length > 1 || !parts[0].includes('-') ? parts.pop() : '';
+        const entities = {};
+        parts.forEach(part => {
+            const [key, ...value] = part.split('-');
+            if (value.length > 0) entities[key] = value.join('-');
+        });
+        
+        const directories = segments.slice(0, -1);
+        return {
+            file,
+            path,
+            name,
+            directory: directories.join('/'),
+            depth: directories.length,
+            subject: (directories.find(d => d.startsWith('sub-')) || '').slice(4) || null,
+            session: (directories.find(d => d.startsWith('ses-')) || '').slice(4) || null,
+            modality: MODALITIES.includes(directories[directories.length - 1]) ? directories[directories.length - 1] : null,
+            entities,
+            suffix,
+            extension
+        };
+    }
+
+    isDataFile(entry) {
+        return entry.modality !== null &&
+            entry.extension !== '.json' &&
+            !METADATA_SUFFIXES.includes(entry.suffix) &&
+            !this.companionExtensions.includes(entry.extension);
+    }
+
+    /**
+     * Build subjects -> sessions -> modalities -> data files
+     */
+    buildTree() {
+        const subjects = new Map();
+        
+        this.entries.filter(entry => this.isDataFile(entry)).forEach(entry => {
+            const subjectId = entry.subject || 'unknown';
+            if (!subjects.has(subjectId)) subjects.set(subjectId, new Map());
+            
+            const sessions = subjects.get(subjectId);
+            const sessionId = entry.session || '';
+            if (!sessions.has(sessionId)) sessions.set(sessionId, new Map());
+            
+            const modalities = sessions.get(sessionId);
+            if (!modalities.has(entry.modality)) modalities.set(entry.modality, []);
+            modalities.get(entry.modality).push(entry);
+        });
+        
+        const byName = (a, b) => a.id.localeCompare(b.id, undefined, { numeric: true });
+        
+        return Array.from(subjects, ([id, sessions]) => ({
+            id,
+            sessions: Array.from(sessions, ([sessionId, modalities]) => ({
+                id: sessionId,
+                modalities: Array.from(modalities, ([name, files]) => ({
+                    id: name,
+                    files: files.sort((a, b) => a.name.localeCompare(b.name))
+                })).sort(byName)
+            })).sort(byName)
+        })).sort(byName);
+    }
+
+    /**
+     * Metadata files that apply to a data file: same suffix, entities that are a
+     * subset of the data file's, in the same folder or a parent. Shallowest first.
+     */
+    findApplicable(dataEntry, suffix, extension) {
+        return this.entries
+            .filter(entry =>
+                entry.suffix === suffix &&
+                entry.extension === extension &&
+                (dataEntry.directory === entry.directory ||
+                    entry.directory === '' ||
+                    dataEntry.directory.startsWith(entry.directory + '/')) &&
+                Object.entries(entry.entities).every(([key, value]) => dataEntry.entities[key] === value)
+            )
+            .sort((a, b) => a.depth - b.depth);
+    }
+
+    /**
+     * Merged JSON sidecar for a data file (deeper files override parents)
+     */
+    async getSidecar(dataEntry) {
+        const sidecar = {};
+        for (const entry of this.findApplicable(dataEntry, dataEntry.suffix, '.json')) {
+            try {
+                Object.assign(sidecar, JSON.parse(await entry.file.text()));
+            } catch (error) {
+                console.warn(`⚠️ Invalid sidecar ${entry.path}:`, error);
+            }
+        }
+        return sidecar;
+    }
+
+    /**
+     * Events from the most specific *_events.tsv as {onset, duration, text}
+     */
+    async getEvents(dataEntry) {
+        const candidates = this.findApplicable(dataEntry, 'events', '.tsv');
+        if (candidates.length === 0) return [];
+        
+        const rows = await this.readTSV(candidates[candidates.length - 1].file);
+        return rows
+            .filter(row => isFinite(parseFloat(row.onset)))
+            .map(row => ({
+                onset: parseFloat(row.onset),
+                duration: parseFloat(row.duration) || 0,
+                text: row.trial_type || row.value || row.stim_file || 'event'
+            }))
+            .sort((a, b) => a.onset - b.onset);
+    }
+
+    /**
+     * Channel descriptions from the most specific *_channels.tsv
+     */
+    async getChannels(dataEntry) {
+        const candidates = this.findApplicable(dataEntry, 'channels', '.tsv');
+        if (candidates.length === 0) return [];
+        return this.readTSV(candidates[candidates.length - 1].file);
+    }
+
+    /**
+     * Companion files next to a data file with the same stem (e.g. .vmrk/.eeg for .vhdr)
+     */
+    getCompanions(dataEntry) {
+        const stem = dataEntry.name.slice(0, dataEntry.name.length - dataEntry.extension.length);
+        return this.entries
+            .filter(entry =>
+                entry.directory === dataEntry.directory &&
+                entry !== dataEntry &&
+                this.companionExtensions.includes(entry.extension) &&
+                entry.name.startsWith(stem)
+            )
+            .map(entry => entry.file);
+    }
+
+    async readTSV(file) {
+        const lines = (await file.text()).split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) return [];
+        
+        const headers = lines[0].split('\t').map(h => h.trim());
+        return lines.slice(1).map(line => {
+            const values = line.split('\t');
+            const row = {};
+            headers.forEach((header, i) => {
+                const value = (values[i] || '').trim();
+                row[header] = value === 'n/a' ? '' : value;
+            });
+            return row;
+        });
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * 🌈 ColorMap
+ *
+ * Maps per-vertex scalar attributes (curvature, intensity, confidence, ...)
+ * to RGB for the 3D views. Values are scaled between their robust minimum
+ * and maximum (1st/99th percentile) so a few outliers do not flatten the
+ * ramp; NaN values are drawn grey. Attributes holding a handful of small
+ * integer codes (lidar classification, return number, labels) get distinct
+ * categorical colors instead.
+ */
+
+// Categorical palette (Tableau 10), cycled for codes beyond ten
+const CATEGORY_COLORS = [
+    [0.12, 0.47, 0.71], [1.00, 0.50, 0.05], [0.17, 0.63, 0.17], [0.84, 0.15, 0.16], [0.58, 0.40, 0.74],
+    [0.55, 0.34, 0.29], [0.89, 0.47, 0.76], [0.50, 0.50, 0.50], [0.74, 0.74, 0.13], [0.09, 0.75, 0.81]
+];
+
+// Most distinct codes an attribute may have to be treated as categorical
+const MAX_CATEGORIES = 32;
+
+export class ColorMap {
+    /**
+     * Categorical colors for small integer codes, the scalar ramp otherwise
+     * @param {ArrayLike<number>} values
+     * @returns {Float32Array} values.length * 3 colors
+     */
+    static attributeToRGB(values) {
+        return ColorMap.isCategorical(values) ? ColorMap.categoricalToRGB(values) : ColorMap.scalarToRGB(values);
+    }
+
+    /**
+     * One palette color per integer code
+     */
+    static categoricalToRGB(values) {
+        const colors = new Float32Array(values.length * 3);
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            const color = value >= 0 ? CATEGORY_COLORS[value % CATEGORY_COLORS.length] : null;
+            colors[i * 3] = color ? color[0] : 0.5;
+            colors[i * 3 + 1] = color ? color[1] : 0.5;
+            colors[i * 3 + 2] = color ? color[2] : 0.5;
+        }
+        return colors;
+    }
+
+    /**
+     * True when every value is a non-negative integer and there are only a few distinct ones
+     */
+    static isCategorical(values) {
+        const seen = new Set();
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (!Number.isInteger(value) || value < 0 || value > 255) return false;
+            seen.add(value);
+            if (seen.size > MAX_CATEGORIES) return false;
+        }
+        return seen.size > 0;
+    }
+
+    /**
+     * Blue → cyan → yellow → red ramp as RGB triplets in 0..1
+     * @param {ArrayLike<number>} values
+     * @returns {Float32Array} values.length * 3 colors
+     */
+    static scalarToRGB(values) {
+        const [min, max] = ColorMap.range(values);
+        const span = max - min || 1;
+        const colors = new Float32Array(values.length * 3);
+
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (value !== value) {
+                colors[i * 3] = colors[i * 3 + 1] = colors[i * 3 + 2] = 0.5;
+                continue;
+            }
+            const t = Math.min(1, Math.max(0, (value - min) / span));
+            colors[i * 3] = Math.min(1, Math.max(0, 2 * t - 0.5));
+            colors[i * 3 + 1] = t < 0.75 ? Math.min(1, 2 * t) : 4 * (1 - t);
+            colors[i * 3 + 2] = Math.max(0, 1 - 2 * t);
+        }
+
+        return colors;
+    }
+
+    /**
+     * 1st and 99th percentile of the finite values (sampled for large arrays)
+     */
+    static range(values) {
+        const step = Math.max(1, Math.floor(values.length / 100000));
+        const sample = [];
+        for (let i = 0; i < values.length; i += step) {
+            if (isFinite(values[i])) sample.push(values[i]);
+        }
+        if (sample.length === 0) return [0, 1];
+
+        sample.sort((a, b) => a - b);
+        return [
+            sample[Math.floor((sample.length - 1) * 0.01)],
+            sample[Math.ceil((sample.length - 1) * 0.99)]
+        ];
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * 🗜️ Compression
+ *
+ * Inflates gzip, zlib ('deflate') and raw deflate data with the browser's
+ * DecompressionStream. Shared by the file loaders and by shared-state URLs.
+ */
+
+export class Compression {
+    /**
+     * Decompress a whole buffer
+     * @param {ArrayBuffer|Uint8Array} data
+     * @param {string} format - 'gzip', 'deflate' (zlib) or 'deflate-raw'
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async decompress(data, format = 'gzip') {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return await new Response(stream).arrayBuffer();
+    }
+}
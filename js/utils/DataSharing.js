@@ -5,6 +5,8 @@
  * Enables QR code sharing for 3D models and other large datasets.
  */
 
+import { Compression } from './Compression.js';
+
 export class DataSharing {
     constructor() {
         this.gistCache = new Map();
@@ -340,35 +342,7 @@ This file was shared using the Modular Data Visualizer - a browser-based tool fo
             compressed[i] = binary.charCodeAt(i);
         }
         
-        // Create decompression stream
-        const stream = new ReadableStream({
-            start(controller) {
-                controller.enqueue(compressed);
-                controller.close();
-            }
-        });
-        
-        // Decompress using gzip
-        const decompressedStream = stream.pipeThrough(new DecompressionStream('gzip'));
-        
-        // Read decompressed data
-        const reader = decompressedStream.getReader();
-        const chunks = [];
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-        }
-        
-        // Combine chunks
-        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-        const decompressed = new Uint8Array(totalLength);
-        let offset = 0;
-        for (const chunk of chunks) {
-            decompressed.set(chunk, offset);
-            offset += chunk.length;
-        }
+        const decompressed = await Compression.decompress(compressed, 'gzip');
         
         // Convert back to string
         const decoder = new TextDecoder();
@@ -0,0 +1,383 @@
+/**
+ * 🔎 FormatSniffer
+ *
+ * Identifies a file's format from its first bytes rather than its name.
+ * Binary formats are matched by magic numbers, text formats by their
+ * header lines, and delimited text is classified as EEG or generic
+ * tabular data from the shape of its columns.
+ *
+ * Every result carries a confidence between 0 and 1 and the method that
+ * produced it: 'magic', 'content', 'extension', 'mime' or 'fallback'.
+ */
+
+import { TabularReader } from '../parsers/TabularReader.js';
+
+// Bytes read for sniffing; enough for several hundred CSV rows
+const HEAD_SIZE = 65536;
+
+// Channel labels of the 10-20 / 10-10 systems and common generic names
+const CHANNEL_NAME = /^(eeg[\s_-]?)?((fp|af|f|fc|ft|c|cp|tp|t|p|po|o|i|a|m)(\d+|z)|ch(annel)?[\s_-]?\d+|e\d+)(-\w+)?$/i;
+// Time axis headers: time, timestamp_ms, "Time (s)", epoch, ... but not channels such as T7
+const TIME_HEADER = /^(time|timestamps?|t|secs?|seconds|ms|msec|millis(econds)?|epoch|unix(time)?|latency|datetime|date)($|[\s_.([-])/i;
+// Coordinate headers of point tables: x, pos_x, "X (m)", ...
+const COORDINATE_HEADER = /^((pos(ition)?|point|coord)[\s_.-]?)?([xyz])(\s*[([].*[)\]])?$/i;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Binary signatures checked in order. Each test receives the head bytes
+ * and returns true on a match.
+ */
+const SIGNATURES = [
+    { type: 'neuroimaging', format: '.dcm', confidence: 0.99, test: (b) => ascii(b, 128, 4) === 'DICM' },
+    { type: 'neuroimaging', format: '.nii', confidence: 0.99, test: (b) => isNIfTI(b) },
+    { type: 'eeg', format: '.bdf', confidence: 0.98, test: (b) => b[0] === 0xFF && ascii(b, 1, 7) === 'BIOSEMI' },
+    // FIF: the file id tag (kind 100, id struct type 31, 20 bytes), big-endian
+    { type: 'eeg', format: '.fif', confidence: 0.95, test: (b) => be32(b, 0) === 100 && be32(b, 4) === 31 && be32(b, 8) === 20 },
+    { type: 'eeg', format: '.edf', confidence: 0.9, test: (b) => ascii(b, 0, 8) === '0       ' && b.length >= 256 },
+    { type: 'eeg', format: '.vhdr', confidence: 0.99, test: (b) => /^(\xEF\xBB\xBF)?Brain ?Vision Data Exchange Header File/i.test(ascii(b, 0, 64)) },
+    { type: 'audio', format: '.wav', confidence: 0.99, test: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WAVE' },
+    { type: 'video', format: '.avi', confidence: 0.99, test: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'AVI ' },
+    { type: 'audio', format: '.ogg', confidence: 0.95, test: (b) => ascii(b, 0, 4) === 'OggS' },
+    { type: 'audio', format: '.flac', confidence: 0.99, test: (b) => ascii(b, 0, 4) === 'fLaC' },
+    { type: 'audio', format: '.mp3', confidence: 0.9, test: (b) => ascii(b, 0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE6) === 0xE2) },
+    { type: 'audio', format: '.m4a', confidence: 0.95, test: (b) => ascii(b, 4, 4) === 'ftyp' && ascii(b, 8, 3) === 'M4A' },
+    { type: 'video', format: '.mp4', confidence: 0.9, test: (b) => ascii(b, 4, 4) === 'ftyp' },
+    { type: 'video', format: '.webm', confidence: 0.9, test: (b) => b[0] === 0x1A && b[1] === 0x45 && b[2] === 0xDF && b[3] === 0xA3 },
+    { type: 'mesh3d', format: '.glb', confidence: 0.99, test: (b) => ascii(b, 0, 4) === 'glTF' },
+    { type: 'mesh3d', format: '.ply', confidence: 0.98, test: (b) => /^ply\r?\n/.test(ascii(b, 0, 5)) },
+    { type: 'pointcloud', format: '.laz', confidence: 0.98, test: (b) => ascii(b, 0, 4) === 'LASF' && (b[104] & 0xC0) !== 0 },
+    { type: 'pointcloud', format: '.las', confidence: 0.98, test: (b) => ascii(b, 0, 4) === 'LASF' },
+    { type: 'pointcloud', format: '.pcd', confidence: 0.95, test: (b) => /^(#[^\n]*\.PCD[^\n]*\n)?(#[^\n]*\n)*VERSION /.test(ascii(b, 0, 512)) },
+    { type: 'array', format: '.npy', confidence: 0.99, test: (b) => b[0] === 0x93 && ascii(b, 1, 5) === 'NUMPY' },
+    { type: 'array', format: '.npz', confidence: 0.95, test: (b) => isNPZ(b) },
+    { type: 'array', format: '.mat', confidence: 0.98, test: (b) => /^MATLAB (5\.0|7\.3) MAT-file/.test(ascii(b, 0, 19)) },
+    { type: 'mesh3d', format: '.stl', confidence: 0.85, test: (b, size) => isBinarySTL(b, size) },
+    { type: 'image', format: '.png', confidence: 0.99, test: (b) => b[0] === 0x89 && ascii(b, 1, 3) === 'PNG' },
+    { type: 'image', format: '.jpg', confidence: 0.95, test: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { type: 'image', format: '.tiff', confidence: 0.95, test: (b) => ascii(b, 0, 4) === 'II*\0' || ascii(b, 0, 4) === 'MM\0*' },
+    { type: 'image', format: '.bmp', confidence: 0.8, test: (b) => ascii(b, 0, 2) === 'BM' && b.length >= 26 }
+];
+
+export class FormatSniffer {
+    /**
+     * @param {Object} supportedFormats - Type → extension list, used for extension fallback
+     */
+    constructor(supportedFormats) {
+        this.supportedFormats = supportedFormats;
+    }
+
+    /**
+     * Whether a column header names a time axis
+     */
+    static isTimeHeader(name) {
+        return TIME_HEADER.test(name.trim());
+    }
+
+    /**
+     * The axis a point table column header names ('x', 'y' or 'z'), or null
+     */
+    static coordinateAxis(name) {
+        const match = COORDINATE_HEADER.exec(name.trim());
+        return match ? match[4].toLowerCase() : null;
+    }
+
+    /**
+     * Identify a file
+     * @param {File} file
+     * @param {string} extension - Lower-case extension from the file name ('' if none)
+     * @returns {Promise<{type: string, format: string, confidence: number, method: string, reason: string}>}
+     */
+    async sniff(file, extension) {
+        const head = new Uint8Array(await file.slice(0, HEAD_SIZE).arrayBuffer());
+
+        let result = this.matchSignature(head, file.size);
+        if (!result && head[0] === 0x1F && head[1] === 0x8B) {
+            result = await this.sniffGzip(file);
+        }
+        if (!result && this.looksLikeText(head)) {
+            result = this.sniffText(this.decodeHead(head, file.size), extension);
+        }
+        if (!result) {
+            result = this.fromExtension(extension) || this.fromMime(file.type) || {
+                type: 'generic',
+                format: extension,
+                confidence: 0.2,
+                method: 'fallback',
+                reason: 'no recognisable signature'
+            };
+        }
+
+        // EEGLAB saves datasets as MAT-files named .set
+        if (result.format === '.mat' && extension === '.set') {
+            result.type = 'eeg';
+            result.format = '.set';
+            result.reason = 'EEGLAB dataset (MAT-file)';
+        }
+
+        // A matching file name corroborates content-based evidence; a .csv
+        // name says nothing about whether the table is EEG
+        if (result.method !== 'extension' && result.format === extension && !['.csv', '.tsv', '.txt'].includes(extension)) {
+            result.confidence += (1 - result.confidence) / 2;
+        }
+        result.confidence = Math.round(result.confidence * 100) / 100;
+        return result;
+    }
+
+    /**
+     * Check binary magic numbers
+     */
+    matchSignature(head, size) {
+        const match = SIGNATURES.find(signature => signature.test(head, size));
+        if (!match) return null;
+        return {
+            type: match.type,
+            format: match.format,
+            confidence: match.confidence,
+            method: 'magic',
+            reason: `${match.format.slice(1).toUpperCase()} signature`
+        };
+    }
+
+    /**
+     * Inflate just the start of a gzip stream to see what it wraps
+     */
+    async sniffGzip(file) {
+        const reader = file.stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+        const chunks = [];
+        let length = 0;
+
+        try {
+            while (length < 352) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.length;
+            }
+        } catch (error) {
+            return null;
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        const inner = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            inner.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        if (!isNIfTI(inner)) return null;
+        return {
+            type: 'neuroimaging',
+            format: '.nii.gz',
+            confidence: 0.99,
+            method: 'magic',
+            reason: 'gzip-wrapped NIfTI header'
+        };
+    }
+
+    /**
+     * Whether the head is plausibly text (no NULs, few control bytes)
+     */
+    looksLikeText(head) {
+        if (head.length === 0) return false;
+        let control = 0;
+        for (let i = 0; i < head.length; i++) {
+            const byte = head[i];
+            if (byte === 0) return false;
+            if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13) control++;
+        }
+        return control / head.length < 0.01;
+    }
+
+    /**
+     * Decode the head as text, dropping a possibly truncated last line
+     */
+    decodeHead(head, size) {
+        const text = new TextDecoder('utf-8').decode(head).replace(/^\uFEFF/, '');
+        if (head.length >= size) return text;
+        const lastBreak = text.lastIndexOf('\n');
+        return lastBreak > 0 ? text.slice(0, lastBreak) : text;
+    }
+
+    /**
+     * Recognise text formats from their content
+     */
+    sniffText(text, extension) {
+        const trimmed = text.trimStart();
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            if (/"asset"\s*:\s*\{[^}]*"version"/.test(trimmed)) {
+                return { type: 'mesh3d', format: '.gltf', confidence: 0.95, method: 'content', reason: 'glTF asset block' };
+            }
+            const format = extension === '.ndjson' || extension === '.jsonl' ? extension : '.json';
+            return { type: 'timeseries', format: format, confidence: 0.8, method: 'content', reason: 'JSON document' };
+        }
+
+        if (/^solid\b/.test(trimmed) && /\bfacet\s+normal\b/.test(trimmed)) {
+            return { type: 'mesh3d', format: '.stl', confidence: 0.95, method: 'content', reason: 'ASCII STL facets' };
+        }
+
+        if (/^(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(trimmed)) {
+            const lines = trimmed.split('\n').filter(line => line.trim() && !line.startsWith('#'));
+            const objLines = lines.filter(line => /^(v|vn|vt|f|o|g|s|l|mtllib|usemtl)\s/.test(line));
+            if (objLines.length / lines.length > 0.9) {
+                return { type: 'mesh3d', format: '.obj', confidence: 0.85, method: 'content', reason: 'OBJ statements' };
+            }
+        }
+
+        // Point cloud text has its own extensions; delimited content alone
+        // cannot tell it from a three-channel recording
+        const fromExtension = this.fromExtension(extension);
+        if (fromExtension && fromExtension.type === 'pointcloud') return fromExtension;
+
+        return this.sniffDelimited(text);
+    }
+
+    /**
+     * Classify delimited text as EEG (all-numeric channel columns) or
+     * generic tabular data from the shape of its columns
+     */
+    sniffDelimited(text) {
+        const dialect = TabularReader.detectDialect(text, true);
+        const rows = TabularReader.parseText(text, dialect).map(row => row.map(cell => cell.trim()));
+        if (rows.length < 2) return null;
+
+        // Prose and other free text does not split into a consistent grid
+        const width = rows[0].length;
+        if (width < 2 || rows.filter(row => row.length === width).length / rows.length < 0.8) return null;
+
+        const isNumber = (cell) => cell !== '' && !isNaN(Number(dialect.decimal === ',' ? cell.replace(',', '.') : cell));
+        const header = dialect.hasHeader ? rows[0] : [];
+        const body = dialect.hasHeader ? rows.slice(1) : rows;
+        if (body.length === 0) return null;
+
+        // Per-column shape: numeric, date-like or text
+        const columns = Array.from({ length: width }, (_, c) => {
+            const cells = body.map(row => row[c] ?? '').filter(cell => cell !== '' && cell.toLowerCase() !== 'nan' && cell.toLowerCase() !== 'n/a');
+            const numeric = cells.filter(isNumber).length / Math.max(cells.length, 1);
+            const dates = cells.filter(cell => ISO_DATE.test(cell)).length / Math.max(cells.length, 1);
+            return { name: header[c] || '', numeric, dates };
+        });
+
+        const timeColumns = columns.filter(col => FormatSniffer.isTimeHeader(col.name) || col.dates > 0.9);
+
+        // x, y, z columns without a time axis are point coordinates, not
+        // three signals (accelerometer tables carry a time column)
+        const axes = new Set(columns
+            .filter(col => col.numeric > 0.95)
+            .map(col => FormatSniffer.coordinateAxis(col.name))
+            .filter(axis => axis));
+        if (axes.size === 3 && timeColumns.length === 0) {
+            const format = dialect.delimiter === '\t' ? '.tsv' : '.csv';
+            return {
+                type: 'pointcloud',
+                format: format,
+                confidence: 0.8,
+                method: 'content',
+                reason: `${format.slice(1).toUpperCase()}: x, y, z coordinate columns`
+            };
+        }
+        const signals = columns.filter(col => !timeColumns.includes(col));
+        const numericSignals = signals.filter(col => col.numeric > 0.95);
+        const textColumns = signals.filter(col => col.numeric < 0.5);
+        const channelNamed = signals.filter(col => CHANNEL_NAME.test(col.name));
+
+        // Score how EEG-like the table is
+        let score = 0.5;
+        const reasons = [];
+        if (signals.length > 0 && numericSignals.length === signals.length) {
+            score += 0.2;
+            reasons.push('all signal columns numeric');
+        }
+        if (textColumns.length > 0) {
+            score -= 0.3;
+            reasons.push(`${textColumns.length} text column(s)`);
+        }
+        if (signals.length > 0 && channelNamed.length / signals.length > 0.5) {
+            score += 0.15;
+            reasons.push('channel-like headers');
+        }
+        if (numericSignals.length >= 4) {
+            score += 0.1;
+            reasons.push(`${numericSignals.length} numeric columns`);
+        } else if (numericSignals.length < 2) {
+            score -= 0.2;
+            reasons.push('fewer than two numeric columns');
+        }
+        if (body.length >= 100) {
+            score += 0.1;
+            reasons.push('long recording');
+        } else if (body.length < 10) {
+            score -= 0.1;
+            reasons.push('few rows');
+        }
+        if (timeColumns.some(col => col.dates > 0.9)) {
+            score -= 0.15;
+            reasons.push('calendar timestamps');
+        }
+
+        const isEEG = score >= 0.6;
+        const format = dialect.delimiter === '\t' ? '.tsv' : '.csv';
+        return {
+            type: isEEG ? 'eeg' : 'timeseries',
+            format: format,
+            confidence: Math.min(0.95, Math.max(0.5, isEEG ? score : 1 - score)),
+            method: 'content',
+            reason: `${format.slice(1).toUpperCase()}: ${reasons.join(', ') || 'mixed columns'}`
+        };
+    }
+
+    /**
+     * Extension fallback for content that matched nothing else
+     */
+    fromExtension(extension) {
+        const type = this.typeOfExtension(extension);
+        // Unparseable .txt is not worth handing to a text parser
+        if (!type || extension === '.txt') return null;
+        return { type, format: extension, confidence: 0.5, method: 'extension', reason: `${extension} extension` };
+    }
+
+    typeOfExtension(extension) {
+        if (!extension) return null;
+        const entry = Object.entries(this.supportedFormats).find(([, extensions]) => extensions.includes(extension));
+        return entry ? entry[0] : null;
+    }
+
+    fromMime(mimeType) {
+        const type = ['audio', 'image', 'video'].find(kind => mimeType.startsWith(`${kind}/`));
+        if (!type) return null;
+        return { type, format: '', confidence: 0.4, method: 'mime', reason: `${mimeType} MIME type` };
+    }
+}
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function be32(bytes, offset) {
+    return bytes.length >= offset + 4 ? new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getInt32(0) : null;
+}
+
+// NIfTI-1 single-file magic at byte 344, with sizeof_hdr 348 in either byte order
+function isNIfTI(bytes) {
+    if (bytes.length < 348) return false;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sizeOk = view.getInt32(0, true) === 348 || view.getInt32(0, false) === 348;
+    const magic = ascii(bytes, 344, 4);
+    return sizeOk && (magic === 'n+1\0' || magic === 'ni1\0');
+}
+
+// NumPy .npz: a ZIP archive whose first member is an .npy file
+function isNPZ(bytes) {
+    if (bytes.length < 30 || ascii(bytes, 0, 4) !== 'PK\x03\x04') return false;
+    const nameLength = bytes[26] | (bytes[27] << 8);
+    return ascii(bytes, 30, nameLength).endsWith('.npy');
+}
+
+// Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+function isBinarySTL(bytes, size) {
+    if (bytes.length < 84) return false;
+    const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(80, true);
+    return count > 0 && size === 84 + count * 50;
+}
@@ -0,0 +1,87 @@
+/**
+ * 🕳️ MissingValues
+ * 
+ * Strategies for NaN placeholders in channel data. Parsers keep blank or
+ * unparseable cells as NaN so channels stay aligned; the time series view
+ * can show them as gaps, fill them by linear interpolation, or drop every
+ * row (sample index) where any channel is missing.
+ */
+
+export class MissingValues {
+    static STRATEGIES = ['gaps', 'interpolate', 'drop rows'];
+
+    /**
+     * Count NaN samples across channels
+     */
+    static count(channels) {
+        let missing = 0;
+        for (const channel of channels) {
+            for (let i = 0; i < channel.length; i++) {
+                if (channel[i] !== channel[i]) missing++;
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Apply a strategy, returning new channels (the input is left untouched)
+     * @param {Float32Array[]} channels
+     * @param {string} strategy - One of MissingValues.STRATEGIES
+     */
+    static apply(channels, strategy) {
+        switch (strategy) {
+            case 'interpolate':
+                return channels.map(channel => MissingValues.interpolate(channel));
+            case 'drop rows':
+                return MissingValues.dropRows(channels);
+            default:
+                return channels;
+        }
+    }
+
+    /**
+     * Linear interpolation across interior gaps; leading and trailing gaps
+     * hold the nearest valid sample
+     */
+    static interpolate(channel) {
+        const filled = Float32Array.from(channel);
+        let previous = -1;
+        
+        for (let i = 0; i <= filled.length; i++) {
+            if (i < filled.length && filled[i] !== filled[i]) continue;
+            
+            const gapStart = previous + 1;
+            if (i > gapStart) {
+                for (let j = gapStart; j < i; j++) {
+                    if (previous === -1 && i === filled.length) {
+                        filled[j] = 0; // No valid samples at all
+                    } else if (previous === -1) {
+                        filled[j] = filled[i];
+                    } else if (i === filled.length) {
+                        filled[j] = filled[previous];
+                    } else {
+                        const t = (j - previous) / (i - previous);
+                        filled[j] = filled[previous] + t * (filled[i] - filled[previous]);
+                    }
+                }
+            }
+            previous = i;
+        }
+        
+        return filled;
+    }
+
+    /**
+     * Remove every sample index at which any channel is NaN
+     */
+    static dropRows(channels) {
+        const length = Math.min(...channels.map(channel => channel.length));
+        const keep = [];
+        
+        for (let i = 0; i < length; i++) {
+            if (channels.every(channel => channel[i] === channel[i])) keep.push(i);
+        }
+        
+        return channels.map(channel => Float32Array.from(keep, i => channel[i]));
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * 🧵 ParserPool
+ * 
+ * Loads file groups in a small pool of module Web Workers so large files do
+ * not freeze the page. Progress events are forwarded to the caller and an
+ * AbortSignal cancels a load by terminating its worker.
+ * 
+ * Images and videos need DOM APIs (Image, object URLs tied to the page) and
+ * are loaded on the main thread, as is everything when workers are unavailable.
+ * TIFF is decoded without them and stays in a worker.
+ */
+
+const MAIN_THREAD_TYPES = ['image', 'video'];
+const WORKER_IMAGE_FORMATS = ['.tiff', '.tif'];
+
+export class ParserPool {
+    /**
+     * @param {UniversalDataAdapter} adapter - Main-thread adapter for sniffing and fallback loads
+     * @param {number} size - Maximum number of workers
+     */
+    constructor(adapter, size = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.adapter = adapter;
+        this.size = size;
+        this.workers = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.mainThread = Promise.resolve();
+        this.supported = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Load a group produced by UniversalDataAdapter.groupFiles()
+     * @param {Object} group
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with {stage, percent}
+     * @param {AbortSignal} options.signal - Cancels the load
+     * @returns {Promise<{data: Object, suggestedViz: string}>}
+     */
+    async load(group, { onProgress = null, signal = null } = {}) {
+        if (signal && signal.aborted) throw abortError();
+        
+        if (!this.supported || await this.needsMainThread(group)) {
+            return await this.loadOnMainThread(group, onProgress, signal);
+        }
+        
+        return await new Promise((resolve, reject) => {
+            const task = { id: this.nextId++, group, onProgress, signal, resolve, reject };
+            if (signal) {
+                task.onAbort = () => this.cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Whether a group has to be parsed with DOM APIs
+     */
+    async needsMainThread(group) {
+        if (group.kind !== 'file') return false;
+        
+        const extension = this.adapter.getFileExtension(group.primary.name);
+        const detection = await this.adapter.detectDataType(extension, group.primary);
+        return MAIN_THREAD_TYPES.includes(detection.type) && !WORKER_IMAGE_FORMATS.includes(detection.format);
+    }
+
+    /**
+     * The adapter keeps per-load state, so main-thread loads run one at a time
+     */
+    loadOnMainThread(group, onProgress, signal) {
+        const run = async () => {
+            this.adapter.onProgress = onProgress;
+            this.adapter.signal = signal;
+            
+            try {
+                this.adapter.checkAborted();
+                const data = await this.adapter.loadGroup(group);
+                return { data, suggestedViz: this.adapter.suggestVisualization() };
+            } finally {
+                this.adapter.onProgress = null;
+                this.adapter.signal = null;
+            }
+        };
+        
+        const result = this.mainThread.then(run, run);
+        this.mainThread = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Hand queued tasks to idle workers, starting workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(candidate => !candidate.task);
+            if (!slot) {
+                if (this.workers.length >= this.size) return;
+                slot = this.spawn();
+            }
+            
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({
+                id: task.id,
+                group: task.group,
+                primaryPath: this.adapter.getRelativePath(task.group.primary)
+            });
+        }
+    }
+
+    spawn() {
+        const slot = {
+            worker: new Worker(new URL('../workers/ParserWorker.js', import.meta.url), { type: 'module' }),
+            task: null,
+            started: false
+        };
+        
+        slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+        slot.worker.onerror = (event) => {
+            event.preventDefault();
+            this.handleCrash(slot, event);
+        };
+        
+        this.workers.push(slot);
+        return slot;
+    }
+
+    handleMessage(slot, message) {
+        slot.started = true;
+        const task = slot.task;
+        if (!task || message.id !== task.id) return;
+        
+        if (message.progress) {
+            if (task.onProgress) task.onProgress(message.progress);
+            return;
+        }
+        
+        slot.task = null;
+        this.release(task);
+        
+        if (message.error) {
+            task.reject(new Error(message.error));
+        } else {
+            task.resolve({ data: message.result, suggestedViz: message.suggestedViz });
+        }
+        this.dispatch();
+    }
+
+    /**
+     * A worker that dies before answering (e.g. no module worker support)
+     * disables the pool and its task is retried on the main thread
+     */
+    handleCrash(slot, event) {
+        const task = slot.task;
+        this.remove(slot);
+        
+        if (!slot.started) {
+            console.warn(`⚠️ Parser worker unavailable (${event.message || 'failed to start'}), parsing on the main thread`);
+            this.supported = false;
+        }
+        
+        if (task) {
+            this.release(task);
+            if (slot.started) {
+                task.reject(new Error(event.message || 'Parser worker crashed'));
+            } else {
+                this.loadOnMainThread(task.group, task.onProgress, task.signal).then(task.resolve, task.reject);
+            }
+        }
+        
+        if (this.supported) {
+            this.dispatch();
+        } else {
+            // Move anything still queued to the main thread
+            this.queue.splice(0).forEach(queued => {
+                this.release(queued);
+                this.loadOnMainThread(queued.group, queued.onProgress, queued.signal).then(queued.resolve, queued.reject);
+            });
+        }
+    }
+
+    /**
+     * Drop a queued task or terminate the worker running it
+     */
+    cancel(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued !== -1) this.queue.splice(queued, 1);
+        
+        const slot = this.workers.find(candidate => candidate.task === task);
+        if (slot) {
+            slot.worker.terminate();
+            this.remove(slot);
+        }
+        
+        this.release(task);
+        task.reject(abortError());
+        this.dispatch();
+    }
+
+    remove(slot) {
+        this.workers = this.workers.filter(candidate => candidate !== slot);
+    }
+
+    release(task) {
+        if (task.onAbort) task.signal.removeEventListener('abort', task.onAbort);
+    }
+}
+
+function abortError() {
+    return new DOMException('Load cancelled', 'AbortError');
+}
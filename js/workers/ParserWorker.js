@@ -0,0 +1,54 @@
+/**
+ * 🧵 Parser Worker
+ * 
+ * Runs UniversalDataAdapter off the main thread. Receives a file group from
+ * ParserPool, posts progress events while it loads, and returns the
+ * standardized result with its typed-array buffers transferred.
+ */
+
+import { UniversalDataAdapter } from '../core/UniversalDataAdapter.js';
+
+const adapter = new UniversalDataAdapter();
+
+self.onmessage = async (event) => {
+    const { id, group, primaryPath } = event.data;
+    
+    // Paths from folder drops are not part of the structured clone of a File
+    if (primaryPath !== group.primary.name) {
+        Object.defineProperty(group.primary, 'relativePath', { value: primaryPath });
+    }
+    
+    adapter.onProgress = (progress) => self.postMessage({ id, progress });
+    
+    try {
+        const result = await adapter.loadGroup(group);
+        const suggestedViz = adapter.suggestVisualization();
+        self.postMessage({ id, result, suggestedViz }, [...collectTransferables(result.data)]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        adapter.onProgress = null;
+    }
+};
+
+/**
+ * Find the ArrayBuffers behind typed arrays in a parser result. Long arrays
+ * are only walked when they hold buffers, never when they hold row objects.
+ */
+function collectTransferables(value, found = new Set(), depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 3) return found;
+    
+    if (value instanceof ArrayBuffer) {
+        found.add(value);
+    } else if (ArrayBuffer.isView(value)) {
+        if (value.buffer instanceof ArrayBuffer) found.add(value.buffer);
+    } else if (Array.isArray(value)) {
+        if (value.length <= 1024 || value[0] instanceof ArrayBuffer || ArrayBuffer.isView(value[0])) {
+            value.forEach(item => collectTransferables(item, found, depth + 1));
+        }
+    } else if (!(value instanceof Blob)) {
+        Object.values(value).forEach(item => collectTransferables(item, found, depth + 1));
+    }
+    
+    return found;
+}